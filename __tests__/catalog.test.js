@@ -0,0 +1,167 @@
+const mongoose = require("mongoose");
+const Sneaker = require("../models/Sneaker");
+const Post = require("../models/Post");
+const Notification = require("../models/Notification");
+const ClosetItem = require("../models/ClosetItem");
+const WishlistItem = require("../models/WishlistItem");
+const PriceObservation = require("../models/PriceObservation");
+const ModerationAction = require("../models/ModerationAction");
+const { mergeSneakers } = require("../utils/catalog");
+
+const id = () => new mongoose.Types.ObjectId();
+
+const admin = { _id: id() };
+const [alex, sam, kim] = [id(), id(), id()];
+
+let source;
+let target;
+
+beforeEach(() => {
+  target = new Sneaker({
+    sneakerName: "Air Jordan 1 Chicago",
+    brandName: "Jordan",
+    posts: [id()],
+    ratings: [{ userId: alex, rating: 5 }],
+    minPrice: 200,
+    maxPrice: 200,
+  });
+  source = new Sneaker({
+    sneakerName: "Jordan 1 Retro High Chicago",
+    brandName: "Jordan",
+    aliases: ["Chicago 1s"],
+    sku: "DZ5485-612",
+    posts: [id(), id()],
+    ratings: [
+      { userId: alex, rating: 1 },
+      { userId: sam, rating: 4 },
+    ],
+    minPrice: 150,
+    maxPrice: 300,
+  });
+
+  jest
+    .spyOn(Sneaker, "findById")
+    .mockImplementation(async (sneakerId) =>
+      [source, target].find((sneaker) => sneaker._id.equals(sneakerId))
+    );
+  jest.spyOn(Sneaker.prototype, "save").mockImplementation(async function () {
+    return this;
+  });
+  jest.spyOn(Sneaker, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Sneaker, "updateMany").mockResolvedValue({ modifiedCount: 0 });
+  jest
+    .spyOn(Sneaker, "syncPriceRange")
+    .mockResolvedValue({ minPrice: 150, maxPrice: 300 });
+  jest.spyOn(Post, "updateMany").mockResolvedValue({ modifiedCount: 2 });
+  jest.spyOn(Notification, "distinct").mockResolvedValue([]);
+  jest.spyOn(Notification, "deleteMany").mockResolvedValue({});
+  jest.spyOn(Notification, "updateMany").mockResolvedValue({});
+  jest.spyOn(ClosetItem, "distinct").mockResolvedValue([sam, kim]);
+  jest.spyOn(ClosetItem, "updateMany").mockResolvedValue({});
+  jest.spyOn(ClosetItem, "syncSneakerCount").mockResolvedValue(1);
+  jest.spyOn(WishlistItem, "distinct").mockResolvedValue([]);
+  jest.spyOn(WishlistItem, "deleteMany").mockResolvedValue({});
+  jest.spyOn(WishlistItem, "updateMany").mockResolvedValue({});
+  jest.spyOn(PriceObservation, "updateMany").mockResolvedValue({});
+  jest.spyOn(ModerationAction, "create").mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("mergeSneakers", () => {
+  it("refuses to merge a sneaker into itself", async () => {
+    await expect(
+      mergeSneakers(target._id, target._id, admin)
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it("refuses sneakers that were already merged", async () => {
+    source.mergedInto = id();
+
+    await expect(
+      mergeSneakers(source._id, target._id, admin)
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it("moves posts and ratings, keeping the target's rating per user", async () => {
+    const result = await mergeSneakers(source._id, target._id, admin);
+
+    expect(result).toMatchObject({ movedPosts: 2, movedRatings: 1 });
+    expect(Post.updateMany).toHaveBeenCalledWith(
+      { sneakerId: source._id },
+      {
+        $set: {
+          sneakerId: target._id,
+          sneakerName: target.sneakerName,
+          brandName: target.brandName,
+        },
+      }
+    );
+    expect(
+      target.ratings.map(({ userId, rating }) => [userId, rating])
+    ).toEqual([
+      [alex, 5],
+      [sam, 4],
+    ]);
+    expect(target.averageRating).toBe(4.5);
+    expect(target.posts).toHaveLength(3);
+  });
+
+  it("keeps the duplicate's names as aliases and fills missing details", async () => {
+    await mergeSneakers(source._id, target._id, admin);
+
+    expect(target.aliases).toEqual([
+      "Jordan 1 Retro High Chicago",
+      "Chicago 1s",
+    ]);
+    expect(target.sku).toBe("DZ5485-612");
+    expect(Sneaker.updateOne).toHaveBeenCalledWith(
+      { _id: source._id },
+      { $set: { sku: null } }
+    );
+  });
+
+  it("leaves the duplicate as an empty stub pointing at the target", async () => {
+    await mergeSneakers(source._id, target._id, admin);
+
+    expect(source).toMatchObject({
+      mergedInto: target._id,
+      averageRating: 0,
+      minPrice: 0,
+      maxPrice: 0,
+      sku: null,
+    });
+    expect(source.posts).toHaveLength(0);
+    expect(Sneaker.updateMany).toHaveBeenCalledWith(
+      { mergedInto: source._id },
+      { $set: { mergedInto: target._id } }
+    );
+  });
+
+  it("recounts closets and recomputes the target's price range", async () => {
+    const { sneaker } = await mergeSneakers(source._id, target._id, admin);
+
+    expect(ClosetItem.syncSneakerCount.mock.calls).toEqual([[sam], [kim]]);
+    expect(PriceObservation.updateMany).toHaveBeenCalledWith(
+      { sneakerId: source._id },
+      { $set: { sneakerId: target._id } }
+    );
+    expect(Sneaker.syncPriceRange).toHaveBeenCalledWith(target._id);
+    expect(sneaker).toMatchObject({ minPrice: 150, maxPrice: 300 });
+  });
+
+  it("records the merge in the audit trail", async () => {
+    await mergeSneakers(source._id, target._id, admin, { note: "dupe" });
+
+    expect(ModerationAction.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        moderatorId: admin._id,
+        action: "merge_sneaker",
+        targetId: source._id,
+        note: "dupe",
+      })
+    );
+  });
+});
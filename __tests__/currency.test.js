@@ -0,0 +1,176 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const request = require("supertest");
+const {
+  baseCurrency,
+  createFileProvider,
+  setProvider,
+  getRates,
+  isSupportedCurrency,
+  priceConverter,
+  withConvertedPrice,
+  toBasePrice,
+} = require("../utils/currency");
+const { postValidation } = require("../middleware/validation");
+const { handleError } = require("../utils/errorHandler");
+
+const RATES = {
+  base: "USD",
+  updatedAt: "2026-10-01T00:00:00.000Z",
+  rates: { USD: 1, EUR: 0.92, JPY: 149.5, gbp: 0.79 },
+};
+
+let ratesFile;
+
+beforeAll(() => {
+  ratesFile = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "rates-")),
+    "rates.json"
+  );
+  fs.writeFileSync(ratesFile, JSON.stringify(RATES));
+});
+
+beforeEach(() => {
+  delete process.env.BASE_CURRENCY;
+  setProvider(createFileProvider(ratesFile));
+});
+
+afterAll(() => {
+  fs.rmSync(path.dirname(ratesFile), { recursive: true, force: true });
+});
+
+describe("getRates", () => {
+  it("loads the file's table, with upper case codes", async () => {
+    const table = await getRates();
+
+    expect(table.base).toBe("USD");
+    expect(table.rates).toEqual({ USD: 1, EUR: 0.92, JPY: 149.5, GBP: 0.79 });
+    expect(table.updatedAt).toEqual(new Date(RATES.updatedAt));
+  });
+
+  it("fails as unavailable when no table can be loaded", async () => {
+    setProvider(createFileProvider(path.join(ratesFile, "missing.json")));
+
+    await expect(getRates()).rejects.toMatchObject({
+      statusCode: 503,
+      errorCode: "SERVICE_UNAVAILABLE",
+    });
+  });
+});
+
+describe("isSupportedCurrency", () => {
+  it("accepts currencies in the table, in any case", async () => {
+    expect(await isSupportedCurrency("eur")).toBe(true);
+    expect(await isSupportedCurrency("GBP")).toBe(true);
+    expect(await isSupportedCurrency("XYZ")).toBe(false);
+  });
+});
+
+describe("priceConverter", () => {
+  it("converts out of the base currency by default", async () => {
+    const converter = await priceConverter("eur");
+
+    expect(converter.currency).toBe("EUR");
+    expect(converter.convert(100)).toBe(92);
+    expect(converter.convert(100, "EUR")).toBe(100);
+  });
+
+  it("converts between two other currencies through the base", async () => {
+    const converter = await priceConverter("EUR");
+
+    expect(converter.convert(20000, "jpy")).toBe(123.08);
+  });
+
+  it("converts back into the base currency", async () => {
+    const converter = await priceConverter("JPY");
+
+    expect(converter.toBase(20000)).toBe(133.78);
+  });
+
+  it("gives null for a missing amount or an unknown currency", async () => {
+    const converter = await priceConverter("EUR");
+
+    expect(converter.convert(null)).toBeNull();
+    expect(converter.convert(100, "XYZ")).toBeNull();
+    expect((await priceConverter("XYZ")).convert(100)).toBeNull();
+  });
+
+  it("reads BASE_CURRENCY when converting", async () => {
+    process.env.BASE_CURRENCY = "eur";
+
+    expect(baseCurrency()).toBe("EUR");
+    expect((await priceConverter()).currency).toBe("EUR");
+    expect((await priceConverter("USD")).convert(92)).toBe(100);
+  });
+});
+
+describe("withConvertedPrice", () => {
+  it("adds what a post's price comes to", async () => {
+    const converter = await priceConverter("USD");
+    const post = { _id: "p1", price: 184, currency: "EUR" };
+
+    expect(withConvertedPrice(post, converter)).toEqual({
+      ...post,
+      convertedPrice: { amount: 200, currency: "USD" },
+    });
+  });
+
+  it("takes posts without a currency to be in the base currency", async () => {
+    const converter = await priceConverter("EUR");
+
+    expect(withConvertedPrice({ price: 50 }, converter).convertedPrice).toEqual(
+      { amount: 46, currency: "EUR" }
+    );
+  });
+
+  it("leaves convertedPrice null for posts without a price", async () => {
+    const converter = await priceConverter("EUR");
+
+    expect(
+      withConvertedPrice({ price: 0 }, converter).convertedPrice
+    ).toBeNull();
+  });
+});
+
+describe("toBasePrice", () => {
+  it("converts an amount into the base currency", async () => {
+    expect(await toBasePrice(92, "EUR")).toBe(100);
+  });
+});
+
+describe("?currency= validation", () => {
+  const app = express();
+  app.get("/posts", postValidation.getPaginatedPosts, (req, res) =>
+    res.json({ success: true })
+  );
+  app.use(handleError);
+
+  it("accepts a currency in the table", async () => {
+    const response = await request(app).get("/posts?currency=eur");
+
+    expect(response.status).toBe(200);
+  });
+
+  it("rejects a currency the table doesn't have", async () => {
+    const response = await request(app).get("/posts?currency=XYZ");
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.errors).toEqual([
+      expect.objectContaining({
+        field: "currency",
+        message: "Unsupported currency",
+      }),
+    ]);
+  });
+
+  it("answers 503 rather than 400 while the rates can't be loaded", async () => {
+    setProvider(createFileProvider(path.join(ratesFile, "missing.json")));
+
+    const response = await request(app).get("/posts?currency=EUR");
+
+    expect(response.status).toBe(503);
+    expect(response.body.errorCode).toBe("SERVICE_UNAVAILABLE");
+  });
+});
@@ -0,0 +1,168 @@
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+const Device = require("../models/Device");
+const User = require("../models/User");
+const { notifyLike } = require("../utils/notifications");
+const { setTransport, createRecordingTransport } = require("../utils/push");
+
+const recipientId = new mongoose.Types.ObjectId();
+const actorId = new mongoose.Types.ObjectId();
+const postId = new mongoose.Types.ObjectId();
+
+const event = { recipientId, type: "like", actorId, postId };
+
+const group = { recipientId, type: "like", postId, sneakerId: null };
+
+const duplicateKey = () => Object.assign(new Error("E11000"), { code: 11000 });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Notification.record", () => {
+  it("adds the actor to the recipient's unread group for the event", async () => {
+    const updated = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(Notification, "exists").mockResolvedValue(null);
+    const findOneAndUpdate = jest
+      .spyOn(Notification, "findOneAndUpdate")
+      .mockResolvedValue(updated);
+
+    expect(await Notification.record(event)).toBe(updated);
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { ...group, read: false, actors: { $ne: actorId } },
+      { $push: { actors: actorId }, $inc: { actorCount: 1 } },
+      { upsert: true, new: true }
+    );
+  });
+
+  it("ignores an actor notified about the same event within a day", async () => {
+    const exists = jest
+      .spyOn(Notification, "exists")
+      .mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const findOneAndUpdate = jest.spyOn(Notification, "findOneAndUpdate");
+
+    expect(await Notification.record(event)).toBeNull();
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+
+    const [filter] = exists.mock.calls[0];
+    expect(filter).toMatchObject({ ...group, read: true, actors: actorId });
+    expect(Date.now() - filter.updatedAt.$gte).toBeCloseTo(
+      24 * 60 * 60 * 1000,
+      -3
+    );
+  });
+
+  it("joins a group another request created first", async () => {
+    const updated = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(Notification, "exists").mockResolvedValue(null);
+    const findOneAndUpdate = jest
+      .spyOn(Notification, "findOneAndUpdate")
+      .mockRejectedValueOnce(duplicateKey())
+      .mockResolvedValueOnce(updated);
+
+    expect(await Notification.record(event)).toBe(updated);
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  it("changes nothing when the unread group already lists the actor", async () => {
+    jest.spyOn(Notification, "exists").mockResolvedValue(null);
+    jest
+      .spyOn(Notification, "findOneAndUpdate")
+      .mockRejectedValue(duplicateKey());
+
+    expect(await Notification.record(event)).toBeNull();
+  });
+});
+
+describe("Notification.retract", () => {
+  it("removes the group once its last actor is taken out", async () => {
+    const updateOne = jest
+      .spyOn(Notification, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+    const deleteOne = jest
+      .spyOn(Notification, "deleteOne")
+      .mockResolvedValue({ deletedCount: 1 });
+
+    await Notification.retract(event);
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { ...group, read: false, actors: actorId },
+      { $pull: { actors: actorId }, $inc: { actorCount: -1 } }
+    );
+    expect(deleteOne).toHaveBeenCalledWith({
+      ...group,
+      read: false,
+      actorCount: { $lte: 0 },
+    });
+  });
+
+  it("leaves groups alone when the actor wasn't in one", async () => {
+    jest.spyOn(Notification, "updateOne").mockResolvedValue({
+      modifiedCount: 0,
+    });
+    const deleteOne = jest.spyOn(Notification, "deleteOne");
+
+    await Notification.retract(event);
+
+    expect(deleteOne).not.toHaveBeenCalled();
+  });
+});
+
+describe("notifyLike", () => {
+  const post = { _id: postId, userId: recipientId };
+  const liker = { _id: actorId, username: "alex" };
+  let transport;
+
+  beforeEach(() => {
+    transport = createRecordingTransport();
+    setTransport(transport);
+    jest.spyOn(User, "findById").mockReturnValue({
+      select: jest.fn().mockResolvedValue({
+        notificationPreferences: { push: true, like: true },
+      }),
+    });
+    jest.spyOn(Device, "find").mockReturnValue({
+      select: jest.fn().mockResolvedValue([{ token: "token-a" }]),
+    });
+  });
+
+  it("pushes a like that was added to a group", async () => {
+    const notificationId = new mongoose.Types.ObjectId();
+    jest.spyOn(Notification, "record").mockResolvedValue({
+      _id: notificationId,
+    });
+
+    await notifyLike(post, liker);
+
+    expect(Notification.record).toHaveBeenCalledWith(event);
+    expect(transport.sent).toEqual([
+      {
+        tokens: ["token-a"],
+        title: "SoulHeads",
+        body: "alex liked your post",
+        data: {
+          notificationId: notificationId.toString(),
+          postId: postId.toString(),
+          type: "like",
+        },
+      },
+    ]);
+  });
+
+  it("doesn't push a like that was deduplicated", async () => {
+    jest.spyOn(Notification, "record").mockResolvedValue(null);
+
+    await notifyLike(post, liker);
+
+    expect(transport.sent).toEqual([]);
+  });
+
+  it("doesn't notify people who like their own post", async () => {
+    const record = jest.spyOn(Notification, "record");
+
+    await notifyLike(post, { ...liker, _id: recipientId });
+
+    expect(record).not.toHaveBeenCalled();
+    expect(transport.sent).toEqual([]);
+  });
+});
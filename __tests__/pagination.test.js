@@ -0,0 +1,246 @@
+const mongoose = require("mongoose");
+const {
+  DEFAULT_SORT,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  parseLimit,
+  parsePagination,
+  paginate,
+} = require("../utils/pagination");
+
+const id = () => new mongoose.Types.ObjectId();
+
+/**
+ * Stand-in for a Mongoose model: find() records how the query was built and
+ * resolves to the given documents, cut to the requested limit
+ */
+const fakeModel = (docs, total = docs.length) => {
+  const calls = {};
+  const query = {
+    skip: (count) => {
+      calls.skip = count;
+      return query;
+    },
+    sort: (sort) => {
+      calls.sort = sort;
+      return query;
+    },
+    limit: (limit) => {
+      calls.limit = limit;
+      return query;
+    },
+    select: (fields) => {
+      calls.select = fields;
+      return query;
+    },
+    projection: () => calls.projection || null,
+    then: (resolve, reject) =>
+      Promise.resolve(docs.slice(0, calls.limit)).then(resolve, reject),
+  };
+
+  return {
+    calls,
+    find: (filter) => {
+      calls.filter = filter;
+      return query;
+    },
+    countDocuments: async (filter) => {
+      calls.countFilter = filter;
+      return total;
+    },
+  };
+};
+
+const postsAt = (...dates) =>
+  dates.map((date) => ({ _id: id(), createdAt: new Date(date) }));
+
+describe("cursors", () => {
+  it("round-trip dates and ObjectIds", () => {
+    const [item] = postsAt("2026-10-01T10:00:00Z");
+
+    expect(decodeCursor(encodeCursor(item))).toEqual({
+      createdAt: item.createdAt,
+      _id: item._id,
+    });
+  });
+
+  it("read nested sort keys", () => {
+    const sort = { "stats.likes": -1, _id: -1 };
+    const item = { _id: id(), stats: { likes: 12 } };
+
+    expect(decodeCursor(encodeCursor(item, sort), sort)).toEqual({
+      "stats.likes": 12,
+      _id: item._id,
+    });
+  });
+
+  it("are rejected when malformed or from another sort", () => {
+    const [item] = postsAt("2026-10-01T10:00:00Z");
+
+    expect(decodeCursor("garbage")).toBeNull();
+    expect(
+      decodeCursor(encodeCursor(item), { averageRating: -1, _id: -1 })
+    ).toBeNull();
+    expect(encodeCursor(undefined)).toBeNull();
+  });
+
+  it("select what comes after them, key by key", () => {
+    const [item] = postsAt("2026-10-01T10:00:00Z");
+
+    expect(cursorFilter(decodeCursor(encodeCursor(item)))).toEqual({
+      $or: [
+        { createdAt: { $lt: item.createdAt } },
+        { createdAt: item.createdAt, _id: { $lt: item._id } },
+      ],
+    });
+    expect(cursorFilter(null)).toEqual({});
+  });
+
+  it("follow ascending sorts with $gt", () => {
+    const sort = { name: 1, _id: 1 };
+    const item = { _id: id(), name: "kim" };
+
+    expect(
+      cursorFilter(decodeCursor(encodeCursor(item, sort), sort), sort)
+    ).toEqual({
+      $or: [{ name: { $gt: "kim" } }, { name: "kim", _id: { $gt: item._id } }],
+    });
+  });
+});
+
+describe("parseLimit", () => {
+  it("keeps the limit within bounds", () => {
+    expect(parseLimit(undefined)).toBe(10);
+    expect(parseLimit("25")).toBe(25);
+    expect(parseLimit("500")).toBe(50);
+    expect(parseLimit("-3")).toBe(1);
+    expect(parseLimit("500", 10, 20)).toBe(20);
+  });
+});
+
+describe("parsePagination", () => {
+  it("reads by cursor unless a page is asked for", () => {
+    expect(parsePagination({})).toEqual({
+      cursor: null,
+      limit: 10,
+      sort: DEFAULT_SORT,
+      includeTotal: false,
+    });
+    expect(parsePagination({ page: "3", limit: "5" })).toEqual({
+      page: 3,
+      limit: 5,
+      sort: DEFAULT_SORT,
+    });
+  });
+
+  it("ends every sort on _id", () => {
+    expect(parsePagination({}, { averageRating: -1 }).sort).toEqual({
+      averageRating: -1,
+      _id: -1,
+    });
+  });
+
+  it("gives null for a cursor it can't resume", () => {
+    expect(parsePagination({ cursor: "garbage" })).toBeNull();
+  });
+
+  it("prefers the cursor when both are sent", () => {
+    const [item] = postsAt("2026-10-01T10:00:00Z");
+    const pagination = parsePagination({
+      page: "2",
+      cursor: encodeCursor(item),
+    });
+
+    expect(pagination.page).toBeUndefined();
+    expect(pagination.cursor).toEqual({
+      createdAt: item.createdAt,
+      _id: item._id,
+    });
+  });
+});
+
+describe("paginate", () => {
+  const docs = postsAt(
+    "2026-10-03T00:00:00Z",
+    "2026-10-02T00:00:00Z",
+    "2026-10-01T00:00:00Z"
+  );
+
+  it("returns a page and the cursor of its last item", async () => {
+    const Model = fakeModel(docs);
+
+    const result = await paginate(
+      Model,
+      { userId: "u1" },
+      parsePagination({ limit: "2" })
+    );
+
+    expect(result.items).toEqual(docs.slice(0, 2));
+    expect(result.hasMore).toBe(true);
+    expect(decodeCursor(result.nextCursor)).toEqual({
+      createdAt: docs[1].createdAt,
+      _id: docs[1]._id,
+    });
+    expect(result.total).toBeUndefined();
+    // One extra item tells whether there is another page
+    expect(Model.calls.limit).toBe(3);
+    expect(Model.calls.filter).toEqual({ userId: "u1" });
+  });
+
+  it("combines the filter with the cursor", async () => {
+    const Model = fakeModel(docs.slice(2));
+    const pagination = parsePagination({
+      limit: "2",
+      cursor: encodeCursor(docs[1]),
+    });
+
+    const result = await paginate(Model, { userId: "u1" }, pagination);
+
+    expect(Model.calls.filter).toEqual({
+      $and: [{ userId: "u1" }, cursorFilter(pagination.cursor)],
+    });
+    expect(result).toMatchObject({ hasMore: false, nextCursor: null });
+  });
+
+  it("counts the list only when asked to", async () => {
+    const Model = fakeModel(docs, 3);
+
+    const result = await paginate(
+      Model,
+      {},
+      parsePagination({ limit: "2", includeTotal: "true" })
+    );
+
+    expect(result.total).toBe(3);
+  });
+
+  it("skips to the page and reports totals in offset mode", async () => {
+    const Model = fakeModel(docs.slice(2), 3);
+
+    const result = await paginate(
+      Model,
+      {},
+      parsePagination({ page: "2", limit: "2" })
+    );
+
+    expect(Model.calls.skip).toBe(2);
+    expect(result).toMatchObject({
+      total: 3,
+      currentPage: 2,
+      totalPages: 2,
+      hasMore: false,
+    });
+  });
+
+  it("keeps the sort keys in an inclusive select", async () => {
+    const Model = fakeModel(docs);
+    Model.calls.projection = { username: 1 };
+
+    await paginate(Model, {}, parsePagination({}), (query) =>
+      query.select("username")
+    );
+
+    expect(Model.calls.select).toBe("createdAt _id");
+  });
+});
@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+const Device = require("../models/Device");
+const User = require("../models/User");
+const {
+  sendPush,
+  setTransport,
+  getTransport,
+  createRecordingTransport,
+} = require("../utils/push");
+
+const userId = new mongoose.Types.ObjectId();
+
+const mockPreferences = (preferences) =>
+  jest.spyOn(User, "findById").mockReturnValue({
+    select: jest.fn().mockResolvedValue({
+      notificationPreferences: { push: true, ...preferences },
+    }),
+  });
+
+const mockDevices = (tokens) =>
+  jest.spyOn(Device, "find").mockReturnValue({
+    select: jest.fn().mockResolvedValue(tokens.map((token) => ({ token }))),
+  });
+
+test("tests push through the recording transport", () => {
+  expect(getTransport().name).toBe("recording");
+});
+
+describe("sendPush", () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = createRecordingTransport();
+    setTransport(transport);
+    jest.spyOn(Device, "deleteMany").mockResolvedValue({ deletedCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("records one message for every device, with string data", async () => {
+    const postId = new mongoose.Types.ObjectId();
+    mockPreferences({});
+    mockDevices(["token-a", "token-b"]);
+
+    const delivered = await sendPush(userId, "like", {
+      title: "SoulHeads",
+      body: "alex liked your post",
+      data: { postId, sneakerId: null },
+    });
+
+    expect(delivered).toBe(2);
+    expect(transport.sent).toEqual([
+      {
+        tokens: ["token-a", "token-b"],
+        title: "SoulHeads",
+        body: "alex liked your post",
+        data: { postId: postId.toString(), type: "like" },
+      },
+    ]);
+  });
+
+  it.each([
+    ["push is off", { push: false }, "like"],
+    ["the type is off", { like: false }, "like"],
+    [
+      "the preference behind the type is off",
+      { wishlist: false },
+      "price_alert",
+    ],
+  ])("sends nothing when %s", async (_, preferences, type) => {
+    mockPreferences(preferences);
+    mockDevices(["token-a"]);
+
+    expect(await sendPush(userId, type, { title: "t", body: "b" })).toBe(0);
+    expect(transport.sent).toEqual([]);
+  });
+
+  it("removes tokens the transport no longer knows", async () => {
+    mockPreferences({});
+    mockDevices(["token-a", "token-b"]);
+    transport.invalidTokens.add("token-b");
+
+    expect(await sendPush(userId, "follow", { title: "t", body: "b" })).toBe(1);
+    expect(Device.deleteMany).toHaveBeenCalledWith({
+      token: { $in: ["token-b"] },
+    });
+  });
+
+  it("sends at most 500 tokens at a time", async () => {
+    const tokens = Array.from({ length: 501 }, (_, i) => `token-${i}`);
+    mockPreferences({});
+    mockDevices(tokens);
+
+    expect(await sendPush(userId, "comment", { title: "t", body: "b" })).toBe(
+      501
+    );
+    expect(transport.sent.map((message) => message.tokens.length)).toEqual([
+      500, 1,
+    ]);
+  });
+
+  it("does nothing without a transport", async () => {
+    const findById = mockPreferences({});
+    setTransport(null);
+
+    expect(await sendPush(userId, "like", { title: "t", body: "b" })).toBe(0);
+    expect(findById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,119 @@
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const Sneaker = require("../models/Sneaker");
+const Brand = require("../models/Brand");
+const { search, parseSearchPagination } = require("../utils/search");
+const { handleError } = require("../utils/errorHandler");
+const searchRoutes = require("../routes/search");
+
+const app = express();
+app.use("/api/search", searchRoutes);
+app.use(handleError);
+
+const sneakers = Array.from({ length: 5 }, (_, i) => ({
+  _id: new mongoose.Types.ObjectId(),
+  sneakerName: `Air Max ${90 + i}`,
+  brandName: "Nike",
+  nameKey: `nike:air max ${90 + i}`,
+  averageRating: 0,
+  postCount: 0,
+  relevance: 5 - i,
+}));
+
+beforeEach(() => {
+  jest.spyOn(Sneaker, "distinct").mockResolvedValue([]);
+  jest.spyOn(Brand, "find").mockReturnValue({
+    select: () => ({ lean: async () => [] }),
+  });
+  jest.spyOn(Sneaker, "aggregate").mockResolvedValue(sneakers);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("parseSearchPagination", () => {
+  it("starts at the top by cursor when no page is given", () => {
+    expect(parseSearchPagination({})).toEqual({ after: 0, limit: 10 });
+  });
+
+  it("keeps offset mode for ?page=", () => {
+    expect(parseSearchPagination({ page: "2", limit: "5" })).toEqual({
+      page: 2,
+      limit: 5,
+    });
+  });
+
+  it("rejects a cursor it didn't produce", () => {
+    expect(parseSearchPagination({ cursor: "not-a-cursor" })).toBeNull();
+  });
+});
+
+describe("search", () => {
+  const names = (result) => result.items.map((item) => item.sneakerName);
+
+  it("reads the ranking page by page with nextCursor", async () => {
+    const first = await search("air max", "sneakers", { limit: 2 });
+    expect(names(first)).toEqual(["Air Max 90", "Air Max 91"]);
+    expect(first.hasMore).toBe(true);
+    expect(first.total).toBe(5);
+
+    const second = await search(
+      "air max",
+      "sneakers",
+      parseSearchPagination({ cursor: first.nextCursor, limit: "2" })
+    );
+    expect(names(second)).toEqual(["Air Max 92", "Air Max 93"]);
+
+    const last = await search(
+      "air max",
+      "sneakers",
+      parseSearchPagination({ cursor: second.nextCursor, limit: "2" })
+    );
+    expect(names(last)).toEqual(["Air Max 94"]);
+    expect(last).toMatchObject({ hasMore: false, nextCursor: null });
+  });
+
+  it("returns page totals in offset mode", async () => {
+    const result = await search("air max", "sneakers", { page: 2, limit: 2 });
+
+    expect(names(result)).toEqual(["Air Max 92", "Air Max 93"]);
+    expect(result).toMatchObject({ currentPage: 2, totalPages: 3 });
+    expect(result.nextCursor).toBeUndefined();
+  });
+});
+
+describe("GET /api/search", () => {
+  it("searches the trimmed query", async () => {
+    const response = await request(app)
+      .get("/api/search")
+      .query({ q: "  air max ", type: "sneakers" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.query).toBe("air max");
+    expect(response.body.sneakers).toHaveLength(5);
+  });
+
+  it("rejects a repeated ?q=", async () => {
+    const response = await request(app).get("/api/search?q=air&q=max");
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe("GET /api/search/suggest", () => {
+  it("rejects a repeated ?q=", async () => {
+    const response = await request(app).get("/api/search/suggest?q=a&q=b");
+
+    expect(response.status).toBe(400);
+  });
+
+  it("rejects a repeated ?types=", async () => {
+    const response = await request(app).get(
+      "/api/search/suggest?q=a&types=brands&types=users"
+    );
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,173 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const {
+  blockedIdsFor,
+  isBlockedBetween,
+  assertNotBlocked,
+  canViewContent,
+  assertCanViewContent,
+  visiblePostsFilter,
+  assertPostVisible,
+} = require("../utils/visibility");
+
+const id = () => new mongoose.Types.ObjectId();
+
+const [friend, blocked, blocker, muted, owner] = [id(), id(), id(), id(), id()];
+
+const viewerWith = (roles = []) => ({
+  _id: id(),
+  following: [friend],
+  blockedUsers: [blocked],
+  mutedUsers: [muted],
+  hasRole: (...wanted) => roles.some((role) => wanted.includes(role)),
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("visiblePostsFilter", () => {
+  beforeEach(() => {
+    jest.spyOn(User, "distinct").mockResolvedValue([blocker]);
+  });
+
+  it("shows guests public, unsuspended, unhidden posts", async () => {
+    const filter = await visiblePostsFilter(undefined);
+
+    expect(filter).toEqual({
+      isHidden: { $ne: true },
+      authorSuspendedUntil: { $not: { $gt: expect.any(Date) } },
+      authorPrivate: { $ne: true },
+    });
+    expect(User.distinct).not.toHaveBeenCalled();
+  });
+
+  it("opens private authors the viewer follows and drops blocks both ways", async () => {
+    const viewer = viewerWith();
+
+    const filter = await visiblePostsFilter(viewer);
+
+    expect(filter.$or).toEqual([
+      { authorPrivate: { $ne: true } },
+      { userId: { $in: [viewer._id, friend] } },
+    ]);
+    expect(filter.userId).toEqual({ $nin: [blocked, blocker] });
+    expect(User.distinct).toHaveBeenCalledWith("_id", {
+      blockedUsers: viewer._id,
+    });
+  });
+
+  it("drops muted authors only when asked to", async () => {
+    const viewer = viewerWith();
+
+    const filter = await visiblePostsFilter(viewer, { excludeMuted: true });
+
+    expect(filter.userId).toEqual({ $nin: [blocked, blocker, muted] });
+  });
+});
+
+describe("blocking", () => {
+  it("is read from either side", async () => {
+    const viewer = viewerWith();
+    jest.spyOn(User, "exists").mockResolvedValue({ _id: blocker });
+
+    expect(await isBlockedBetween(blocked, viewer)).toBe(true);
+    expect(User.exists).not.toHaveBeenCalled();
+
+    expect(await isBlockedBetween(blocker, viewer)).toBe(true);
+    expect(User.exists).toHaveBeenCalledWith({
+      _id: blocker,
+      blockedUsers: viewer._id,
+    });
+  });
+
+  it("never applies to guests", async () => {
+    expect(await isBlockedBetween(blocked, undefined)).toBe(false);
+    expect(await blockedIdsFor(undefined)).toEqual([]);
+  });
+
+  it("is reported as BLOCKED", async () => {
+    jest.spyOn(User, "exists").mockResolvedValue(null);
+
+    await expect(assertNotBlocked(blocked, viewerWith())).rejects.toMatchObject(
+      { statusCode: 403, errorCode: "BLOCKED" }
+    );
+    await expect(
+      assertNotBlocked(owner, viewerWith())
+    ).resolves.toBeUndefined();
+  });
+});
+
+describe("content of private accounts", () => {
+  it("is visible to the owner without a lookup", async () => {
+    const exists = jest.spyOn(User, "exists");
+    const viewer = { ...viewerWith(), _id: owner };
+
+    expect(await canViewContent(owner, viewer)).toBe(true);
+    await expect(assertCanViewContent(owner, viewer)).resolves.toBeUndefined();
+    expect(exists).not.toHaveBeenCalled();
+  });
+
+  it("is visible to approved followers", async () => {
+    const viewer = viewerWith();
+    jest
+      .spyOn(User, "exists")
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ _id: owner });
+
+    expect(await canViewContent(owner, viewer)).toBe(true);
+    expect(User.exists).toHaveBeenLastCalledWith({
+      _id: owner,
+      $or: [{ isPrivate: { $ne: true } }, { followers: viewer._id }],
+    });
+  });
+
+  it("is refused to everyone else as PRIVATE_ACCOUNT", async () => {
+    jest.spyOn(User, "exists").mockResolvedValue(null);
+
+    expect(await canViewContent(owner, undefined)).toBe(false);
+    await expect(assertCanViewContent(owner, undefined)).rejects.toMatchObject({
+      statusCode: 403,
+      errorCode: "PRIVATE_ACCOUNT",
+    });
+  });
+});
+
+describe("assertPostVisible", () => {
+  const hiddenPost = { userId: { _id: owner }, isHidden: true };
+
+  beforeEach(() => {
+    // No block between the two, and the author's privacy lets the viewer in
+    jest
+      .spyOn(User, "exists")
+      .mockImplementation(async (filter) =>
+        filter.$or ? { _id: owner } : null
+      );
+  });
+
+  it("hides moderator-hidden posts as if they didn't exist", async () => {
+    await expect(
+      assertPostVisible(hiddenPost, viewerWith())
+    ).rejects.toMatchObject({ statusCode: 404 });
+    await expect(
+      assertPostVisible(hiddenPost, undefined)
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it("still shows hidden posts to their author and to staff", async () => {
+    await expect(
+      assertPostVisible(hiddenPost, { ...viewerWith(), _id: owner })
+    ).resolves.toBeUndefined();
+    await expect(
+      assertPostVisible(hiddenPost, viewerWith(["moderator"]))
+    ).resolves.toBeUndefined();
+  });
+
+  it("follows the author's privacy for other posts", async () => {
+    User.exists.mockResolvedValue(null);
+
+    await expect(
+      assertPostVisible({ userId: owner, isHidden: false }, undefined)
+    ).rejects.toMatchObject({ errorCode: "PRIVATE_ACCOUNT" });
+  });
+});
@@ -1,16 +1,17 @@
+const dotenv = require("dotenv");
+
+// Load environment variables first: the rate limit store, cache and push
+// transport pick their backends from them as soon as they are required
+dotenv.config();
+
 const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
-const dotenv = require("dotenv");
 const connectDB = require("./config/db");
 const { initializeFirebaseAdmin } = require("./config/firebaseAdmin");
-const path = require("path");
 const morgan = require("morgan");
-const logger = require("./utils/logger");
-const { handleError } = require("./utils/errorHandler");
-
-// Load environment variables
-dotenv.config();
+const rateLimiter = require("./middleware/rateLimiter");
+const { handleError, errorTypes } = require("./utils/errorHandler");
 
 // Connect to MongoDB
 connectDB();
@@ -27,6 +28,12 @@ app.use(helmet());
 // Enable CORS
 app.use(cors());
 
+// Behind the nginx proxy, trust X-Forwarded-For so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set("trust proxy", isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Request body parsing
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: false, limit: "10mb" }));
@@ -35,10 +42,16 @@ app.use(express.urlencoded({ extended: false, limit: "10mb" }));
 app.use(morgan("dev"));
 
 // Define routes
-app.use("/api/auth", require("./routes/auth"));
+app.use("/api/auth", rateLimiter.auth(), require("./routes/auth"));
 app.use("/api/users", require("./routes/users"));
+app.use("/api/posts/:id/comments", require("./routes/comments"));
 app.use("/api/posts", require("./routes/posts"));
 app.use("/api/sneakers", require("./routes/sneakers"));
+app.use("/api/brands", require("./routes/brands"));
+app.use("/api/notifications", require("./routes/notifications"));
+app.use("/api/search", require("./routes/search"));
+app.use("/api/reports", require("./routes/reports"));
+app.use("/api/admin", require("./routes/admin"));
 
 // Development routes (only in development mode)
 if (process.env.NODE_ENV === "development") {
@@ -53,9 +66,7 @@ app.get("/", (req, res) => {
 
 // 404 handler
 app.use((req, res, next) => {
-  const error = new Error(`Route ${req.originalUrl} not found`);
-  error.statusCode = 404;
-  next(error);
+  next(errorTypes.notFound(`Route ${req.originalUrl}`));
 });
 
 // Error handler
@@ -1,4 +1,10 @@
 const User = require("../models/User");
+const {
+  AppError,
+  errorCodes,
+  errorTypes,
+  catchAsync,
+} = require("../utils/errorHandler");
 
 /**
  * Development-only authentication middleware
@@ -7,115 +13,99 @@ const User = require("../models/User");
  * Usage: Add header "x-dev-user-id" with a valid MongoDB user ID
  * or "x-dev-username" with a username to authenticate as that user
  */
-const authenticateDev = async (req, res, next) => {
-  try {
-    // Only allow in development mode
-    if (process.env.NODE_ENV === "production") {
-      return res.status(403).json({
-        message: "Development authentication not allowed in production",
-      });
-    }
-
-    // Check for development headers
-    const devUserId = req.headers["x-dev-user-id"];
-    const devUsername = req.headers["x-dev-username"];
+const authenticateDev = catchAsync(async (req, res, next) => {
+  // Only allow in development mode
+  if (process.env.NODE_ENV === "production") {
+    throw errorTypes.forbidden(
+      "Development authentication not allowed in production"
+    );
+  }
 
-    if (!devUserId && !devUsername) {
-      return res.status(401).json({
-        message:
-          "Development auth: Please provide x-dev-user-id or x-dev-username header",
-      });
-    }
+  // Check for development headers
+  const devUserId = req.headers["x-dev-user-id"];
+  const devUsername = req.headers["x-dev-username"];
 
-    let user;
+  if (!devUserId && !devUsername) {
+    throw errorTypes.unauthorized(
+      "Development auth: Please provide x-dev-user-id or x-dev-username header"
+    );
+  }
 
-    // Find user by ID or username
-    if (devUserId) {
-      user = await User.findById(devUserId);
-    } else if (devUsername) {
-      user = await User.findOne({ username: devUsername });
-    }
+  let user;
 
-    if (!user) {
-      return res.status(404).json({
-        message: "Development auth: User not found",
-        providedId: devUserId,
-        providedUsername: devUsername,
-      });
-    }
+  // Find user by ID or username
+  if (devUserId) {
+    user = await User.findById(devUserId);
+  } else if (devUsername) {
+    user = await User.findOne({ username: devUsername });
+  }
 
-    // Attach user to request object (same as production auth)
-    req.user = user;
-    req.firebaseUser = {
-      uid: user.firebaseUid || "dev-uid",
-      email: user.email,
-      name: user.username,
-    };
-
-    console.log(`[DEV AUTH] Authenticated as: ${user.username} (${user._id})`);
-    next();
-  } catch (error) {
-    console.error("Development authentication error:", error);
-    res
-      .status(500)
-      .json({ message: "Server error during development authentication" });
+  if (!user) {
+    throw new AppError(
+      "Development auth: User not found",
+      404,
+      errorCodes.USER_NOT_FOUND,
+      { providedId: devUserId, providedUsername: devUsername }
+    );
   }
-};
+
+  // Attach user to request object (same as production auth)
+  req.user = user;
+  req.firebaseUser = {
+    uid: user.firebaseUid || "dev-uid",
+    email: user.email,
+    name: user.username,
+  };
+
+  console.log(`[DEV AUTH] Authenticated as: ${user.username} (${user._id})`);
+  next();
+});
 
 /**
  * Mock Firebase token for development
  * Creates a temporary user if needed
  */
-const mockFirebaseAuth = async (req, res, next) => {
-  try {
-    if (process.env.NODE_ENV === "production") {
-      return res.status(403).json({
-        message: "Mock authentication not allowed in production",
-      });
-    }
+const mockFirebaseAuth = catchAsync(async (req, res, next) => {
+  if (process.env.NODE_ENV === "production") {
+    throw errorTypes.forbidden("Mock authentication not allowed in production");
+  }
 
-    const mockEmail = req.headers["x-mock-email"] || "dev@test.com";
-    const mockUsername = req.headers["x-mock-username"] || "devuser";
-    const mockUid = req.headers["x-mock-uid"] || "dev-firebase-uid-123";
-
-    // Find or create user
-    let user = await User.findOne({ firebaseUid: mockUid });
-
-    if (!user) {
-      // Check if username exists
-      const existingUser = await User.findOne({ username: mockUsername });
-      if (existingUser) {
-        return res.status(400).json({
-          message: `Username ${mockUsername} already exists. Use x-mock-username header with different value.`,
-        });
-      }
-
-      // Create new mock user
-      user = new User({
-        username: mockUsername,
-        email: mockEmail,
-        firebaseUid: mockUid,
-        profilePhoto: "https://via.placeholder.com/150",
-      });
-      await user.save();
-      console.log(`[MOCK AUTH] Created new user: ${mockUsername}`);
+  const mockEmail = req.headers["x-mock-email"] || "dev@test.com";
+  const mockUsername = req.headers["x-mock-username"] || "devuser";
+  const mockUid = req.headers["x-mock-uid"] || "dev-firebase-uid-123";
+
+  // Find or create user
+  let user = await User.findOne({ firebaseUid: mockUid });
+
+  if (!user) {
+    // Check if username exists
+    const existingUser = await User.findOne({ username: mockUsername });
+    if (existingUser) {
+      throw errorTypes.conflict(
+        `Username ${mockUsername} already exists. Use x-mock-username header with different value.`
+      );
     }
 
-    req.user = user;
-    req.firebaseUser = {
-      uid: mockUid,
+    // Create new mock user
+    user = new User({
+      username: mockUsername,
       email: mockEmail,
-      name: mockUsername,
-    };
-
-    console.log(`[MOCK AUTH] Authenticated as: ${user.username} (${user._id})`);
-    next();
-  } catch (error) {
-    console.error("Mock authentication error:", error);
-    res
-      .status(500)
-      .json({ message: "Server error during mock authentication" });
+      firebaseUid: mockUid,
+      profilePhoto: "https://via.placeholder.com/150",
+    });
+    await user.save();
+    console.log(`[MOCK AUTH] Created new user: ${mockUsername}`);
   }
-};
+
+  req.user = user;
+  req.firebaseUser = {
+    uid: mockUid,
+    email: mockEmail,
+    name: mockUsername,
+  };
+
+  console.log(`[MOCK AUTH] Authenticated as: ${user.username} (${user._id})`);
+  next();
+});
 
 module.exports = { authenticateDev, mockFirebaseAuth };
@@ -1,130 +1,125 @@
 const { verifyFirebaseToken } = require("../utils/firebase");
 const User = require("../models/User");
+const { syncRoleClaim } = require("../utils/moderation");
+const {
+  AppError,
+  errorCodes,
+  errorTypes,
+  fromFirebaseError,
+  catchAsync,
+} = require("../utils/errorHandler");
 
 /**
  * Authentication middleware using Firebase token verification
  * Supports development mode bypassing for easier testing
  */
-const authenticate = async (req, res, next) => {
-  try {
-    // Development mode bypass
-    if (
-      process.env.NODE_ENV === "development" &&
-      req.headers["x-dev-bypass"] === "true"
-    ) {
-      return handleDevBypass(req, res, next);
-    }
+const authenticate = catchAsync(async (req, res, next) => {
+  // Development mode bypass
+  if (
+    process.env.NODE_ENV === "development" &&
+    req.headers["x-dev-bypass"] === "true"
+  ) {
+    return handleDevBypass(req, res, next);
+  }
 
-    // Check if authorization header exists
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res
-        .status(401)
-        .json({ message: "No token provided, authorization denied" });
-    }
+  // Check if authorization header exists
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    throw errorTypes.unauthorized("No token provided, authorization denied");
+  }
 
-    // Extract token from header
-    const token = authHeader.split(" ")[1];
+  // Extract token from header
+  const token = authHeader.split(" ")[1];
 
-    if (!token || token === "undefined" || token === "null") {
-      return res
-        .status(401)
-        .json({ message: "Invalid token format, authorization denied" });
-    }
+  if (!token || token === "undefined" || token === "null") {
+    throw errorTypes.unauthorized("Invalid token format, authorization denied");
+  }
 
-    // Verify the Firebase token
-    let decodedToken;
-    try {
-      decodedToken = await verifyFirebaseToken(token);
-    } catch (tokenError) {
-      if (tokenError.code === "auth/id-token-expired") {
-        return res.status(401).json({
-          message: "Token has expired, please log in again",
-          code: "TOKEN_EXPIRED",
-        });
-      }
+  // Verify the Firebase token
+  let decodedToken;
+  try {
+    decodedToken = await verifyFirebaseToken(token);
+  } catch (tokenError) {
+    throw fromFirebaseError(tokenError);
+  }
 
-      if (tokenError.code === "auth/id-token-revoked") {
-        return res.status(401).json({
-          message: "Token has been revoked, please log in again",
-          code: "TOKEN_REVOKED",
-        });
-      }
+  if (!decodedToken.uid) {
+    throw new AppError("Invalid token payload", 401, errorCodes.TOKEN_INVALID);
+  }
 
-      return res
-        .status(401)
-        .json({ message: "Token verification failed", code: "TOKEN_INVALID" });
-    }
+  // Find user in our database
+  const user = await User.findOne({ firebaseUid: decodedToken.uid });
 
-    if (!decodedToken.uid) {
-      return res.status(401).json({ message: "Invalid token payload" });
-    }
+  if (!user) {
+    throw new AppError("User not found", 404, errorCodes.USER_NOT_FOUND, {
+      firebaseUid: decodedToken.uid,
+    });
+  }
 
-    // Find user in our database
-    const user = await User.findOne({ firebaseUid: decodedToken.uid });
+  if (user.isSuspended()) {
+    throw new AppError(
+      "This account has been suspended",
+      403,
+      errorCodes.ACCOUNT_SUSPENDED,
+      { reason: user.suspension.reason, until: user.suspension.until }
+    );
+  }
 
-    if (!user) {
-      return res.status(404).json({
-        message: "User not found",
-        code: "USER_NOT_FOUND",
-        firebaseUid: decodedToken.uid,
-      });
-    }
+  // A role whose claim couldn't be written when it was set (e.g. npm run
+  // set-role without Firebase) is synced once. Tokens issued before the sync
+  // keep the old claim until they refresh, so the token alone can't tell.
+  if (
+    (decodedToken.role || "user") !== user.role &&
+    user.roleClaim !== user.role
+  ) {
+    await syncRoleClaim(user);
+  }
 
-    // Attach user to request object
-    req.user = user;
-    req.firebaseUser = decodedToken;
+  // Attach user to request object
+  req.user = user;
+  req.firebaseUser = decodedToken;
 
-    next();
-  } catch (error) {
-    console.error("Authentication error:", error);
-    res.status(500).json({ message: "Server error during authentication" });
-  }
-};
+  next();
+});
 
 /**
  * Development mode bypass function
  */
-const handleDevBypass = async (req, res, next) => {
-  try {
-    const devUserId = req.headers["x-dev-user-id"];
-    const devUsername = req.headers["x-dev-username"] || "testuser";
-    const devEmail = req.headers["x-dev-email"] || "test@dev.com";
+const handleDevBypass = catchAsync(async (req, res, next) => {
+  const devUserId = req.headers["x-dev-user-id"];
+  const devUsername = req.headers["x-dev-username"] || "testuser";
+  const devEmail = req.headers["x-dev-email"] || "test@dev.com";
 
-    let user;
+  let user;
 
-    if (devUserId) {
-      user = await User.findById(devUserId);
-    } else {
-      user = await User.findOne({ username: devUsername });
-    }
+  if (devUserId) {
+    user = await User.findById(devUserId);
+  } else {
+    user = await User.findOne({ username: devUsername });
+  }
 
-    // Create user if doesn't exist in dev mode
-    if (!user) {
-      user = new User({
-        username: devUsername,
-        email: devEmail,
-        firebaseUid: `dev-${devUsername}-${Date.now()}`,
-        profilePhoto: "https://via.placeholder.com/150",
-      });
-      await user.save();
-      console.log(`[DEV] Created test user: ${devUsername}`);
-    }
+  // Create user if doesn't exist in dev mode
+  if (!user) {
+    user = new User({
+      username: devUsername,
+      email: devEmail,
+      firebaseUid: `dev-${devUsername}-${Date.now()}`,
+      profilePhoto: "https://via.placeholder.com/150",
+    });
+    await user.save();
+    console.log(`[DEV] Created test user: ${devUsername}`);
+  }
 
-    req.user = user;
-    req.firebaseUser = {
-      uid: user.firebaseUid,
-      email: user.email,
-      name: user.username,
-    };
+  req.user = user;
+  req.firebaseUser = {
+    uid: user.firebaseUid,
+    email: user.email,
+    name: user.username,
+  };
 
-    console.log(`[DEV] Bypassed auth for user: ${user.username}`);
-    next();
-  } catch (error) {
-    console.error("Development bypass error:", error);
-    res.status(500).json({ message: "Server error during development bypass" });
-  }
-};
+  console.log(`[DEV] Bypassed auth for user: ${user.username}`);
+  next();
+});
 
 /**
  * Optional authentication - doesn't return error if no token provided
@@ -132,6 +127,14 @@ const handleDevBypass = async (req, res, next) => {
  */
 const optionalAuth = async (req, res, next) => {
   try {
+    // Development mode bypass
+    if (
+      process.env.NODE_ENV === "development" &&
+      req.headers["x-dev-bypass"] === "true"
+    ) {
+      return handleDevBypass(req, res, next);
+    }
+
     // Check if authorization header exists
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith("Bearer ")) {
@@ -154,7 +157,8 @@ const optionalAuth = async (req, res, next) => {
       // Find user in our database
       const user = await User.findOne({ firebaseUid: decodedToken.uid });
 
-      if (user) {
+      // Suspended users browse as guests
+      if (user && !user.isSuspended()) {
         // Attach user to request object
         req.user = user;
         req.firebaseUser = decodedToken;
@@ -175,4 +179,17 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticate, optionalAuth };
+/**
+ * Only let users with one of the given roles through. Must run after authenticate.
+ * @param {...string} roles - Allowed roles, e.g. authorize("moderator", "admin")
+ */
+const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !req.user.hasRole(...roles)) {
+      return next(errorTypes.forbidden(`Requires role: ${roles.join(" or ")}`));
+    }
+    next();
+  };
+
+module.exports = { authenticate, optionalAuth, authorize };
@@ -1,22 +1,36 @@
 const logger = require("../utils/logger");
+const store = require("../utils/rateLimitStore");
+const { AppError, errorCodes } = require("../utils/errorHandler");
 
-// In-memory store for rate limiting (since Redis is removed)
-const requestStore = new Map();
-
-// Clean up old entries periodically
-setInterval(() => {
-  const now = Date.now();
-  const cutoff = now - 60 * 60 * 1000; // 1 hour ago
+/**
+ * Read a preset's limits from the environment, e.g. RATE_LIMIT_AUTH_MAX
+ * and RATE_LIMIT_AUTH_WINDOW_MS for the auth preset
+ * @param {string} name - Preset name
+ * @param {number} maxRequests - Default max requests per window
+ * @param {number} windowMs - Default window in milliseconds
+ * @returns {Object} - { maxRequests, windowMs }
+ */
+const limitsFromEnv = (name, maxRequests, windowMs) => {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  return {
+    maxRequests: parseInt(process.env[`${prefix}_MAX`]) || maxRequests,
+    windowMs: parseInt(process.env[`${prefix}_WINDOW_MS`]) || windowMs,
+  };
+};
 
-  for (const [key, entry] of requestStore.entries()) {
-    if (entry.firstRequest < cutoff) {
-      requestStore.delete(key);
-    }
-  }
-}, 5 * 60 * 1000); // Clean every 5 minutes
+/**
+ * Identify the client: authenticated traffic by user id, everyone else by IP.
+ * Behind the nginx proxy req.ip is only the client's address when TRUST_PROXY is set.
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const clientKey = (req) =>
+  req.user
+    ? `user:${req.user._id}`
+    : `ip:${req.ip || req.socket.remoteAddress || "0.0.0.0"}`;
 
 /**
- * Creates a rate limiter middleware using in-memory storage
+ * Creates a fixed-window rate limiter middleware
  * @param {number} maxRequests - Max number of requests allowed in the window
  * @param {number} windowMs - Time window in milliseconds
  * @param {Object} options - Additional options
@@ -31,112 +45,110 @@ const createRateLimiter = (maxRequests, windowMs, options = {}) => {
     keyGenerator = null,
   } = options;
 
-  return async (req, res, next) => {
-    try {
-      // Skip rate limiting based on method
-      if (skipMethods.includes(req.method)) {
-        return next();
-      }
+  const windowSeconds = Math.ceil(windowMs / 1000);
 
-      // Generate key based on IP and route or custom generator
-      const ip = req.ip || req.connection.remoteAddress || "0.0.0.0";
-      const route = req.path || req.originalUrl || req.url;
-      const key = keyGenerator
-        ? keyGenerator(req)
-        : `${keyPrefix}${ip}:${route}`;
-
-      const now = Date.now();
-      const windowStart = now - windowMs;
-
-      // Get or create entry for this key
-      let entry = requestStore.get(key);
-      if (!entry) {
-        entry = { requests: [], firstRequest: now };
-        requestStore.set(key, entry);
-      }
+  return async (req, res, next) => {
+    if (
+      process.env.RATE_LIMIT_ENABLED === "false" ||
+      skipMethods.includes(req.method)
+    ) {
+      return next();
+    }
 
-      // Remove old requests outside the window
-      entry.requests = entry.requests.filter(
-        (timestamp) => timestamp > windowStart
-      );
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+    const key = `${keyPrefix}${
+      keyGenerator ? keyGenerator(req) : clientKey(req)
+    }:${windowStart}`;
 
-      // Add rate limit headers
-      res.setHeader("X-RateLimit-Limit", maxRequests);
-      res.setHeader(
-        "X-RateLimit-Remaining",
-        Math.max(0, maxRequests - entry.requests.length)
-      );
+    let count;
+    try {
+      count = await store.increment(key, resetAt);
+    } catch (err) {
+      logger.error("Rate limiter error:", { error: err.message });
+      // Continue without rate limiting if the store is unavailable
+      return next();
+    }
 
-      // Calculate reset time
-      const oldestRequest = entry.requests[0];
-      if (oldestRequest) {
-        const resetTime = Math.ceil((oldestRequest + windowMs) / 1000);
-        res.setHeader("X-RateLimit-Reset", resetTime);
-      }
+    const resetSeconds = Math.max(Math.ceil((resetAt - now) / 1000), 1);
 
-      // Check if limit exceeded
-      if (entry.requests.length >= maxRequests) {
-        const retryAfter = Math.ceil(windowMs / 1000);
-        res.setHeader("Retry-After", retryAfter);
+    // Standard headers (IETF draft-ietf-httpapi-ratelimit-headers)
+    res.setHeader("RateLimit-Policy", `${maxRequests};w=${windowSeconds}`);
+    res.setHeader("RateLimit-Limit", maxRequests);
+    res.setHeader("RateLimit-Remaining", Math.max(0, maxRequests - count));
+    res.setHeader("RateLimit-Reset", resetSeconds);
 
-        if (handler) {
-          return handler(req, res, next);
-        }
+    if (count > maxRequests) {
+      res.setHeader("Retry-After", resetSeconds);
 
-        return res.status(429).json({
-          message: `Too many requests, please try again after ${Math.ceil(
-            retryAfter / 60
-          )} minutes`,
-          retryAfter,
-        });
+      if (handler) {
+        return handler(req, res, next);
       }
 
-      // Add current request to the list
-      entry.requests.push(now);
-
-      // Only count successful responses if configured
-      if (skipSuccessfulRequests) {
-        // Remove current request for successful responses
-        res.on("finish", () => {
-          if (res.statusCode < 400) {
-            const index = entry.requests.indexOf(now);
-            if (index > -1) {
-              entry.requests.splice(index, 1);
-            }
-          }
-        });
-      }
+      return next(
+        new AppError(
+          `Too many requests, please try again in ${resetSeconds} seconds`,
+          429,
+          errorCodes.RATE_LIMITED,
+          { retryAfter: resetSeconds }
+        )
+      );
+    }
 
-      next();
-    } catch (err) {
-      logger.error("Rate limiter error:", { error: err.message });
-      // Continue without rate limiting if there's an error
-      next();
+    // Only count failed responses if configured
+    if (skipSuccessfulRequests) {
+      res.on("finish", () => {
+        if (res.statusCode < 400) {
+          store.decrement(key).catch((err) => {
+            logger.error("Rate limiter error:", { error: err.message });
+          });
+        }
+      });
     }
+
+    next();
   };
 };
 
 /**
- * Middleware factory for different rate limiters
+ * Middleware factory for different rate limiters.
+ * Limits can be overridden per preset with RATE_LIMIT_<PRESET>_MAX and
+ * RATE_LIMIT_<PRESET>_WINDOW_MS.
  */
 const rateLimiter = {
   // General API rate limiter
-  standard: (maxRequests = 60, windowMs = 60000) =>
-    createRateLimiter(maxRequests, windowMs),
+  standard: (maxRequests = 60, windowMs = 60000) => {
+    const limits = limitsFromEnv("standard", maxRequests, windowMs);
+    return createRateLimiter(limits.maxRequests, limits.windowMs, {
+      keyGenerator: (req) => `${clientKey(req)}:${req.baseUrl}${req.path}`,
+    });
+  },
 
   // Auth endpoints - more strict
-  auth: () =>
-    createRateLimiter(20, 60000, {
+  auth: () => {
+    const limits = limitsFromEnv("auth", 20, 60000);
+    return createRateLimiter(limits.maxRequests, limits.windowMs, {
       keyPrefix: "ratelimit:auth:",
-      keyGenerator: (req) => `ratelimit:auth:${req.ip}:${req.path}`,
-    }),
-
-  // Search endpoints - less strict
-  search: () =>
-    createRateLimiter(120, 60000, {
+      keyGenerator: (req) => `${clientKey(req)}:${req.path}`,
+    });
+  },
+
+  // Creating, editing and deleting content - one budget per user across all write routes
+  write: () => {
+    const limits = limitsFromEnv("write", 30, 60000);
+    return createRateLimiter(limits.maxRequests, limits.windowMs, {
+      keyPrefix: "ratelimit:write:",
+    });
+  },
+
+  // Search endpoints - less strict, but every search counts so scraping is throttled
+  search: () => {
+    const limits = limitsFromEnv("search", 120, 60000);
+    return createRateLimiter(limits.maxRequests, limits.windowMs, {
       keyPrefix: "ratelimit:search:",
-      skipSuccessfulRequests: true,
-    }),
+    });
+  },
 };
 
 module.exports = rateLimiter;
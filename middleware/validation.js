@@ -1,15 +1,36 @@
 // filepath: c:\Users\YASH\Documents\Github\SoulHeads\middleware\validation.js
 const { body, param, query, validationResult } = require("express-validator");
 const mongoose = require("mongoose");
+const Report = require("../models/Report");
+const User = require("../models/User");
+const Sneaker = require("../models/Sneaker");
+const ClosetItem = require("../models/ClosetItem");
+const { SEARCH_TYPES } = require("../utils/search");
+const { SUGGEST_TYPES } = require("../utils/suggest");
+const { PRICE_INTERVALS } = require("../utils/prices");
+const { isSupportedCurrency } = require("../utils/currency");
+const { errorTypes } = require("../utils/errorHandler");
+
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB
 
 // Middleware to check validation results
 const checkValidation = (req, res, next) => {
+  // Rates that couldn't be loaded say nothing about the currency sent
+  if (req.exchangeRatesError) {
+    return next(req.exchangeRatesError);
+  }
+
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({
-      message: "Validation error",
-      errors: errors.array(),
-    });
+    return next(
+      errorTypes.validation("Validation error", {
+        errors: errors.array({ onlyFirstError: true }).map((error) => ({
+          field: error.path,
+          location: error.location,
+          message: error.msg,
+        })),
+      })
+    );
   }
   next();
 };
@@ -22,6 +43,65 @@ const validateObjectId = (value) => {
   return true;
 };
 
+// Validate uploaded image files (multipart bodies parsed by multer)
+const validateImages = (files, label) => {
+  for (const file of files || []) {
+    if (!file.mimetype || !file.mimetype.startsWith("image/")) {
+      throw new Error(`${label} must be an image`);
+    }
+    if (file.size > MAX_IMAGE_SIZE) {
+      throw new Error(`${label} cannot exceed 10MB`);
+    }
+  }
+  return true;
+};
+
+// Shared rules for paginated list endpoints (page or cursor mode)
+const paginationRules = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+  query("cursor")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Invalid cursor"),
+  query("includeTotal")
+    .optional()
+    .isBoolean()
+    .withMessage("includeTotal must be true or false"),
+];
+
+// A currency the exchange rates know, in any case
+const currencyRule = (field) =>
+  field
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage("Currency must be a 3-letter ISO 4217 code")
+    .bail()
+    .custom(async (value, { req }) => {
+      let supported;
+      try {
+        supported = await isSupportedCurrency(value);
+      } catch (error) {
+        // Left for checkValidation to answer 503 rather than 400
+        req.exchangeRatesError = error;
+        return true;
+      }
+      if (!supported) {
+        throw new Error("Unsupported currency");
+      }
+    })
+    .withMessage("Unsupported currency");
+
+// ?currency= converts the prices in a response
+const currencyQuery = currencyRule(query("currency"));
+
 // Auth validation rules
 const authValidation = {
   register: [
@@ -42,8 +122,87 @@ const authValidation = {
     body("idToken").notEmpty().withMessage("Firebase ID token is required"),
     checkValidation,
   ],
+  uploadPhoto: [
+    body("profilePhoto").custom((value, { req }) => {
+      if (!req.file) throw new Error("No file uploaded");
+      return validateImages([req.file], "Profile photo");
+    }),
+    checkValidation,
+  ],
 };
 
+// Closet and wishlist validation rules
+// Shared by adding and editing a closet item; null clears a field
+const closetItemRules = [
+  body("size")
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 60 })
+    .withMessage("Size must be between 0 and 60")
+    .toFloat(),
+  body("sizeSystem")
+    .optional()
+    .isIn(Sneaker.SIZE_SYSTEMS)
+    .withMessage(
+      `Size system must be one of: ${Sneaker.SIZE_SYSTEMS.join(", ")}`
+    ),
+  body("condition")
+    .optional({ values: "null" })
+    .isIn(ClosetItem.CONDITIONS)
+    .withMessage(
+      `Condition must be one of: ${ClosetItem.CONDITIONS.join(", ")}`
+    ),
+  body("purchasePrice")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Purchase price must be a non-negative number")
+    .toFloat(),
+  body("purchaseDate")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Purchase date must be an ISO 8601 date")
+    .toDate(),
+  body("notes")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot exceed 500 characters"),
+  body("visibility")
+    .optional()
+    .isIn(ClosetItem.VISIBILITIES)
+    .withMessage(
+      `Visibility must be one of: ${ClosetItem.VISIBILITIES.join(", ")}`
+    ),
+];
+
+const closetItemIdParam = param("itemId")
+  .custom(validateObjectId)
+  .withMessage("Invalid closet item ID format");
+
+// Shared by adding and editing a wishlist item; null clears a field
+const wishlistItemRules = [
+  body("desiredSize")
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 60 })
+    .withMessage("Desired size must be between 0 and 60")
+    .toFloat(),
+  body("sizeSystem")
+    .optional()
+    .isIn(Sneaker.SIZE_SYSTEMS)
+    .withMessage(
+      `Size system must be one of: ${Sneaker.SIZE_SYSTEMS.join(", ")}`
+    ),
+  body("targetPrice")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Target price must be a non-negative number")
+    .toFloat(),
+];
+
+const wishlistItemIdParam = param("itemId")
+  .custom(validateObjectId)
+  .withMessage("Invalid wishlist item ID format");
+
 // User validation rules
 const userValidation = {
   getUser: [
@@ -54,6 +213,95 @@ const userValidation = {
     param("id").custom(validateObjectId).withMessage("Invalid user ID format"),
     checkValidation,
   ],
+  targetUser: [
+    param("id").custom(validateObjectId).withMessage("Invalid user ID format"),
+    checkValidation,
+  ],
+  followRequest: [
+    param("id").custom(validateObjectId).withMessage("Invalid user ID format"),
+    checkValidation,
+  ],
+  followList: [
+    param("id").custom(validateObjectId).withMessage("Invalid user ID format"),
+    checkValidation,
+  ],
+  getCloset: [
+    ...paginationRules,
+    query("visibility")
+      .optional()
+      .isIn(ClosetItem.VISIBILITIES)
+      .withMessage(
+        `Visibility must be one of: ${ClosetItem.VISIBILITIES.join(", ")}`
+      ),
+    checkValidation,
+  ],
+  getUserCloset: [
+    param("username").notEmpty().withMessage("Username is required"),
+    ...paginationRules,
+    checkValidation,
+  ],
+  addClosetItem: [
+    body("sneakerId")
+      .custom(validateObjectId)
+      .withMessage("Invalid sneaker ID format"),
+    ...closetItemRules,
+    checkValidation,
+  ],
+  updateClosetItem: [closetItemIdParam, ...closetItemRules, checkValidation],
+  deleteClosetItem: [closetItemIdParam, checkValidation],
+  getWishlist: [...paginationRules, checkValidation],
+  addWishlistItem: [
+    body("sneakerId")
+      .custom(validateObjectId)
+      .withMessage("Invalid sneaker ID format"),
+    ...wishlistItemRules,
+    checkValidation,
+  ],
+  updateWishlistItem: [
+    wishlistItemIdParam,
+    ...wishlistItemRules,
+    checkValidation,
+  ],
+  deleteWishlistItem: [wishlistItemIdParam, checkValidation],
+  getBookmarks: [
+    ...paginationRules,
+    currencyQuery,
+    query("folder")
+      .optional()
+      .isLength({ max: 50 })
+      .withMessage("Folder name cannot exceed 50 characters"),
+    checkValidation,
+  ],
+  registerDevice: [
+    body("token")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Device token is required")
+      .isLength({ max: 4096 })
+      .withMessage("Device token is too long"),
+    body("platform")
+      .optional()
+      .isIn(["ios", "android", "web"])
+      .withMessage("Platform must be ios, android or web"),
+    checkValidation,
+  ],
+  unregisterDevice: [
+    body("token")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Device token is required"),
+    checkValidation,
+  ],
+  updateNotificationPreferences: [
+    body(["push", "follow", "like", "comment", "rating", "wishlist"])
+      .optional()
+      .isBoolean()
+      .withMessage("Preferences must be true or false")
+      .toBoolean(),
+    checkValidation,
+  ],
   updateProfile: [
     body("username")
       .optional()
@@ -63,21 +311,101 @@ const userValidation = {
       .withMessage(
         "Username can only contain letters, numbers and underscores"
       ),
+    body("isPrivate")
+      .optional()
+      .isBoolean()
+      .withMessage("isPrivate must be true or false")
+      .toBoolean(),
     checkValidation,
   ],
 };
 
 // Post validation rules
+const skuRule = (field) =>
+  body(field)
+    .optional({ values: "falsy" })
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9][A-Za-z0-9 _-]{2,29}$/)
+    .withMessage(
+      "SKU must be 3-30 letters, digits, spaces or dashes, e.g. DZ5485-612"
+    );
+
+// Catalog details an admin can set on a sneaker (null clears a field)
+const sneakerMetadataRules = [
+  skuRule("sku"),
+  body(["colorway", "silhouette"])
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Cannot exceed 100 characters"),
+  body("releaseDate")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Release date must be an ISO 8601 date")
+    .toDate(),
+  body("retailPrice")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Retail price must be a non-negative number")
+    .toFloat(),
+  body("gender")
+    .optional({ values: "null" })
+    .isIn(Sneaker.GENDERS)
+    .withMessage(`Gender must be one of: ${Sneaker.GENDERS.join(", ")}`),
+  body("sizeRun")
+    .optional({ values: "null" })
+    .isObject()
+    .withMessage("Size run must be an object with min, max and system"),
+  body(["sizeRun.min", "sizeRun.max"])
+    .if(body("sizeRun").isObject())
+    .isFloat({ min: 0, max: 60 })
+    .withMessage("Size must be between 0 and 60")
+    .toFloat(),
+  body("sizeRun.max")
+    .if(body("sizeRun").isObject())
+    .custom((value, { req }) => value >= req.body.sizeRun.min)
+    .withMessage("Size run max cannot be below min"),
+  body("sizeRun.system")
+    .optional()
+    .isIn(Sneaker.SIZE_SYSTEMS)
+    .withMessage(
+      `Size system must be one of: ${Sneaker.SIZE_SYSTEMS.join(", ")}`
+    ),
+];
+
 const postValidation = {
+  // Runs after multer, so text fields and files are both available
   createPost: [
+    body("mainImage").custom((value, { req }) => {
+      if (!req.files || !req.files.mainImage) {
+        throw new Error("Main image is required");
+      }
+      return validateImages(req.files.mainImage, "Main image");
+    }),
+    body("additionalImages").custom((value, { req }) =>
+      validateImages(
+        req.files && req.files.additionalImages,
+        "Additional images"
+      )
+    ),
+    // With a SKU that is already in the catalog the names can be left out
+    skuRule("sku"),
     body("brandName")
+      .if((value, { req }) => !req.body.sku)
       .notEmpty()
-      .withMessage("Brand name is required")
+      .withMessage("Brand name is required"),
+    body("brandName")
+      .optional()
       .isLength({ max: 50 })
       .withMessage("Brand name cannot exceed 50 characters"),
     body("sneakerName")
+      .if((value, { req }) => !req.body.sku)
       .notEmpty()
-      .withMessage("Sneaker name is required")
+      .withMessage("Sneaker name is required"),
+    body("sneakerName")
+      .optional()
       .isLength({ max: 100 })
       .withMessage("Sneaker name cannot exceed 100 characters"),
     body("description")
@@ -91,6 +419,7 @@ const postValidation = {
       .withMessage("Price must be a number")
       .custom((value) => value >= 0)
       .withMessage("Price cannot be negative"),
+    currencyRule(body("currency")).toUpperCase(),
     body("year")
       .optional()
       .isInt({ min: 1900, max: new Date().getFullYear() + 1 })
@@ -101,10 +430,15 @@ const postValidation = {
       .optional()
       .isURL()
       .withMessage("Purchase link must be a valid URL"),
+    body("purchaseAddress")
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage("Purchase address cannot exceed 200 characters"),
     checkValidation,
   ],
   getPostById: [
     param("id").custom(validateObjectId).withMessage("Invalid post ID format"),
+    currencyQuery,
     checkValidation,
   ],
   updatePost: [
@@ -119,6 +453,7 @@ const postValidation = {
       .withMessage("Price must be a number")
       .custom((value) => value >= 0)
       .withMessage("Price cannot be negative"),
+    currencyRule(body("currency")).toUpperCase(),
     body("year")
       .optional()
       .isInt({ min: 1900, max: new Date().getFullYear() + 1 })
@@ -129,17 +464,178 @@ const postValidation = {
       .optional()
       .isURL()
       .withMessage("Purchase link must be a valid URL"),
+    body("purchaseAddress")
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage("Purchase address cannot exceed 200 characters"),
     checkValidation,
   ],
-  getPaginatedPosts: [
-    query("page")
+  getPaginatedPosts: [...paginationRules, currencyQuery, checkValidation],
+  getUserPosts: [
+    param("userId")
+      .custom(validateObjectId)
+      .withMessage("Invalid user ID format"),
+    ...paginationRules,
+    currencyQuery,
+    checkValidation,
+  ],
+  getPostLikes: [
+    param("id").custom(validateObjectId).withMessage("Invalid post ID format"),
+    ...paginationRules,
+    checkValidation,
+  ],
+  bookmarkPost: [
+    param("id").custom(validateObjectId).withMessage("Invalid post ID format"),
+    body("folder")
+      .optional({ values: "null" })
+      .isString()
+      .withMessage("Folder name must be text")
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage("Folder name cannot exceed 50 characters"),
+    checkValidation,
+  ],
+};
+
+// Comment validation rules
+const commentText = () =>
+  body("text")
+    .isString()
+    .withMessage("Comment text is required")
+    .trim()
+    .notEmpty()
+    .withMessage("Comment text is required")
+    .isLength({ max: 500 })
+    .withMessage("Comment cannot exceed 500 characters");
+
+const commentValidation = {
+  getComments: [
+    param("id").custom(validateObjectId).withMessage("Invalid post ID format"),
+    query("parentId")
       .optional()
-      .isInt({ min: 1 })
-      .withMessage("Page must be a positive integer"),
-    query("limit")
+      .custom(validateObjectId)
+      .withMessage("Invalid parent comment ID format"),
+    ...paginationRules,
+    checkValidation,
+  ],
+  createComment: [
+    param("id").custom(validateObjectId).withMessage("Invalid post ID format"),
+    commentText(),
+    body("parentId")
+      .optional({ values: "null" })
+      .custom(validateObjectId)
+      .withMessage("Invalid parent comment ID format"),
+    checkValidation,
+  ],
+  updateComment: [
+    param("id").custom(validateObjectId).withMessage("Invalid post ID format"),
+    param("commentId")
+      .custom(validateObjectId)
+      .withMessage("Invalid comment ID format"),
+    commentText(),
+    checkValidation,
+  ],
+  deleteComment: [
+    param("id").custom(validateObjectId).withMessage("Invalid post ID format"),
+    param("commentId")
+      .custom(validateObjectId)
+      .withMessage("Invalid comment ID format"),
+    checkValidation,
+  ],
+};
+
+// Notification validation rules
+const notificationValidation = {
+  getNotifications: [
+    ...paginationRules,
+    query("unreadOnly")
       .optional()
-      .isInt({ min: 1, max: 50 })
-      .withMessage("Limit must be between 1 and 50"),
+      .isBoolean()
+      .withMessage("unreadOnly must be true or false"),
+    checkValidation,
+  ],
+  markRead: [
+    param("id")
+      .custom(validateObjectId)
+      .withMessage("Invalid notification ID format"),
+    checkValidation,
+  ],
+};
+
+// Report validation rules
+const reportValidation = {
+  createReport: [
+    body("targetType")
+      .isIn(["post", "comment", "user"])
+      .withMessage("Target type must be post, comment or user"),
+    body("targetId")
+      .custom(validateObjectId)
+      .withMessage("Invalid target ID format"),
+    body("reason")
+      .isIn(Report.REPORT_REASONS)
+      .withMessage(
+        `Reason must be one of: ${Report.REPORT_REASONS.join(", ")}`
+      ),
+    body("details")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Details cannot exceed 500 characters"),
+    checkValidation,
+  ],
+  getReports: [
+    ...paginationRules,
+    query("status")
+      .optional()
+      .isIn(["open", "actioned", "dismissed"])
+      .withMessage("Status must be open, actioned or dismissed"),
+    query("targetType")
+      .optional()
+      .isIn(["post", "comment", "user"])
+      .withMessage("Target type must be post, comment or user"),
+    query("reason")
+      .optional()
+      .isIn(Report.REPORT_REASONS)
+      .withMessage("Invalid reason"),
+    checkValidation,
+  ],
+  getReport: [
+    param("id")
+      .custom(validateObjectId)
+      .withMessage("Invalid report ID format"),
+    checkValidation,
+  ],
+  resolveReport: [
+    param("id")
+      .custom(validateObjectId)
+      .withMessage("Invalid report ID format"),
+    body("status")
+      .isIn(["actioned", "dismissed"])
+      .withMessage("Status must be actioned or dismissed"),
+    body("action")
+      .if(body("status").equals("actioned"))
+      .isIn(["hide_post", "suspend_user"])
+      .withMessage("Action must be hide_post or suspend_user"),
+    body("note")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Note cannot exceed 1000 characters"),
+    body("suspendUntil")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("suspendUntil must be an ISO 8601 date")
+      .toDate(),
+    checkValidation,
+  ],
+  getAudit: [
+    ...paginationRules,
+    query("targetId")
+      .optional()
+      .custom(validateObjectId)
+      .withMessage("Invalid target ID format"),
     checkValidation,
   ],
 };
@@ -150,6 +646,29 @@ const sneakerValidation = {
     param("id")
       .custom(validateObjectId)
       .withMessage("Invalid sneaker ID format"),
+    currencyQuery,
+    checkValidation,
+  ],
+  getSneakerPrices: [
+    param("id")
+      .custom(validateObjectId)
+      .withMessage("Invalid sneaker ID format"),
+    query("interval")
+      .optional()
+      .isIn(PRICE_INTERVALS)
+      .withMessage(`Interval must be one of: ${PRICE_INTERVALS.join(", ")}`),
+    query(["from", "to"])
+      .optional()
+      .isISO8601()
+      .withMessage("Must be an ISO 8601 date"),
+    query("to")
+      .optional()
+      .custom(
+        (value, { req }) =>
+          !req.query.from || new Date(value) >= new Date(req.query.from)
+      )
+      .withMessage("End date must not be before the start date"),
+    currencyQuery,
     checkValidation,
   ],
   rateSneaker: [
@@ -158,10 +677,123 @@ const sneakerValidation = {
       .withMessage("Invalid sneaker ID format"),
     body("rating")
       .isInt({ min: 1, max: 5 })
-      .withMessage("Rating must be between 1 and 5"),
+      .withMessage("Rating must be a whole number between 1 and 5")
+      .toInt(),
+    checkValidation,
+  ],
+  getSneakers: [
+    ...paginationRules,
+    query("brand")
+      .optional()
+      .isLength({ max: 50 })
+      .withMessage("Brand cannot exceed 50 characters"),
+    query(["sku", "colorway", "silhouette"])
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage("Cannot exceed 100 characters"),
+    query("gender")
+      .optional()
+      .isIn(Sneaker.GENDERS)
+      .withMessage(`Gender must be one of: ${Sneaker.GENDERS.join(", ")}`),
+    query(["releasedAfter", "releasedBefore"])
+      .optional()
+      .isISO8601()
+      .withMessage("Must be an ISO 8601 date"),
+    query(["minRetailPrice", "maxRetailPrice"])
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Must be a non-negative number"),
+    query("size")
+      .optional()
+      .isFloat({ min: 0, max: 60 })
+      .withMessage("Size must be between 0 and 60"),
+    query("sizeSystem")
+      .optional()
+      .isIn(Sneaker.SIZE_SYSTEMS)
+      .withMessage(
+        `Size system must be one of: ${Sneaker.SIZE_SYSTEMS.join(", ")}`
+      ),
+    query("brandId")
+      .optional()
+      .custom(validateObjectId)
+      .withMessage("Invalid brand ID format"),
+    query("year")
+      .optional()
+      .isInt({ min: 1900, max: 2100 })
+      .withMessage("Year must be between 1900 and 2100"),
+    query(["minPrice", "maxPrice"])
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Must be a non-negative number"),
+    query("minRating")
+      .optional()
+      .isFloat({ min: 0, max: 5 })
+      .withMessage("Minimum rating must be between 0 and 5"),
+    query("minPosts")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Minimum posts must be a non-negative integer"),
+    query("sort")
+      .optional()
+      .isIn(["rating", "newest", "most_posted", "price_low", "price_high"])
+      .withMessage(
+        "Sort must be one of: rating, newest, most_posted, price_low, price_high"
+      ),
+    currencyQuery,
+    checkValidation,
+  ],
+  getTopSneakers: [
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage("Limit must be between 1 and 50"),
     checkValidation,
   ],
   searchSneakers: [
+    param("query")
+      .trim()
+      .notEmpty()
+      .withMessage("Search query is required")
+      .isLength({ max: 100 })
+      .withMessage("Search query cannot exceed 100 characters"),
+    ...paginationRules,
+    checkValidation,
+  ],
+  getBrandSneakers: [
+    param("brandName")
+      .trim()
+      .notEmpty()
+      .withMessage("Brand name is required")
+      .isLength({ max: 50 })
+      .withMessage("Brand name cannot exceed 50 characters"),
+    ...paginationRules,
+    checkValidation,
+  ],
+};
+
+const brandValidation = {
+  getBrand: [
+    param("slug")
+      .matches(/^[a-z0-9-]{1,60}$/)
+      .withMessage("Invalid brand slug"),
+    checkValidation,
+  ],
+};
+
+const searchValidation = {
+  search: [
+    query("q")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Search query is required")
+      .isLength({ max: 100 })
+      .withMessage("Search query cannot exceed 100 characters"),
+    query("type")
+      .optional()
+      .isIn(SEARCH_TYPES)
+      .withMessage(`Type must be one of: ${SEARCH_TYPES.join(", ")}`),
     query("page")
       .optional()
       .isInt({ min: 1 })
@@ -172,11 +804,219 @@ const sneakerValidation = {
       .withMessage("Limit must be between 1 and 50"),
     checkValidation,
   ],
+  suggest: [
+    query("q")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Search query is required")
+      .isLength({ max: 100 })
+      .withMessage("Search query cannot exceed 100 characters"),
+    query("types")
+      .optional()
+      .isString()
+      .custom((value) =>
+        value.split(",").every((type) => SUGGEST_TYPES.includes(type.trim()))
+      )
+      .withMessage(
+        `Types must be a comma-separated list of: ${SUGGEST_TYPES.join(", ")}`
+      ),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage("Limit must be between 1 and 20"),
+    checkValidation,
+  ],
+};
+
+const userIdParam = param("id")
+  .custom(validateObjectId)
+  .withMessage("Invalid user ID format");
+
+const adminNote = body("note")
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ max: 1000 })
+  .withMessage("Note cannot exceed 1000 characters");
+
+// Optional brand fields shared by create and update
+const brandDetailRules = [
+  body("aliases")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Aliases must be a list of at most 20 names"),
+  body("aliases.*")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Alias cannot be empty")
+    .isLength({ max: 50 })
+    .withMessage("Alias cannot exceed 50 characters"),
+  body("logo")
+    .optional({ values: "null" })
+    .isURL()
+    .withMessage("Logo must be a valid URL"),
+  body("parentSlug")
+    .optional({ values: "null" })
+    .matches(/^[a-z0-9-]{1,60}$/)
+    .withMessage("Invalid parent brand slug"),
+];
+
+const adminValidation = {
+  getUsers: [
+    ...paginationRules,
+    query("q")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Search query cannot exceed 100 characters"),
+    query("role")
+      .optional()
+      .isIn(User.ROLES)
+      .withMessage(`Role must be one of: ${User.ROLES.join(", ")}`),
+    query("suspended")
+      .optional()
+      .isBoolean()
+      .withMessage("suspended must be true or false"),
+    checkValidation,
+  ],
+  getUser: [userIdParam, checkValidation],
+  setRole: [
+    userIdParam,
+    body("role")
+      .isIn(User.ROLES)
+      .withMessage(`Role must be one of: ${User.ROLES.join(", ")}`),
+    adminNote,
+    checkValidation,
+  ],
+  suspendUser: [
+    userIdParam,
+    body("reason")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Reason cannot exceed 500 characters"),
+    body("until")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("until must be an ISO 8601 date")
+      .toDate()
+      .custom((value) => value > new Date())
+      .withMessage("until must be in the future"),
+    adminNote,
+    checkValidation,
+  ],
+  unsuspendUser: [userIdParam, adminNote, checkValidation],
+  updateSneaker: [
+    param("id")
+      .custom(validateObjectId)
+      .withMessage("Invalid sneaker ID format"),
+    body("sneakerName")
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Sneaker name cannot be empty")
+      .isLength({ max: 100 })
+      .withMessage("Sneaker name cannot exceed 100 characters"),
+    body("brandName")
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Brand name cannot be empty")
+      .isLength({ max: 50 })
+      .withMessage("Brand name cannot exceed 50 characters"),
+    body("aliases")
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage("Aliases must be a list of at most 20 names"),
+    body("aliases.*")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Alias cannot be empty")
+      .isLength({ max: 100 })
+      .withMessage("Alias cannot exceed 100 characters"),
+    ...sneakerMetadataRules,
+    adminNote,
+    checkValidation,
+  ],
+  createBrand: [
+    body("name")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Brand name is required")
+      .isLength({ max: 50 })
+      .withMessage("Brand name cannot exceed 50 characters"),
+    ...brandDetailRules,
+    adminNote,
+    checkValidation,
+  ],
+  updateBrand: [
+    param("id").custom(validateObjectId).withMessage("Invalid brand ID format"),
+    body("name")
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Brand name cannot be empty")
+      .isLength({ max: 50 })
+      .withMessage("Brand name cannot exceed 50 characters"),
+    ...brandDetailRules,
+    adminNote,
+    checkValidation,
+  ],
+  getDuplicateSneakers: [
+    query("threshold")
+      .optional()
+      .isFloat({ min: 0.5, max: 1 })
+      .withMessage("Threshold must be between 0.5 and 1"),
+    query("brand")
+      .optional()
+      .isLength({ max: 50 })
+      .withMessage("Brand cannot exceed 50 characters"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage("Limit must be between 1 and 200"),
+    checkValidation,
+  ],
+  mergeSneaker: [
+    param("id")
+      .custom(validateObjectId)
+      .withMessage("Invalid sneaker ID format"),
+    body("targetId")
+      .custom(validateObjectId)
+      .withMessage("Invalid target sneaker ID format"),
+    adminNote,
+    checkValidation,
+  ],
+  deleteSneaker: [
+    param("id")
+      .custom(validateObjectId)
+      .withMessage("Invalid sneaker ID format"),
+    adminNote,
+    checkValidation,
+  ],
 };
 
 module.exports = {
+  checkValidation,
+  validateObjectId,
+  paginationRules,
   authValidation,
   userValidation,
   postValidation,
+  commentValidation,
+  notificationValidation,
+  reportValidation,
+  adminValidation,
   sneakerValidation,
+  brandValidation,
+  searchValidation,
 };
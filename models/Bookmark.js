@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const bookmarkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Optional named folder; null keeps the bookmark unsorted
+  folder: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+bookmarkSchema.index({ userId: 1, postId: 1 }, { unique: true });
+bookmarkSchema.index({ userId: 1, folder: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({ postId: 1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { simplify } = require('../utils/sneakerNames');
+
+const slugify = value => simplify(value).replace(/ /g, '-');
+
+const brandSchema = new mongoose.Schema({
+  // Canonical spelling, used as brandName on the brand's sneakers
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    unique: true
+  },
+  // Normalised name and aliases (see utils/sneakerNames); set on save
+  nameKey: {
+    type: String,
+    unique: true
+  },
+  // Other spellings that resolve to this brand, e.g. "Air Jordan" for Jordan
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  aliasKeys: {
+    type: [String],
+    index: true
+  },
+  logo: {
+    type: String,
+    default: null
+  },
+  // Owning brand, e.g. Nike for Jordan and Converse
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    default: null,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+brandSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('name') || this.isModified('aliases')) {
+    this.nameKey = simplify(this.name);
+    this.slug = slugify(this.name);
+    this.aliasKeys = [...new Set(
+      this.aliases.map(alias => simplify(alias)).filter(key => key && key !== this.nameKey)
+    )];
+  }
+  next();
+});
+
+/**
+ * Find the brand a name refers to, by canonical name or alias, however it was typed
+ */
+brandSchema.statics.resolve = function(name) {
+  const key = simplify(name);
+  return this.findOne({ $or: [{ nameKey: key }, { aliasKeys: key }] });
+};
+
+/**
+ * Resolve a brand name, creating the brand the first time it is used
+ * @param {string} name - Brand name as typed
+ * @returns {Promise<Object>} - Brand
+ */
+brandSchema.statics.findOrCreateByName = async function(name) {
+  const existing = await this.resolve(name);
+  if (existing) return existing;
+
+  try {
+    return await this.create({ name: name.trim() });
+  } catch (error) {
+    // Someone else created it first
+    if (error.code === 11000) return this.resolve(name);
+    throw error;
+  }
+};
+
+const Brand = mongoose.model('Brand', brandSchema);
+
+Brand.slugify = slugify;
+
+module.exports = Brand;
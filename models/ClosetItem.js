@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { SIZE_SYSTEMS } = require('./Sneaker');
+
+// deadstock: never worn; vnds: very near deadstock, worn once or twice
+const CONDITIONS = ['deadstock', 'vnds', 'used', 'beat'];
+
+// Who can see an item on the owner's profile
+const VISIBILITIES = ['public', 'followers', 'private'];
+
+// One pair a user owns. Owning two pairs of the same sneaker is two items.
+const closetItemSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sneakerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sneaker',
+    required: true
+  },
+  size: {
+    type: Number,
+    min: 0,
+    max: 60,
+    default: null
+  },
+  sizeSystem: {
+    type: String,
+    enum: SIZE_SYSTEMS,
+    default: 'US'
+  },
+  condition: {
+    type: String,
+    enum: CONDITIONS,
+    default: null
+  },
+  purchasePrice: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  purchaseDate: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  visibility: {
+    type: String,
+    enum: VISIBILITIES,
+    default: 'public'
+  }
+}, {
+  timestamps: true
+});
+
+closetItemSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+closetItemSchema.index({ userId: 1, visibility: 1, createdAt: -1, _id: -1 });
+closetItemSchema.index({ sneakerId: 1 });
+
+/**
+ * Recompute a user's totalSneakerCount: every pair in their closet,
+ * private ones included
+ * @param {ObjectId} userId
+ * @returns {Promise<number>}
+ */
+closetItemSchema.statics.syncSneakerCount = async function(userId) {
+  const count = await this.countDocuments({ userId });
+  await mongoose.model('User').findByIdAndUpdate(userId, { totalSneakerCount: count });
+  return count;
+};
+
+const ClosetItem = mongoose.model('ClosetItem', closetItemSchema);
+
+ClosetItem.CONDITIONS = CONDITIONS;
+ClosetItem.VISIBILITIES = VISIBILITIES;
+
+module.exports = ClosetItem;
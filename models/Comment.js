@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Top-level comments have no parent; replies point at a top-level comment
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: Date
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ postId: 1, parentId: 1, createdAt: 1, _id: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
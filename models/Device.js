@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// An FCM registration token for one install of the app
+const deviceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  platform: {
+    type: String,
+    enum: ['ios', 'android', 'web'],
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// A token belongs to whoever registered it last
+deviceSchema.index({ token: 1 }, { unique: true });
+deviceSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('Device', deviceSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Post = require('./Post');
+
+const likeSchema = new mongoose.Schema({
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One like per user per post; also serves "who liked this post" lookups
+likeSchema.index({ postId: 1, userId: 1 }, { unique: true });
+likeSchema.index({ postId: 1, createdAt: -1, _id: -1 });
+likeSchema.index({ userId: 1, createdAt: -1 });
+
+// Like a post. Idempotent: liking twice leaves a single like.
+likeSchema.statics.addLike = async function(postId, userId) {
+  try {
+    await this.create({ postId, userId });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const post = await Post.findById(postId).select('likeCount');
+    return { liked: true, changed: false, likeCount: post ? post.likeCount : 0 };
+  }
+
+  const post = await Post.findByIdAndUpdate(
+    postId,
+    { $inc: { likeCount: 1 } },
+    { new: true, projection: 'likeCount' }
+  );
+  return { liked: true, changed: true, likeCount: post ? post.likeCount : 0 };
+};
+
+// Unlike a post. Idempotent: unliking a post that isn't liked is a no-op.
+likeSchema.statics.removeLike = async function(postId, userId) {
+  const removed = await this.findOneAndDelete({ postId, userId });
+
+  if (!removed) {
+    const post = await Post.findById(postId).select('likeCount');
+    return { liked: false, changed: false, likeCount: post ? post.likeCount : 0 };
+  }
+
+  const post = await Post.findOneAndUpdate(
+    { _id: postId, likeCount: { $gt: 0 } },
+    { $inc: { likeCount: -1 } },
+    { new: true, projection: 'likeCount' }
+  );
+  return { liked: false, changed: true, likeCount: post ? post.likeCount : 0 };
+};
+
+module.exports = mongoose.model('Like', likeSchema);
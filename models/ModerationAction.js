@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Audit trail: one entry per moderator decision, never updated or deleted
+const moderationActionSchema = new mongoose.Schema(
+  {
+    moderatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    action: {
+      type: String,
+      enum: [
+        'hide_post',
+        'unhide_post',
+        'suspend_user',
+        'unsuspend_user',
+        'dismiss_report',
+        'change_role',
+        'edit_sneaker',
+        'delete_sneaker',
+        'merge_sneaker',
+        'create_brand',
+        'edit_brand'
+      ],
+      required: true
+    },
+    targetType: {
+      type: String,
+      enum: ['post', 'comment', 'user', 'sneaker', 'brand'],
+      required: true
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    // Reports closed by this decision
+    reportIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Report'
+      }
+    ],
+    // Field values before and after, for edits and role changes
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+moderationActionSchema.index({ createdAt: -1, _id: -1 });
+moderationActionSchema.index({ targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// A user who re-triggers an event they were already notified about within this
+// window (e.g. unlike then like again after the notification was read) is ignored
+const DEDUPE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// One notification groups every actor of the same event on the same target
+// until the recipient reads it: "alex and 12 others liked your post"
+const notificationSchema = new mongoose.Schema({
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['follow', 'follow_request', 'like', 'comment', 'rating', 'price_alert'],
+    required: true
+  },
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  sneakerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sneaker',
+    default: null
+  },
+  // Oldest first; the last entry is the most recent actor
+  actors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  actorCount: {
+    type: Number,
+    default: 0
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Inbox, newest activity first
+notificationSchema.index({ recipientId: 1, updatedAt: -1, _id: -1 });
+notificationSchema.index({ recipientId: 1, read: 1 });
+// At most one unread group per event and target
+notificationSchema.index(
+  { recipientId: 1, type: 1, postId: 1, sneakerId: 1 },
+  { unique: true, partialFilterExpression: { read: false } }
+);
+
+const groupFilter = ({ recipientId, type, postId = null, sneakerId = null }) => ({
+  recipientId,
+  type,
+  postId,
+  sneakerId
+});
+
+/**
+ * Add an actor to the recipient's unread group for this event, creating it if needed.
+ * Idempotent per actor, so like/unlike/like flapping produces a single entry.
+ * @param {Object} event - { recipientId, type, actorId, postId?, sneakerId? }
+ * @returns {Promise<Object|null>} - The updated group, or null if nothing changed
+ */
+notificationSchema.statics.record = async function(event) {
+  const { actorId } = event;
+  const group = groupFilter(event);
+
+  const recentlyNotified = await this.exists({
+    ...group,
+    read: true,
+    actors: actorId,
+    updatedAt: { $gte: new Date(Date.now() - DEDUPE_WINDOW_MS) }
+  });
+  if (recentlyNotified) return null;
+
+  const addActor = () => this.findOneAndUpdate(
+    { ...group, read: false, actors: { $ne: actorId } },
+    { $push: { actors: actorId }, $inc: { actorCount: 1 } },
+    { upsert: true, new: true }
+  );
+
+  try {
+    return await addActor();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // The unread group exists: either it already lists this actor,
+  // or another request created it first and we can now join it
+  try {
+    return await addActor();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return null;
+  }
+};
+
+/**
+ * Take an actor back out of the recipient's unread group (e.g. on unlike).
+ * A group left without actors is removed.
+ * @param {Object} event - { recipientId, type, actorId, postId?, sneakerId? }
+ */
+notificationSchema.statics.retract = async function(event) {
+  const { actorId } = event;
+  const group = { ...groupFilter(event), read: false };
+
+  const result = await this.updateOne(
+    { ...group, actors: actorId },
+    { $pull: { actors: actorId }, $inc: { actorCount: -1 } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await this.deleteOne({ ...group, actorCount: { $lte: 0 } });
+  }
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { baseCurrency } = require('../utils/currency');
 
 const postSchema = new mongoose.Schema({
   userId: {
@@ -34,11 +35,46 @@ const postSchema = new mongoose.Schema({
   purchaseLink: String,
   purchaseAddress: String,
   price: Number,
+  // ISO 4217 code of price
+  currency: {
+    type: String,
+    uppercase: true,
+    match: /^[A-Z]{3}$/,
+    default: baseCurrency
+  },
+  // price converted to the base currency when it was set, so sneaker price
+  // ranges and statistics compare like with like
+  basePrice: Number,
   year: Number,
-  likes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
+  // Likes live in the Like collection; this counter is kept in step atomically
+  likeCount: {
+    type: Number,
+    default: 0
+  },
+  commentCount: {
+    type: Number,
+    default: 0
+  },
+  // Hidden by a moderator: kept for the audit trail but left out of every feed
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenAt: {
+    type: Date,
+    default: null
+  },
+  // Copied from the author so feeds filter on the post alone; kept in step
+  // by Post.syncAuthorVisibility
+  authorPrivate: {
+    type: Boolean,
+    default: false
+  },
+  // When the author's suspension ends, far in the future while indefinite
+  authorSuspendedUntil: {
+    type: Date,
+    default: null
+  },
   sneakerRatings: [{
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -63,6 +99,32 @@ const postSchema = new mongoose.Schema({
   timestamps: true 
 });
 
+// Full-text search (utils/search.js); the sneaker name counts most
+postSchema.index(
+  { sneakerName: 'text', brandName: 'text', description: 'text' },
+  { name: 'post_text', weights: { sneakerName: 5, brandName: 3, description: 1 } }
+);
+
+// Feeds leave out private and suspended authors' posts, newest first
+postSchema.index({ authorPrivate: 1, authorSuspendedUntil: 1, createdAt: -1 });
+
+// Stands in for the end of a suspension only a moderator can lift
+const INDEFINITELY = new Date('9999-12-31T23:59:59.999Z');
+
+// Author fields of a user's posts, from the user's privacy and suspension
+postSchema.statics.authorVisibility = function(user) {
+  const { active, until } = user.suspension || {};
+  return {
+    authorPrivate: Boolean(user.isPrivate),
+    authorSuspendedUntil: active ? until || INDEFINITELY : null
+  };
+};
+
+// Copy a user's privacy and suspension to all of their posts
+postSchema.statics.syncAuthorVisibility = function(user) {
+  return this.updateMany({ userId: user._id }, { $set: this.authorVisibility(user) });
+};
+
 // Validation function to limit additional images to maximum 3
 function arrayLimit(val) {
   return val.length <= 3;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { baseCurrency } = require('../utils/currency');
+
+// A price a sneaker was listed at, and when. Posts record one when created and
+// whenever their price changes; observations outlive deleted posts so the
+// price history stays complete.
+const priceObservationSchema = new mongoose.Schema({
+  sneakerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sneaker',
+    required: true
+  },
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // As listed
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: baseCurrency
+  },
+  // price in the base currency at the time, which statistics are computed from
+  basePrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  observedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Follows the post being hidden by a moderator
+  isHidden: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+priceObservationSchema.index({ sneakerId: 1, observedAt: 1 });
+priceObservationSchema.index({ postId: 1 });
+
+module.exports = mongoose.model('PriceObservation', priceObservationSchema);
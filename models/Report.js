@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = [
+  'spam',
+  'counterfeit',
+  'abuse',
+  'harassment',
+  'inappropriate',
+  'other'
+];
+
+// Model each target type points at, for populating targetId
+const TARGET_MODELS = {
+  post: 'Post',
+  comment: 'Comment',
+  user: 'User'
+};
+
+const reportSchema = new mongoose.Schema(
+  {
+    reporterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    targetType: {
+      type: String,
+      enum: Object.keys(TARGET_MODELS),
+      required: true
+    },
+    targetModel: {
+      type: String,
+      enum: Object.values(TARGET_MODELS)
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'targetModel',
+      required: true
+    },
+    // Author of the reported post or comment, or the reported user
+    targetUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: ''
+    },
+    status: {
+      type: String,
+      enum: ['open', 'actioned', 'dismissed'],
+      default: 'open'
+    },
+    resolution: {
+      moderatorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      action: {
+        type: String,
+        default: null
+      },
+      note: {
+        type: String,
+        default: null
+      },
+      resolvedAt: {
+        type: Date,
+        default: null
+      }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+reportSchema.pre('validate', function (next) {
+  this.targetModel = TARGET_MODELS[this.targetType];
+  next();
+});
+
+// One open report per reporter per target
+reportSchema.index(
+  { reporterId: 1, targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+// Moderation queue, oldest first
+reportSchema.index({ status: 1, createdAt: 1, _id: 1 });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+Report.REPORT_REASONS = REPORT_REASONS;
+
+module.exports = Report;
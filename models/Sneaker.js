@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
+const { sneakerKey, normalizeSku } = require('../utils/sneakerNames');
 
+const GENDERS = ['men', 'women', 'unisex', 'kids'];
+const SIZE_SYSTEMS = ['US', 'UK', 'EU'];
+
+// Catalog details beyond the name, editable by admins
+const METADATA_FIELDS = ['sku', 'colorway', 'silhouette', 'releaseDate', 'retailPrice', 'gender', 'sizeRun'];
 
 const sneakerSchema = new mongoose.Schema({
   sneakerName: {
@@ -12,10 +18,80 @@ const sneakerSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Canonical brand; brandName mirrors its name
+  brandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    default: null,
+    index: true
+  },
+  // Normalised brand and name (see utils/sneakerNames); set on save
+  nameKey: {
+    type: String,
+    index: true
+  },
+  // Other names the sneaker is known by, e.g. names of sneakers merged into it
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  aliasKeys: {
+    type: [String],
+    index: true
+  },
+  // Manufacturer style code, e.g. DZ5485-612; identifies one colorway
+  sku: {
+    type: String,
+    set: normalizeSku,
+    default: null
+  },
+  colorway: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Model line the sneaker belongs to, e.g. "Air Jordan 1 High"
+  silhouette: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  releaseDate: {
+    type: Date,
+    default: null
+  },
+  retailPrice: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  gender: {
+    type: String,
+    enum: [...GENDERS, null],
+    default: null
+  },
+  // Smallest and largest size the sneaker was released in
+  sizeRun: {
+    min: { type: Number, min: 0, default: null },
+    max: { type: Number, min: 0, default: null },
+    system: { type: String, enum: SIZE_SYSTEMS, default: 'US' }
+  },
+  // Set when this sneaker was merged into another; the old id redirects there
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sneaker',
+    default: null,
+    index: true
+  },
   posts: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post'
   }],
+  // posts.length, kept alongside so lists can sort and filter on it
+  postCount: {
+    type: Number,
+    default: 0
+  },
   ratings: [{
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -52,6 +128,51 @@ const sneakerSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// One catalog entry per SKU; merged stubs give theirs up
+sneakerSchema.index(
+  { sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+sneakerSchema.index({ silhouette: 1 });
+sneakerSchema.index({ releaseDate: -1 });
+// Browsing sorts (routes/sneakers.js)
+sneakerSchema.index({ mergedInto: 1, averageRating: -1, createdAt: -1 });
+sneakerSchema.index({ mergedInto: 1, postCount: -1 });
+sneakerSchema.index({ mergedInto: 1, minPrice: 1 });
+// Full-text search (utils/search.js). The normalised keys let "aj1" find
+// "Air Jordan 1" while the raw names keep exact wording ranked highest.
+sneakerSchema.index(
+  {
+    sneakerName: 'text',
+    nameKey: 'text',
+    aliases: 'text',
+    aliasKeys: 'text',
+    brandName: 'text',
+    silhouette: 'text',
+    colorway: 'text',
+    sku: 'text'
+  },
+  {
+    name: 'sneaker_text',
+    weights: { sneakerName: 10, sku: 10, nameKey: 8, aliases: 6, aliasKeys: 5, brandName: 4, silhouette: 3, colorway: 2 }
+  }
+);
+
+sneakerSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('sneakerName') || this.isModified('brandName') || this.isModified('aliases')) {
+    this.nameKey = sneakerKey(this.brandName, this.sneakerName);
+    this.aliasKeys = [...new Set(
+      this.aliases
+        .map(alias => sneakerKey(this.brandName, alias))
+        .filter(key => key !== this.nameKey)
+    )];
+  }
+  if (this.isModified('posts')) {
+    this.postCount = this.posts.length;
+  }
+  next();
+});
+
 // Method to calculate average rating
 sneakerSchema.methods.calculateAverageRating = function() {
   if (this.ratings.length === 0) {
@@ -64,4 +185,77 @@ sneakerSchema.methods.calculateAverageRating = function() {
   return this.averageRating;
 };
 
-module.exports = mongoose.model('Sneaker', sneakerSchema);
\ No newline at end of file
+// Lowest and highest price among a sneaker's visible posts, in the base
+// currency; posts without a price (or listed at 0) don't count, and 0/0 means
+// nothing is priced. Posts from before currencies were recorded are in it already.
+const priceRangeOf = async (sneakerId) => {
+  const basePrice = { $ifNull: ['$basePrice', '$price'] };
+  const [range] = await mongoose.model('Post').aggregate([
+    { $match: { sneakerId, isHidden: { $ne: true }, price: { $gt: 0 } } },
+    { $group: { _id: null, minPrice: { $min: basePrice }, maxPrice: { $max: basePrice } } }
+  ]);
+
+  return range
+    ? { minPrice: range.minPrice, maxPrice: range.maxPrice }
+    : { minPrice: 0, maxPrice: 0 };
+};
+
+// Recompute minPrice/maxPrice from the prices of the sneaker's posts
+sneakerSchema.methods.calculatePriceRange = async function() {
+  const range = await priceRangeOf(this._id);
+
+  this.minPrice = range.minPrice;
+  this.maxPrice = range.maxPrice;
+  return range;
+};
+
+// Add names the sneaker is also known by, skipping ones it already answers to
+sneakerSchema.methods.addAliases = function(...names) {
+  const keys = new Set(
+    [this.sneakerName, ...this.aliases].map(name => sneakerKey(this.brandName, name))
+  );
+
+  for (const name of names) {
+    const key = sneakerKey(this.brandName, name);
+    if (name && !keys.has(key)) {
+      this.aliases.push(name.trim());
+      keys.add(key);
+    }
+  }
+};
+
+/**
+ * Find the catalog entry for a brand and name as a user typed them,
+ * matching normalised names and aliases rather than exact text
+ */
+sneakerSchema.statics.findByName = function(brandName, sneakerName) {
+  const key = sneakerKey(brandName, sneakerName);
+  return this.findOne({ mergedInto: null, $or: [{ nameKey: key }, { aliasKeys: key }] });
+};
+
+/**
+ * Find the catalog entry with a SKU, however it was typed
+ */
+sneakerSchema.statics.findBySku = function(sku) {
+  return this.findOne({ mergedInto: null, sku: normalizeSku(sku) });
+};
+
+/**
+ * Recompute and store a sneaker's minPrice/maxPrice after one of its posts
+ * was created, repriced, hidden or deleted
+ * @param {ObjectId} sneakerId
+ * @returns {Promise<Object>} - { minPrice, maxPrice }
+ */
+sneakerSchema.statics.syncPriceRange = async function(sneakerId) {
+  const range = await priceRangeOf(new mongoose.Types.ObjectId(String(sneakerId)));
+  await this.updateOne({ _id: sneakerId }, { $set: range });
+  return range;
+};
+
+const Sneaker = mongoose.model('Sneaker', sneakerSchema);
+
+Sneaker.METADATA_FIELDS = METADATA_FIELDS;
+Sneaker.GENDERS = GENDERS;
+Sneaker.SIZE_SYSTEMS = SIZE_SYSTEMS;
+
+module.exports = Sneaker;
\ No newline at end of file
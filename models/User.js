@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+// Moderators work the report queue and suspend users; admins can do everything
+const ROLES = ['user', 'moderator', 'admin'];
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -34,6 +36,45 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Private accounts only show posts and follow lists to approved followers
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  // Pending requests to follow this (private) account, oldest first
+  followRequests: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Mirrored to the Firebase custom claim "role"; this field is the source of truth
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  // Role last written to the Firebase claim, so a stale claim is synced once
+  roleClaim: {
+    type: String,
+    enum: [...ROLES, null],
+    default: null
+  },
+  // Set by moderators; suspended users can't use authenticated endpoints
+  suspension: {
+    active: { type: Boolean, default: false },
+    reason: { type: String, default: null },
+    suspendedAt: { type: Date, default: null },
+    // null means until lifted by a moderator
+    until: { type: Date, default: null }
+  },
+  // Blocking is mutual invisibility; muting only hides posts from this user's feeds
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  mutedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   firebaseUid: {
     type: String,
     unique: true
@@ -50,8 +91,47 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post'
   }],
+  // Which events are pushed to the user's devices; the in-app inbox always gets them
+  notificationPreferences: {
+    push: { type: Boolean, default: true },
+    follow: { type: Boolean, default: true },
+    like: { type: Boolean, default: true },
+    comment: { type: Boolean, default: true },
+    rating: { type: Boolean, default: true },
+    wishlist: { type: Boolean, default: true }
+  },
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+// Whether the user is suspended right now; timed suspensions lapse on their own
+userSchema.methods.isSuspended = function() {
+  const { active, until } = this.suspension || {};
+  return Boolean(active) && (!until || until > new Date());
+};
+
+// Filter matching users who are suspended right now
+userSchema.statics.suspendedFilter = function() {
+  return {
+    'suspension.active': true,
+    $or: [
+      { 'suspension.until': null },
+      { 'suspension.until': { $gt: new Date() } }
+    ]
+  };
+};
+
+// Whether the user has any of the given roles
+userSchema.methods.hasRole = function(...roles) {
+  return roles.includes(this.role);
+};
+
+// Looks up who blocked a viewer when filtering feeds
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ role: 1 });
+
+const User = mongoose.model('User', userSchema);
+
+User.ROLES = ROLES;
+
+module.exports = User;
\ No newline at end of file
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { SIZE_SYSTEMS } = require('./Sneaker');
+
+// A sneaker a user wants to cop, at most one entry per sneaker
+const wishlistItemSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sneakerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sneaker',
+    required: true
+  },
+  desiredSize: {
+    type: Number,
+    min: 0,
+    max: 60,
+    default: null
+  },
+  sizeSystem: {
+    type: String,
+    enum: SIZE_SYSTEMS,
+    default: 'US'
+  },
+  // New posts at or below this price notify the user; null turns alerts off
+  targetPrice: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+wishlistItemSchema.index({ userId: 1, sneakerId: 1 }, { unique: true });
+wishlistItemSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+// Want counts and price alerts
+wishlistItemSchema.index({ sneakerId: 1, targetPrice: 1 });
+
+module.exports = mongoose.model('WishlistItem', wishlistItemSchema);
@@ -0,0 +1,653 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const rateLimiter = require("../middleware/rateLimiter");
+const { authenticate, authorize } = require("../middleware/auth");
+const { adminValidation } = require("../middleware/validation");
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const Sneaker = require("../models/Sneaker");
+const Report = require("../models/Report");
+const Brand = require("../models/Brand");
+const ClosetItem = require("../models/ClosetItem");
+const WishlistItem = require("../models/WishlistItem");
+const PriceObservation = require("../models/PriceObservation");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { invalidateTags, cacheTags } = require("../utils/redis");
+const {
+  recordAction,
+  suspendUser,
+  unsuspendUser,
+  setUserRole,
+} = require("../utils/moderation");
+const {
+  DEFAULT_DUPLICATE_THRESHOLD,
+  findDuplicateCandidates,
+  mergeSneakers,
+  assignBrand,
+  syncBrandName,
+} = require("../utils/catalog");
+const { indexSneaker, removeSneaker, indexBrand } = require("../utils/suggest");
+const { escapeRegex } = require("../utils/regex");
+const { catchAsync, errorTypes } = require("../utils/errorHandler");
+
+/**
+ * Staff API. Unlike /api/dev this is available in production: every route
+ * needs a signed-in moderator or admin, and changes are written to the audit trail.
+ */
+
+const writeLimiter = rateLimiter.write();
+const staffOnly = authorize("moderator", "admin");
+const adminOnly = authorize("admin");
+
+// Fields staff see on a user, including the ones hidden from public profiles
+const STAFF_USER_FIELDS =
+  "username email profilePhoto role suspension isPrivate totalSneakerCount firebaseUid createdAt";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+router.use(authenticate, staffOnly);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Look up users by id, username or email prefix (?q=), ?role=, ?suspended=
+ * @access  Private (moderator, admin)
+ */
+router.get(
+  "/users",
+  adminValidation.getUsers,
+  catchAsync(async (req, res) => {
+    const pagination = parsePagination(req.query, undefined, {
+      defaultLimit: 20,
+    });
+    if (!pagination) {
+      throw errorTypes.badRequest("Invalid cursor");
+    }
+
+    const filter = {};
+    const { q, role, suspended } = req.query;
+
+    if (q) {
+      const prefix = new RegExp(`^${escapeRegex(q)}`, "i");
+      filter.$or = [
+        { username: prefix },
+        { email: prefix },
+        { firebaseUid: q },
+      ];
+      if (mongoose.Types.ObjectId.isValid(q)) {
+        filter.$or.push({ _id: q });
+      }
+    }
+
+    if (role) filter.role = role;
+
+    if (suspended !== undefined) {
+      const suspendedNow = User.suspendedFilter();
+      Object.assign(
+        filter,
+        suspended === "true"
+          ? { $and: [suspendedNow] }
+          : { $nor: [suspendedNow] }
+      );
+    }
+
+    const {
+      items: users,
+      total,
+      ...pageInfo
+    } = await paginate(User, filter, pagination, (query) =>
+      query.select(STAFF_USER_FIELDS)
+    );
+
+    res.status(200).json({
+      users,
+      ...pageInfo,
+      totalUsers: total,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get a user with their activity and report history
+ * @access  Private (moderator, admin)
+ */
+router.get(
+  "/users/:id",
+  adminValidation.getUser,
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.params.id).select(
+      `${STAFF_USER_FIELDS} followers following blockedUsers`
+    );
+
+    if (!user) {
+      throw errorTypes.notFound("User");
+    }
+
+    const [postCount, hiddenPostCount, commentCount, reportCounts] =
+      await Promise.all([
+        Post.countDocuments({ userId: user._id }),
+        Post.countDocuments({ userId: user._id, isHidden: true }),
+        Comment.countDocuments({ userId: user._id }),
+        Report.aggregate([
+          { $match: { targetUserId: user._id } },
+          { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]),
+      ]);
+
+    const { followers, following, blockedUsers, ...profile } = user.toObject();
+
+    res.status(200).json({
+      user: {
+        ...profile,
+        isSuspended: user.isSuspended(),
+        followerCount: followers.length,
+        followingCount: following.length,
+        blockedCount: blockedUsers.length,
+        postCount,
+        hiddenPostCount,
+        commentCount,
+        reportsAgainst: Object.fromEntries(
+          reportCounts.map((entry) => [entry._id, entry.count])
+        ),
+      },
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/admin/users/:id/role
+ * @desc    Change a user's role; mirrored to their Firebase custom claims
+ * @access  Private (admin)
+ */
+router.put(
+  "/users/:id/role",
+  adminOnly,
+  writeLimiter,
+  adminValidation.setRole,
+  catchAsync(async (req, res) => {
+    const { user, claimSynced } = await setUserRole(
+      req.params.id,
+      req.body.role,
+      req.user,
+      { note: req.body.note }
+    );
+
+    res.status(200).json({
+      message: `${user.username} is now ${user.role === "admin" ? "an" : "a"} ${
+        user.role
+      }`,
+      user: { _id: user._id, username: user.username, role: user.role },
+      claimSynced,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/users/:id/suspend
+ * @desc    Suspend a user (until a date, or until lifted)
+ * @access  Private (moderator, admin)
+ */
+router.post(
+  "/users/:id/suspend",
+  writeLimiter,
+  adminValidation.suspendUser,
+  catchAsync(async (req, res) => {
+    const { reason, until, note } = req.body;
+
+    const user = await suspendUser(req.params.id, req.user, {
+      reason: reason || null,
+      until: until || null,
+      note,
+    });
+
+    res.status(200).json({
+      message: `${user.username} has been suspended`,
+      user,
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/admin/users/:id/suspend
+ * @desc    Lift a suspension
+ * @access  Private (moderator, admin)
+ */
+router.delete(
+  "/users/:id/suspend",
+  writeLimiter,
+  adminValidation.unsuspendUser,
+  catchAsync(async (req, res) => {
+    const user = await unsuspendUser(req.params.id, req.user, {
+      note: req.body?.note,
+    });
+
+    res.status(200).json({
+      message: `${user.username} is no longer suspended`,
+      user,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/sneakers/duplicates
+ * @desc    Pairs of sneakers that are probably the same shoe (?threshold=, ?brand=, ?limit=)
+ * @access  Private (admin)
+ */
+router.get(
+  "/sneakers/duplicates",
+  adminOnly,
+  adminValidation.getDuplicateSneakers,
+  catchAsync(async (req, res) => {
+    const threshold =
+      Number(req.query.threshold) || DEFAULT_DUPLICATE_THRESHOLD;
+
+    const candidates = await findDuplicateCandidates({
+      threshold,
+      brand: req.query.brand,
+      limit: parseInt(req.query.limit) || 50,
+    });
+
+    res.status(200).json({
+      threshold,
+      candidates,
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/admin/sneakers/:id
+ * @desc    Correct a sneaker's name, brand, aliases or catalog details (SKU,
+ *          colorway, release date...); posts of the sneaker follow name
+ *          changes, and a replaced name is kept as an alias
+ * @access  Private (admin)
+ */
+router.put(
+  "/sneakers/:id",
+  adminOnly,
+  writeLimiter,
+  adminValidation.updateSneaker,
+  catchAsync(async (req, res) => {
+    const sneaker = await Sneaker.findById(req.params.id);
+
+    if (!sneaker) {
+      throw errorTypes.notFound("Sneaker");
+    }
+
+    if (sneaker.mergedInto) {
+      throw errorTypes.conflict("Sneaker has been merged", {
+        mergedInto: sneaker.mergedInto.toString(),
+      });
+    }
+
+    const changes = {};
+    if (
+      req.body.sneakerName !== undefined &&
+      req.body.sneakerName !== sneaker.sneakerName
+    ) {
+      changes.sneakerName = {
+        from: sneaker.sneakerName,
+        to: req.body.sneakerName,
+      };
+      sneaker.sneakerName = req.body.sneakerName;
+    }
+
+    // Brands are resolved to their canonical spelling
+    if (req.body.brandName !== undefined) {
+      const previousBrand = sneaker.brandName;
+      const brand = await assignBrand(sneaker, req.body.brandName);
+      if (sneaker.brandName !== previousBrand) {
+        changes.brandName = { from: previousBrand, to: sneaker.brandName };
+        indexBrand(brand);
+      }
+    }
+
+    for (const field of Sneaker.METADATA_FIELDS) {
+      if (req.body[field] === undefined) continue;
+
+      const from = sneaker.toObject()[field] ?? null;
+      sneaker.set(
+        field,
+        field === "sizeRun" && req.body.sizeRun === null
+          ? { min: null, max: null, system: "US" }
+          : req.body[field]
+      );
+      const to = sneaker.toObject()[field] ?? null;
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    }
+
+    const previousAliases = [...sneaker.aliases];
+    if (req.body.aliases !== undefined) {
+      sneaker.aliases = [];
+      sneaker.addAliases(...req.body.aliases);
+    }
+    if (changes.sneakerName) {
+      sneaker.addAliases(changes.sneakerName.from);
+    }
+    if (previousAliases.join("\n") !== sneaker.aliases.join("\n")) {
+      changes.aliases = { from: previousAliases, to: [...sneaker.aliases] };
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(200).json({ message: "No changes", sneaker });
+    }
+
+    await sneaker.save();
+    indexSneaker(sneaker);
+
+    // Posts keep a copy of the names they were created with
+    if (changes.sneakerName || changes.brandName) {
+      await Post.updateMany(
+        { sneakerId: sneaker._id },
+        {
+          $set: {
+            sneakerName: sneaker.sneakerName,
+            brandName: sneaker.brandName,
+          },
+        }
+      );
+    }
+
+    await recordAction(req.user, "edit_sneaker", "sneaker", sneaker._id, {
+      changes,
+      note: req.body.note,
+    });
+
+    await invalidateTags(cacheTags.sneakers, cacheTags.sneaker(sneaker._id));
+
+    res.status(200).json({
+      message: "Sneaker updated",
+      sneaker,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/admin/sneakers/:id/merge
+ * @desc    Merge a duplicate sneaker into targetId. Posts and ratings move to
+ *          the target and the duplicate's id redirects there.
+ * @access  Private (admin)
+ */
+router.post(
+  "/sneakers/:id/merge",
+  adminOnly,
+  writeLimiter,
+  adminValidation.mergeSneaker,
+  catchAsync(async (req, res) => {
+    const { sneaker, movedPosts, movedRatings } = await mergeSneakers(
+      req.params.id,
+      req.body.targetId,
+      req.user,
+      { note: req.body.note }
+    );
+
+    res.status(200).json({
+      message: "Sneakers merged",
+      sneaker,
+      movedPosts,
+      movedRatings,
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/admin/sneakers/:id
+ * @desc    Delete a sneaker nobody has posted or has in their closet.
+ *          Wishlist entries and price history go with it.
+ * @access  Private (admin)
+ */
+router.delete(
+  "/sneakers/:id",
+  adminOnly,
+  writeLimiter,
+  adminValidation.deleteSneaker,
+  catchAsync(async (req, res) => {
+    const sneaker = await Sneaker.findById(req.params.id);
+
+    if (!sneaker) {
+      throw errorTypes.notFound("Sneaker");
+    }
+
+    if (sneaker.mergedInto) {
+      throw errorTypes.conflict("Merged sneakers are kept as redirects");
+    }
+
+    const postCount = await Post.countDocuments({ sneakerId: sneaker._id });
+    if (postCount > 0) {
+      throw errorTypes.conflict("Sneaker still has posts", { postCount });
+    }
+
+    const closetCount = await ClosetItem.countDocuments({
+      sneakerId: sneaker._id,
+    });
+    if (closetCount > 0) {
+      throw errorTypes.conflict("Sneaker is in users' closets", {
+        closetCount,
+      });
+    }
+
+    await sneaker.deleteOne();
+    await WishlistItem.deleteMany({ sneakerId: sneaker._id });
+    await PriceObservation.deleteMany({ sneakerId: sneaker._id });
+    removeSneaker(sneaker._id);
+
+    await recordAction(req.user, "delete_sneaker", "sneaker", sneaker._id, {
+      changes: {
+        sneakerName: { from: sneaker.sneakerName, to: null },
+        brandName: { from: sneaker.brandName, to: null },
+      },
+      note: req.body?.note,
+    });
+
+    await invalidateTags(cacheTags.sneakers, cacheTags.sneaker(sneaker._id));
+
+    res.status(200).json({ message: "Sneaker deleted" });
+  })
+);
+
+/**
+ * Find the brand a parentSlug names, refusing loops such as Nike -> Jordan -> Nike
+ * @param {string|null} parentSlug - Slug from the request body
+ * @param {Object} brand - Brand being edited, or undefined when creating
+ * @returns {Promise<ObjectId|null>}
+ */
+const resolveParentBrand = async (parentSlug, brand) => {
+  if (!parentSlug) return null;
+
+  const parent = await Brand.findOne({ slug: parentSlug });
+  if (!parent) {
+    throw errorTypes.notFound("Parent brand");
+  }
+
+  if (brand) {
+    for (let ancestor = parent; ancestor; ) {
+      if (ancestor._id.equals(brand._id)) {
+        throw errorTypes.badRequest("A brand cannot be its own parent");
+      }
+      ancestor = ancestor.parentId
+        ? await Brand.findById(ancestor.parentId)
+        : null;
+    }
+  }
+
+  return parent._id;
+};
+
+/**
+ * @route   POST /api/admin/brands
+ * @desc    Add a brand
+ * @access  Private (admin)
+ */
+router.post(
+  "/brands",
+  adminOnly,
+  writeLimiter,
+  adminValidation.createBrand,
+  catchAsync(async (req, res) => {
+    const { name, aliases = [], logo = null, parentSlug, note } = req.body;
+
+    if (await Brand.resolve(name)) {
+      throw errorTypes.conflict("Brand already exists");
+    }
+
+    const brand = await Brand.create({
+      name,
+      aliases,
+      logo,
+      parentId: await resolveParentBrand(parentSlug),
+    });
+    indexBrand(brand);
+
+    await recordAction(req.user, "create_brand", "brand", brand._id, {
+      changes: { name: { from: null, to: brand.name } },
+      note,
+    });
+
+    await invalidateTags(cacheTags.brands);
+
+    res.status(201).json({
+      message: "Brand created",
+      brand,
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/admin/brands/:id
+ * @desc    Rename a brand or change its aliases, logo or parent. A rename is
+ *          copied to the brand's sneakers and posts, and the old name kept as an alias.
+ * @access  Private (admin)
+ */
+router.put(
+  "/brands/:id",
+  adminOnly,
+  writeLimiter,
+  adminValidation.updateBrand,
+  catchAsync(async (req, res) => {
+    const brand = await Brand.findById(req.params.id);
+
+    if (!brand) {
+      throw errorTypes.notFound("Brand");
+    }
+
+    const { name, aliases, logo, parentSlug, note } = req.body;
+    const before = {
+      name: brand.name,
+      aliases: [...brand.aliases],
+      logo: brand.logo,
+      parentId: brand.parentId,
+    };
+
+    if (aliases !== undefined) brand.aliases = aliases;
+    if (name !== undefined && name !== brand.name) {
+      brand.aliases.push(brand.name);
+      brand.name = name;
+    }
+    if (logo !== undefined) brand.logo = logo;
+    if (parentSlug !== undefined) {
+      brand.parentId = await resolveParentBrand(parentSlug, brand);
+    }
+
+    const changes = {};
+    for (const [field, from] of Object.entries(before)) {
+      const to = field === "aliases" ? [...brand.aliases] : brand[field];
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(200).json({ message: "No changes", brand });
+    }
+
+    await brand.save();
+    indexBrand(brand);
+
+    const renamedSneakers = changes.name ? await syncBrandName(brand) : 0;
+
+    await recordAction(req.user, "edit_brand", "brand", brand._id, {
+      changes,
+      note,
+    });
+
+    await invalidateTags(cacheTags.brands, cacheTags.sneakers);
+
+    res.status(200).json({
+      message: "Brand updated",
+      brand,
+      renamedSneakers,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/admin/stats
+ * @desc    Platform totals and recent growth
+ * @access  Private (admin)
+ */
+router.get(
+  "/stats",
+  adminOnly,
+  catchAsync(async (req, res) => {
+    const now = Date.now();
+    const lastWeek = new Date(now - 7 * DAY_MS);
+    const lastMonth = new Date(now - 30 * DAY_MS);
+
+    const [
+      userCount,
+      usersLastWeek,
+      usersLastMonth,
+      roleCounts,
+      suspendedCount,
+      postCount,
+      postsLastWeek,
+      hiddenPostCount,
+      commentCount,
+      sneakerCount,
+      openReportCount,
+    ] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ createdAt: { $gte: lastWeek } }),
+      User.countDocuments({ createdAt: { $gte: lastMonth } }),
+      User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
+      User.countDocuments(User.suspendedFilter()),
+      Post.countDocuments(),
+      Post.countDocuments({ createdAt: { $gte: lastWeek } }),
+      Post.countDocuments({ isHidden: true }),
+      Comment.countDocuments(),
+      Sneaker.countDocuments({ mergedInto: null }),
+      Report.countDocuments({ status: "open" }),
+    ]);
+
+    res.status(200).json({
+      stats: {
+        users: {
+          total: userCount,
+          lastWeek: usersLastWeek,
+          lastMonth: usersLastMonth,
+          suspended: suspendedCount,
+          byRole: Object.fromEntries(
+            User.ROLES.map((role) => [
+              role,
+              roleCounts.find((entry) => entry._id === role)?.count || 0,
+            ])
+          ),
+        },
+        posts: {
+          total: postCount,
+          lastWeek: postsLastWeek,
+          hidden: hiddenPostCount,
+        },
+        comments: { total: commentCount },
+        sneakers: { total: sneakerCount },
+        reports: { open: openReportCount },
+      },
+    });
+  })
+);
+
+module.exports = router;
@@ -1,14 +1,21 @@
 const express = require("express");
 const router = express.Router();
 const { authenticate } = require("../middleware/auth");
+const { authValidation, userValidation } = require("../middleware/validation");
 const User = require("../models/User");
-const {
-  verifyFirebaseToken,
-  uploadToFirebaseStorage,
-} = require("../utils/firebase");
+const Notification = require("../models/Notification");
+const Post = require("../models/Post");
+const { verifyFirebaseToken } = require("../utils/firebase");
+const { indexUser } = require("../utils/suggest");
 const multer = require("multer");
 const cloudinary = require("../utils/cloudinary");
-const { uploadToCloudinary } = require("../utils/cloudinary");
+const {
+  AppError,
+  errorCodes,
+  catchAsync,
+  errorTypes,
+} = require("../utils/errorHandler");
+const { deleteCache, cacheKeys } = require("../utils/redis");
 const upload = multer({ memory: true });
 
 /**
@@ -16,27 +23,25 @@ const upload = multer({ memory: true });
  * @desc    Register user after Firebase authentication
  * @access  Public
  */
-router.post("/register", async (req, res) => {
-  try {
+router.post(
+  "/register",
+  authValidation.register,
+  catchAsync(async (req, res) => {
     const { idToken, username, email } = req.body;
 
-    if (!idToken) {
-      return res.status(400).json({ message: "Firebase ID token is required" });
-    }
-
     // Verify Firebase token
     const decodedToken = await verifyFirebaseToken(idToken);
 
     // Check if user already exists in our database
     let user = await User.findOne({ firebaseUid: decodedToken.uid });
     if (user) {
-      return res.status(400).json({ message: "User already exists" });
+      throw errorTypes.conflict("User already exists");
     }
 
     // Check if username is taken
     const existingUsername = await User.findOne({ username });
     if (existingUsername) {
-      return res.status(400).json({ message: "Username is already taken" });
+      throw errorTypes.conflict("Username is already taken");
     }
 
     // Create new user in our database
@@ -48,6 +53,7 @@ router.post("/register", async (req, res) => {
     });
 
     await user.save();
+    indexUser(user);
 
     res.status(201).json({
       message: "User registered successfully",
@@ -58,25 +64,20 @@ router.post("/register", async (req, res) => {
         profilePhoto: user.profilePhoto,
       },
     });
-  } catch (error) {
-    console.error("Registration error:", error);
-    res.status(500).json({ message: "Server error during registration" });
-  }
-});
+  })
+);
 
 /**
  * @route   POST /api/auth/login
  * @desc    Login with Firebase token and retrieve user profile
  * @access  Public
  */
-router.post("/login", async (req, res) => {
-  try {
+router.post(
+  "/login",
+  authValidation.login,
+  catchAsync(async (req, res) => {
     const { idToken } = req.body;
 
-    if (!idToken) {
-      return res.status(400).json({ message: "Firebase ID token is required" });
-    }
-
     // Verify Firebase token
     const decodedToken = await verifyFirebaseToken(idToken);
 
@@ -84,15 +85,19 @@ router.post("/login", async (req, res) => {
     const user = await User.findOne({ firebaseUid: decodedToken.uid });
 
     if (!user) {
-      return res.status(404).json({
-        message: "User not found in database. Please register first.",
-        firebaseUser: {
-          uid: decodedToken.uid,
-          email: decodedToken.email,
-          name: decodedToken.name,
-          picture: decodedToken.picture,
-        },
-      });
+      throw new AppError(
+        "User not found in database. Please register first.",
+        404,
+        errorCodes.USER_NOT_FOUND,
+        {
+          firebaseUser: {
+            uid: decodedToken.uid,
+            email: decodedToken.email,
+            name: decodedToken.name,
+            picture: decodedToken.picture,
+          },
+        }
+      );
     }
 
     res.status(200).json({
@@ -107,19 +112,18 @@ router.post("/login", async (req, res) => {
         following: user.following.length,
       },
     });
-  } catch (error) {
-    console.error("Login error:", error);
-    res.status(500).json({ message: "Server error during login" });
-  }
-});
+  })
+);
 
 /**
  * @route   GET /api/auth/profile
  * @desc    Get current user profile
  * @access  Private
  */
-router.get("/profile", authenticate, async (req, res) => {
-  try {
+router.get(
+  "/profile",
+  authenticate,
+  catchAsync(async (req, res) => {
     const user = await User.findById(req.user._id).select("-__v -password");
 
     res.status(200).json({
@@ -133,20 +137,20 @@ router.get("/profile", authenticate, async (req, res) => {
         following: user.following.length,
       },
     });
-  } catch (error) {
-    console.error("Profile fetch error:", error);
-    res.status(500).json({ message: "Server error fetching profile" });
-  }
-});
+  })
+);
 
 /**
  * @route   PUT /api/auth/profile
  * @desc    Update user profile
  * @access  Private
  */
-router.put("/profile", authenticate, async (req, res) => {
-  try {
-    const { username } = req.body;
+router.put(
+  "/profile",
+  authenticate,
+  userValidation.updateProfile,
+  catchAsync(async (req, res) => {
+    const { username, isPrivate } = req.body;
 
     // Check if new username is already taken by another user
     if (username) {
@@ -155,17 +159,55 @@ router.put("/profile", authenticate, async (req, res) => {
         _id: { $ne: req.user._id },
       });
       if (existingUser) {
-        return res.status(400).json({ message: "Username is already taken" });
+        throw errorTypes.conflict("Username is already taken");
       }
     }
 
+    const updates = { username: username || req.user.username };
+    if (isPrivate !== undefined) {
+      updates.isPrivate = isPrivate;
+    }
+
+    // Going public approves every pending follow request
+    const pendingRequests = isPrivate === false ? req.user.followRequests : [];
+    if (pendingRequests.length > 0) {
+      updates.followRequests = [];
+      await User.updateMany(
+        { _id: { $in: pendingRequests } },
+        { $addToSet: { following: req.user._id } }
+      );
+    }
+
     // Update user profile
     const updatedUser = await User.findByIdAndUpdate(
       req.user._id,
-      { $set: { username: username || req.user.username } },
+      {
+        $set: updates,
+        ...(pendingRequests.length > 0 && {
+          $addToSet: { followers: { $each: pendingRequests } },
+        }),
+      },
       { new: true }
     ).select("-__v -password");
 
+    if (isPrivate !== undefined && isPrivate !== req.user.isPrivate) {
+      await Post.syncAuthorVisibility(updatedUser);
+    }
+
+    if (pendingRequests.length > 0) {
+      await Promise.all([
+        Notification.deleteMany({
+          recipientId: req.user._id,
+          type: "follow_request",
+          read: false,
+        }),
+        deleteCache(cacheKeys.userFollowerCount(req.user._id)),
+        ...pendingRequests.map((id) =>
+          deleteCache(cacheKeys.userFollowingCount(id))
+        ),
+      ]);
+    }
+
     res.status(200).json({
       message: "Profile updated successfully",
       user: {
@@ -173,16 +215,15 @@ router.put("/profile", authenticate, async (req, res) => {
         username: updatedUser.username,
         email: updatedUser.email,
         profilePhoto: updatedUser.profilePhoto,
+        isPrivate: updatedUser.isPrivate,
         totalSneakerCount: updatedUser.totalSneakerCount,
         followers: updatedUser.followers.length,
         following: updatedUser.following.length,
+        pendingFollowRequests: updatedUser.followRequests.length,
       },
     });
-  } catch (error) {
-    console.error("Profile update error:", error);
-    res.status(500).json({ message: "Server error updating profile" });
-  }
-});
+  })
+);
 
 /**
  * @route   POST /api/auth/profile/photo
@@ -193,40 +234,32 @@ router.post(
   "/profile/photo",
   authenticate,
   upload.single("profilePhoto"),
-  async (req, res) => {
-    try {
-      if (!req.file) {
-        return res.status(400).json({ message: "No file uploaded" });
-      }
+  authValidation.uploadPhoto,
+  catchAsync(async (req, res) => {
+    const fileBuffer = req.file.buffer;
 
-      const fileBuffer = req.file.buffer;
-
-      // Upload to Cloudinary - you'll need to implement this function in your utils
-      const result = await cloudinary.uploadToCloudinary(fileBuffer);
-      const photoUrl = result.secure_url;
-
-      // Update user profile with new photo URL
-      const updatedUser = await User.findByIdAndUpdate(
-        req.user._id,
-        { $set: { profilePhoto: photoUrl } },
-        { new: true }
-      ).select("-__v -password");
-
-      res.status(200).json({
-        message: "Profile photo updated successfully",
-        profilePhoto: photoUrl,
-        user: {
-          id: updatedUser._id,
-          username: updatedUser.username,
-          email: updatedUser.email,
-          profilePhoto: updatedUser.profilePhoto,
-        },
-      });
-    } catch (error) {
-      console.error("Profile photo upload error:", error);
-      res.status(500).json({ message: "Server error uploading profile photo" });
-    }
-  }
+    // Upload to Cloudinary - you'll need to implement this function in your utils
+    const result = await cloudinary.uploadToCloudinary(fileBuffer);
+    const photoUrl = result.secure_url;
+
+    // Update user profile with new photo URL
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { profilePhoto: photoUrl } },
+      { new: true }
+    ).select("-__v -password");
+
+    res.status(200).json({
+      message: "Profile photo updated successfully",
+      profilePhoto: photoUrl,
+      user: {
+        id: updatedUser._id,
+        username: updatedUser.username,
+        email: updatedUser.email,
+        profilePhoto: updatedUser.profilePhoto,
+      },
+    });
+  })
 );
 
 module.exports = router;
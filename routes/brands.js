@@ -0,0 +1,100 @@
+const express = require("express");
+const router = express.Router();
+const { brandValidation } = require("../middleware/validation");
+const Brand = require("../models/Brand");
+const Sneaker = require("../models/Sneaker");
+const { brandStats, describeBrand } = require("../utils/catalog");
+const { setCache, getCache, cacheKeys, cacheTags } = require("../utils/redis");
+const { catchAsync, errorTypes } = require("../utils/errorHandler");
+
+/**
+ * @route   GET /api/brands
+ * @desc    Get every brand with sneaker, post and rating totals
+ * @access  Public
+ */
+router.get(
+  "/",
+  catchAsync(async (req, res) => {
+    const cachedBrands = await getCache(cacheKeys.brands);
+
+    if (cachedBrands) {
+      return res.status(200).json({
+        brands: cachedBrands,
+        fromCache: true,
+      });
+    }
+
+    const [brands, stats] = await Promise.all([
+      Brand.find()
+        .sort({ name: 1 })
+        .collation({ locale: "en", strength: 2 })
+        .populate("parentId", "name slug"),
+      brandStats(),
+    ]);
+
+    const described = brands.map((brand) => describeBrand(brand, stats));
+
+    // Counts change with every new sneaker or rating, so keep this short
+    await setCache(cacheKeys.brands, described, 600, [
+      cacheTags.brands,
+      cacheTags.sneakers,
+    ]);
+
+    res.status(200).json({
+      brands: described,
+      fromCache: false,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/brands/:slug
+ * @desc    Get a brand with its totals, sub-brands and top rated sneakers
+ * @access  Public
+ */
+router.get(
+  "/:slug",
+  brandValidation.getBrand,
+  catchAsync(async (req, res) => {
+    const brand = await Brand.findOne({ slug: req.params.slug }).populate(
+      "parentId",
+      "name slug"
+    );
+
+    if (!brand) {
+      throw errorTypes.notFound("Brand");
+    }
+
+    const subBrands = await Brand.find({ parentId: brand._id }).sort({
+      name: 1,
+    });
+
+    const [stats, topSneakers] = await Promise.all([
+      brandStats([brand._id, ...subBrands.map((subBrand) => subBrand._id)]),
+      Sneaker.find({ brandId: brand._id, mergedInto: null })
+        .sort({ averageRating: -1, createdAt: -1 })
+        .limit(10)
+        .select("sneakerName brandName averageRating sku colorway"),
+    ]);
+
+    const describedSubBrands = subBrands.map((subBrand) =>
+      describeBrand(subBrand, stats)
+    );
+    const described = describeBrand(brand, stats);
+
+    res.status(200).json({
+      brand: {
+        ...described,
+        subBrands: describedSubBrands,
+        // Including sub-brands, e.g. Nike with Jordan and Converse
+        totalSneakerCount: [described, ...describedSubBrands].reduce(
+          (total, entry) => total + entry.sneakerCount,
+          0
+        ),
+      },
+      topSneakers,
+    });
+  })
+);
+
+module.exports = router;
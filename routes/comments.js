@@ -0,0 +1,226 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const rateLimiter = require("../middleware/rateLimiter");
+const { authenticate, optionalAuth } = require("../middleware/auth");
+const { commentValidation } = require("../middleware/validation");
+const Comment = require("../models/Comment");
+const Post = require("../models/Post");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { catchAsync, errorTypes } = require("../utils/errorHandler");
+const { notifyComment } = require("../utils/notifications");
+const {
+  blockedIdsFor,
+  assertNotBlocked,
+  assertPostVisible,
+} = require("../utils/visibility");
+
+const writeLimiter = rateLimiter.write();
+
+// Oldest first so threads read top to bottom
+const COMMENT_SORT = { createdAt: 1, _id: 1 };
+
+/**
+ * @route   GET /api/posts/:id/comments
+ * @desc    Get comments on a post (top-level, or replies with ?parentId=)
+ * @access  Public
+ */
+router.get(
+  "/",
+  optionalAuth,
+  commentValidation.getComments,
+  catchAsync(async (req, res) => {
+    const { parentId } = req.query;
+
+    const pagination = parsePagination(req.query, COMMENT_SORT, {
+      defaultLimit: 20,
+    });
+    if (!pagination) {
+      throw errorTypes.badRequest("Invalid cursor");
+    }
+
+    const post = await Post.findById(req.params.id).select("userId isHidden");
+    if (!post) {
+      throw errorTypes.notFound("Post");
+    }
+
+    await assertPostVisible(post, req.user);
+
+    const {
+      items: comments,
+      total,
+      ...pageInfo
+    } = await paginate(
+      Comment,
+      {
+        postId: req.params.id,
+        parentId: parentId || null,
+        userId: { $nin: await blockedIdsFor(req.user) },
+      },
+      pagination,
+      (query) => query.populate("userId", "username profilePhoto")
+    );
+
+    res.status(200).json({
+      comments,
+      ...pageInfo,
+      totalComments: total,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/posts/:id/comments
+ * @desc    Comment on a post, or reply to a comment with parentId
+ * @access  Private
+ */
+router.post(
+  "/",
+  authenticate,
+  writeLimiter,
+  commentValidation.createComment,
+  catchAsync(async (req, res) => {
+    const { text, parentId } = req.body;
+
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      throw errorTypes.notFound("Post");
+    }
+
+    await assertPostVisible(post, req.user);
+
+    // Replies are only one level deep; replying to a reply joins its thread
+    let threadId = null;
+    if (parentId) {
+      const parent = await Comment.findOne({
+        _id: parentId,
+        postId: post._id,
+      });
+      if (!parent) {
+        throw errorTypes.notFound("Parent comment");
+      }
+
+      await assertNotBlocked(parent.userId, req.user);
+
+      threadId = parent.parentId || parent._id;
+    }
+
+    const comment = new Comment({
+      postId: post._id,
+      userId: req.user._id,
+      parentId: threadId,
+      text,
+    });
+
+    await comment.save();
+
+    await Post.findByIdAndUpdate(post._id, { $inc: { commentCount: 1 } });
+
+    if (threadId) {
+      await Comment.findByIdAndUpdate(threadId, { $inc: { replyCount: 1 } });
+    }
+
+    await notifyComment(post, req.user, text);
+
+    await comment.populate("userId", "username profilePhoto");
+
+    res.status(201).json({
+      message: "Comment added successfully",
+      comment,
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/posts/:id/comments/:commentId
+ * @desc    Edit a comment
+ * @access  Private (comment author)
+ */
+router.put(
+  "/:commentId",
+  authenticate,
+  writeLimiter,
+  commentValidation.updateComment,
+  catchAsync(async (req, res) => {
+    const { text } = req.body;
+
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      postId: req.params.id,
+    });
+
+    if (!comment) {
+      throw errorTypes.notFound("Comment");
+    }
+
+    // Only the author can edit a comment
+    if (comment.userId.toString() !== req.user._id.toString()) {
+      throw errorTypes.forbidden("Not authorized to edit this comment");
+    }
+
+    comment.text = text;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await comment.populate("userId", "username profilePhoto");
+
+    res.status(200).json({
+      message: "Comment updated successfully",
+      comment,
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/posts/:id/comments/:commentId
+ * @desc    Delete a comment and its replies
+ * @access  Private (comment author or post owner)
+ */
+router.delete(
+  "/:commentId",
+  authenticate,
+  writeLimiter,
+  commentValidation.deleteComment,
+  catchAsync(async (req, res) => {
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      postId: req.params.id,
+    });
+
+    if (!comment) {
+      throw errorTypes.notFound("Comment");
+    }
+
+    const post = await Post.findById(comment.postId).select("userId");
+    const userId = req.user._id.toString();
+    const isAuthor = comment.userId.toString() === userId;
+    const isPostOwner = post && post.userId.toString() === userId;
+
+    if (!isAuthor && !isPostOwner) {
+      throw errorTypes.forbidden("Not authorized to delete this comment");
+    }
+
+    // Deleting a top-level comment removes its whole thread
+    const { deletedCount: repliesDeleted } = comment.parentId
+      ? { deletedCount: 0 }
+      : await Comment.deleteMany({ parentId: comment._id });
+
+    await Comment.findByIdAndDelete(comment._id);
+
+    await Post.findByIdAndUpdate(comment.postId, {
+      $inc: { commentCount: -(1 + repliesDeleted) },
+    });
+
+    if (comment.parentId) {
+      await Comment.findByIdAndUpdate(comment.parentId, {
+        $inc: { replyCount: -1 },
+      });
+    }
+
+    res.status(200).json({
+      message: "Comment deleted successfully",
+      deletedCount: 1 + repliesDeleted,
+    });
+  })
+);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
-const { mockFirebaseAuth } = require("../middleware/auth.dev");
+const { getCacheStats } = require("../utils/redis");
+const { catchAsync, errorTypes } = require("../utils/errorHandler");
 
 /**
  * Development and testing routes
@@ -11,9 +12,9 @@ const { mockFirebaseAuth } = require("../middleware/auth.dev");
 // Middleware to check development mode
 const devOnly = (req, res, next) => {
   if (process.env.NODE_ENV === "production") {
-    return res.status(403).json({
-      message: "Development routes not available in production",
-    });
+    return next(
+      errorTypes.forbidden("Development routes not available in production")
+    );
   }
   next();
 };
@@ -23,8 +24,10 @@ const devOnly = (req, res, next) => {
  * @desc    Create a test user for development
  * @access  Development only
  */
-router.post("/create-user", devOnly, async (req, res) => {
-  try {
+router.post(
+  "/create-user",
+  devOnly,
+  catchAsync(async (req, res) => {
     const { username, email, firebaseUid } = req.body;
 
     const userData = {
@@ -44,8 +47,7 @@ router.post("/create-user", devOnly, async (req, res) => {
     });
 
     if (existingUser) {
-      return res.status(400).json({
-        message: "User already exists",
+      throw errorTypes.conflict("User already exists", {
         existingUser: {
           id: existingUser._id,
           username: existingUser.username,
@@ -71,19 +73,18 @@ router.post("/create-user", devOnly, async (req, res) => {
         "x-dev-bypass": "true",
       },
     });
-  } catch (error) {
-    console.error("Create test user error:", error);
-    res.status(500).json({ message: "Server error creating test user" });
-  }
-});
+  })
+);
 
 /**
  * @route   GET /api/dev/users
  * @desc    List all users for testing
  * @access  Development only
  */
-router.get("/users", devOnly, async (req, res) => {
-  try {
+router.get(
+  "/users",
+  devOnly,
+  catchAsync(async (req, res) => {
     const users = await User.find()
       .select("username email _id firebaseUid totalSneakerCount")
       .limit(20);
@@ -99,19 +100,18 @@ router.get("/users", devOnly, async (req, res) => {
         },
       },
     });
-  } catch (error) {
-    console.error("List users error:", error);
-    res.status(500).json({ message: "Server error listing users" });
-  }
-});
+  })
+);
 
 /**
  * @route   POST /api/dev/mock-login
  * @desc    Mock login that returns a fake token for testing
  * @access  Development only
  */
-router.post("/mock-login", devOnly, async (req, res) => {
-  try {
+router.post(
+  "/mock-login",
+  devOnly,
+  catchAsync(async (req, res) => {
     const { username, email } = req.body;
 
     let user = await User.findOne({
@@ -160,19 +160,18 @@ router.post("/mock-login", devOnly, async (req, res) => {
         note: "The Authorization header won't be validated in dev mode with x-dev-bypass=true",
       },
     });
-  } catch (error) {
-    console.error("Mock login error:", error);
-    res.status(500).json({ message: "Server error during mock login" });
-  }
-});
+  })
+);
 
 /**
  * @route   DELETE /api/dev/cleanup
  * @desc    Clean up test data
  * @access  Development only
  */
-router.delete("/cleanup", devOnly, async (req, res) => {
-  try {
+router.delete(
+  "/cleanup",
+  devOnly,
+  catchAsync(async (req, res) => {
     // Delete users with dev/test firebaseUids
     const result = await User.deleteMany({
       firebaseUid: { $regex: /^(dev_|mock_|test_)/ },
@@ -182,10 +181,20 @@ router.delete("/cleanup", devOnly, async (req, res) => {
       message: `Cleaned up ${result.deletedCount} test users`,
       deletedCount: result.deletedCount,
     });
-  } catch (error) {
-    console.error("Cleanup error:", error);
-    res.status(500).json({ message: "Server error during cleanup" });
-  }
-});
+  })
+);
+
+/**
+ * @route   GET /api/dev/cache
+ * @desc    Cache backend and hit/miss counters for this process
+ * @access  Development only
+ */
+router.get(
+  "/cache",
+  devOnly,
+  catchAsync(async (req, res) => {
+    res.json({ cache: await getCacheStats() });
+  })
+);
 
 module.exports = router;
@@ -0,0 +1,138 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate } = require("../middleware/auth");
+const { notificationValidation } = require("../middleware/validation");
+const Notification = require("../models/Notification");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { describeNotification } = require("../utils/notifications");
+const { catchAsync, errorTypes } = require("../utils/errorHandler");
+
+// Most recent activity first; a group moves to the top when someone joins it
+const NOTIFICATION_SORT = { updatedAt: -1, _id: -1 };
+
+// Actors shown on each notification; the rest are only counted
+const ACTORS_SHOWN = 3;
+
+const unreadCountOf = (userId) =>
+  Notification.countDocuments({ recipientId: userId, read: false });
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the current user's notifications (?unreadOnly=true for unread only)
+ * @access  Private
+ */
+router.get(
+  "/",
+  authenticate,
+  notificationValidation.getNotifications,
+  catchAsync(async (req, res) => {
+    const pagination = parsePagination(req.query, NOTIFICATION_SORT, {
+      defaultLimit: 20,
+    });
+    if (!pagination) {
+      throw errorTypes.badRequest("Invalid cursor");
+    }
+
+    const filter = { recipientId: req.user._id };
+    if (req.query.unreadOnly === "true") {
+      filter.read = false;
+    }
+
+    const [{ items, total, ...pageInfo }, unreadCount] = await Promise.all([
+      paginate(Notification, filter, pagination, (query) =>
+        query
+          .select({ actors: { $slice: -ACTORS_SHOWN } })
+          .populate("actors", "username profilePhoto")
+          .populate("postId", "mainImage sneakerName")
+          .populate("sneakerId", "sneakerName brandName")
+      ),
+      unreadCountOf(req.user._id),
+    ]);
+
+    const notifications = items.map((notification) => ({
+      ...notification.toObject(),
+      // Most recent actor first
+      actors: [...notification.actors].reverse(),
+      message: describeNotification(notification),
+    }));
+
+    res.status(200).json({
+      notifications,
+      unreadCount,
+      ...pageInfo,
+      totalNotifications: total,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the number of unread notifications
+ * @access  Private
+ */
+router.get(
+  "/unread-count",
+  authenticate,
+  catchAsync(async (req, res) => {
+    res.status(200).json({ unreadCount: await unreadCountOf(req.user._id) });
+  })
+);
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark every notification as read
+ * @access  Private
+ */
+router.put(
+  "/read-all",
+  authenticate,
+  catchAsync(async (req, res) => {
+    const result = await Notification.updateMany(
+      { recipientId: req.user._id, read: false },
+      { $set: { read: true, readAt: new Date() } },
+      { timestamps: false }
+    );
+
+    res.status(200).json({
+      message: "All notifications marked as read",
+      updated: result.modifiedCount,
+      unreadCount: 0,
+    });
+  })
+);
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.put(
+  "/:id/read",
+  authenticate,
+  notificationValidation.markRead,
+  catchAsync(async (req, res) => {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipientId: req.user._id,
+    });
+
+    if (!notification) {
+      throw errorTypes.notFound("Notification");
+    }
+
+    // Reading doesn't count as activity, so keep updatedAt (and the inbox order)
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save({ timestamps: false });
+    }
+
+    res.status(200).json({
+      message: "Notification marked as read",
+      notification,
+      unreadCount: await unreadCountOf(req.user._id),
+    });
+  })
+);
+
+module.exports = router;
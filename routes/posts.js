@@ -1,151 +1,180 @@
 const express = require("express");
 const router = express.Router();
-const { authenticate } = require("../middleware/auth");
+const rateLimiter = require("../middleware/rateLimiter");
+const { authenticate, optionalAuth } = require("../middleware/auth");
+const { postValidation } = require("../middleware/validation");
 const Post = require("../models/Post");
 const User = require("../models/User");
 const Sneaker = require("../models/Sneaker");
+const Brand = require("../models/Brand");
+const Comment = require("../models/Comment");
+const Like = require("../models/Like");
+const Bookmark = require("../models/Bookmark");
+const Notification = require("../models/Notification");
 const {
   setCache,
   getCache,
-  deleteCache,
+  invalidateTags,
   cacheKeys,
+  cacheTags,
 } = require("../utils/redis");
-const mongoose = require("mongoose");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { catchAsync, errorTypes } = require("../utils/errorHandler");
+const logger = require("../utils/logger");
+const { normalizeSku } = require("../utils/sneakerNames");
+const {
+  notifyLike,
+  retractLike,
+  notifyPriceAlert,
+} = require("../utils/notifications");
+const { indexSneaker, indexBrand } = require("../utils/suggest");
+const { recordPrice } = require("../utils/prices");
+const { baseCurrency, toBasePrice } = require("../utils/currency");
+const {
+  blockedIdsFor,
+  assertCanViewContent,
+  visiblePostsFilter,
+  assertPostVisible,
+} = require("../utils/visibility");
+const {
+  decoratePosts,
+  decoratePost,
+  feedPopulate,
+} = require("../utils/viewerState");
 const multer = require("multer");
 const cloudinary = require("../utils/cloudinary");
 const { uploadToCloudinary } = require("../utils/cloudinary");
 const upload = multer({ memory: true });
+const writeLimiter = rateLimiter.write();
+
+// Author and sneaker fields shown on every feed card
+const populateFeedPost = (query) => query.populate(feedPopulate);
 
 /**
  * @route   POST /api/posts
- * @desc    Create a new post
+ * @desc    Create a new post. Send sku to attach it to a catalog sneaker;
+ *          brandName and sneakerName are only needed for new sneakers.
  * @access  Private
  */
 router.post(
   "/",
   authenticate,
+  writeLimiter,
   upload.fields([
     { name: "mainImage", maxCount: 1 },
     { name: "additionalImages", maxCount: 3 },
   ]),
-  async (req, res) => {
-    try {
-      const {
-        brandName,
-        sneakerName,
-        description,
-        purchaseLink,
-        purchaseAddress,
-        price,
-        year,
-      } = req.body;
-
-      // Validate required fields
-      if (!brandName || !sneakerName || !description) {
-        return res.status(400).json({
-          message: "Brand name, sneaker name, and description are required",
-        });
-      }
+  postValidation.createPost,
+  catchAsync(async (req, res) => {
+    const { sku, description, purchaseLink, purchaseAddress, price, year } =
+      req.body;
+    const currency = req.body.currency || baseCurrency();
 
-      if (!req.files || !req.files.mainImage) {
-        return res.status(400).json({ message: "Main image is required" });
-      }
+    // Attach by SKU when the catalog knows it
+    let sneaker = sku ? await Sneaker.findBySku(sku) : null;
 
-      // Process main image
-      const mainImageFile = req.files.mainImage[0];
-      const mainImagePath = `posts/${req.user._id}/main-${Date.now()}`;
-      const mainImageUrl = await uploadToCloudinary(
-        mainImageFile.buffer,
-        mainImagePath,
-        mainImageFile.mimetype
+    if (!sneaker && (!req.body.brandName || !req.body.sneakerName)) {
+      throw errorTypes.badRequest(
+        "No sneaker with this SKU yet; include brandName and sneakerName to add it"
       );
+    }
 
-      // Process additional images if provided
-      const additionalImageUrls = [];
-      if (req.files.additionalImages) {
-        const uploadPromises = req.files.additionalImages.map((file, index) => {
-          const filePath = `posts/${
-            req.user._id
-          }/additional-${Date.now()}-${index}`;
-          return uploadToCloudinary(file.buffer, filePath, file.mimetype);
-        });
+    const brandName = req.body.brandName || sneaker.brandName;
+    const sneakerName = req.body.sneakerName || sneaker.sneakerName;
 
-        const results = await Promise.all(uploadPromises);
-        additionalImageUrls.push(...results);
-      }
+    // Process main image
+    const mainImageFile = req.files.mainImage[0];
+    const mainImagePath = `posts/${req.user._id}/main-${Date.now()}`;
+    const mainImageUrl = await uploadToCloudinary(
+      mainImageFile.buffer,
+      mainImagePath,
+      mainImageFile.mimetype
+    );
 
-      // Find or create the sneaker
-      let sneaker = await Sneaker.findOne({
-        sneakerName: { $regex: new RegExp(`^${sneakerName}$`, "i") },
-        brandName: { $regex: new RegExp(`^${brandName}$`, "i") },
+    // Process additional images if provided
+    const additionalImageUrls = [];
+    if (req.files.additionalImages) {
+      const uploadPromises = req.files.additionalImages.map((file, index) => {
+        const filePath = `posts/${
+          req.user._id
+        }/additional-${Date.now()}-${index}`;
+        return uploadToCloudinary(file.buffer, filePath, file.mimetype);
       });
 
+      const results = await Promise.all(uploadPromises);
+      additionalImageUrls.push(...results);
+    }
+
+    // Otherwise find or create it, matching normalised names and aliases
+    // under the canonical brand
+    if (!sneaker) {
+      const brand = await Brand.findOrCreateByName(brandName);
+      sneaker = await Sneaker.findByName(brand.name, sneakerName);
+
+      // Same name under a different SKU is a different release
+      if (sneaker && sku && sneaker.sku && sneaker.sku !== normalizeSku(sku)) {
+        sneaker = null;
+      }
+
+      if (sneaker && sku && !sneaker.sku) {
+        sneaker.sku = sku;
+        await sneaker.save();
+      }
+
       if (!sneaker) {
         sneaker = new Sneaker({
           sneakerName,
-          brandName,
-          minPrice: price ? Number(price) : 0,
-          maxPrice: price ? Number(price) : 0,
+          brandName: brand.name,
+          brandId: brand._id,
+          sku: sku || null,
         });
         await sneaker.save();
-      }
 
-      if (sneaker) {
-        const minPrice = sneaker.minPrice;
-        const maxPrice = sneaker.maxPrice;
-        if (price > maxPrice) {
-          await Sneaker.findByIdAndUpdate(sneaker._id, {
-            $set: { maxPrice: price },
-          });
-        } else if (price < minPrice) {
-          await Sneaker.findByIdAndUpdate(sneaker._id, {
-            $set: { minPrice: price },
-          });
-        }
+        // So the next person typing this name is offered it
+        indexBrand(brand);
+        indexSneaker(sneaker);
       }
+    }
 
-      // Create post
-      const newPost = new Post({
-        userId: req.user._id,
-        sneakerId: sneaker._id,
-        mainImage: mainImageUrl,
-        additionalImages: additionalImageUrls,
-        brandName,
-        sneakerName,
-        description,
-        purchaseLink,
-        purchaseAddress,
-        price: price ? Number(price) : undefined,
-        year: year ? Number(year) : undefined,
-      });
+    // Create post
+    const newPost = new Post({
+      userId: req.user._id,
+      sneakerId: sneaker._id,
+      mainImage: mainImageUrl,
+      additionalImages: additionalImageUrls,
+      brandName: sneaker.brandName,
+      sneakerName,
+      description,
+      purchaseLink,
+      purchaseAddress,
+      price: price ? Number(price) : undefined,
+      currency,
+      basePrice: price ? await toBasePrice(Number(price), currency) : undefined,
+      year: year ? Number(year) : undefined,
+      ...Post.authorVisibility(req.user),
+    });
 
-      await newPost.save();
+    await newPost.save();
 
-      // Update sneaker with post reference
-      await Sneaker.findByIdAndUpdate(sneaker._id, {
-        $push: { posts: newPost._id },
-      });
+    // Update sneaker with post reference
+    await Sneaker.findByIdAndUpdate(sneaker._id, {
+      $push: { posts: newPost._id },
+      $inc: { postCount: 1 },
+    });
 
-      // Update user's sneaker count if this is a new sneaker they've posted
-      const userSneakerCount = await Post.distinct("sneakerId", {
-        userId: req.user._id,
-      }).length;
-      await User.findByIdAndUpdate(req.user._id, {
-        totalSneakerCount: userSneakerCount,
-      });
+    await recordPrice(newPost);
+    await Sneaker.syncPriceRange(sneaker._id);
 
-      // Clear cache for top rated sneakers since there's a new post
-      await deleteCache(cacheKeys.topRatedSneakers);
+    // Clear cached sneaker rankings since there's a new post
+    await invalidateTags(cacheTags.sneakers, cacheTags.sneaker(sneaker._id));
 
-      res.status(201).json({
-        message: "Post created successfully",
-        post: newPost,
-      });
-    } catch (error) {
-      console.error("Create post error:", error);
-      res.status(500).json({ message: "Server error creating post" });
-    }
-  }
+    await notifyPriceAlert(newPost, sneaker, req.user);
+
+    res.status(201).json({
+      message: "Post created successfully",
+      post: newPost,
+    });
+  })
 );
 
 /**
@@ -153,136 +182,149 @@ router.post(
  * @desc    Get all posts with pagination
  * @access  Public
  */
-router.get("/", async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    const posts = await Post.find()
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate("userId", "username profilePhoto")
-      .populate("sneakerId", "sneakerName brandName averageRating");
+router.get(
+  "/",
+  optionalAuth,
+  postValidation.getPaginatedPosts,
+  catchAsync(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      throw errorTypes.badRequest("Invalid cursor");
+    }
 
-    const total = await Post.countDocuments();
+    const {
+      items: posts,
+      total,
+      ...pageInfo
+    } = await paginate(
+      Post,
+      await visiblePostsFilter(req.user, { excludeMuted: true }),
+      pagination,
+      populateFeedPost
+    );
 
     res.status(200).json({
-      posts,
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
+      posts: await decoratePosts(posts, req.user, {
+        currency: req.query.currency,
+      }),
+      ...pageInfo,
       totalPosts: total,
     });
-  } catch (error) {
-    console.error("Get posts error:", error);
-    res.status(500).json({ message: "Server error fetching posts" });
-  }
-});
+  })
+);
 
 /**
  * @route   GET /api/posts/:userId
  * @desc    Get posts of the users that the current user follows
  * @access  Private
  */
-router.get("/following", authenticate, async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+router.get(
+  "/following",
+  authenticate,
+  postValidation.getPaginatedPosts,
+  catchAsync(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      throw errorTypes.badRequest("Invalid cursor");
+    }
 
     const user = await User.findById(req.user._id).populate("following");
 
     if (!user) {
-      return res.status(404).json({ message: "User not found" });
+      throw errorTypes.notFound("User");
     }
 
-    const followingIds = user.following.map((user) => user._id);
-
-    const posts = await Post.find({ userId: { $in: followingIds } })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate("userId", "username profilePhoto")
-      .populate("sneakerId", "sneakerName brandName averageRating");
-
-    const total = await Post.countDocuments({ userId: { $in: followingIds } });
+    // Muted users stay followed but drop out of the feed
+    const mutedIds = new Set(user.mutedUsers.map((id) => id.toString()));
+    const followingIds = user.following
+      .map((user) => user._id)
+      .filter((id) => !mutedIds.has(id.toString()));
+
+    const {
+      items: posts,
+      total,
+      ...pageInfo
+    } = await paginate(
+      Post,
+      // Followed accounts can still be blocked or suspended since
+      {
+        $and: [
+          await visiblePostsFilter(req.user),
+          { userId: { $in: followingIds } },
+        ],
+      },
+      pagination,
+      populateFeedPost
+    );
 
     res.status(200).json({
-      posts,
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
+      posts: await decoratePosts(posts, req.user, {
+        currency: req.query.currency,
+      }),
+      ...pageInfo,
       totalPosts: total,
     });
-  } catch (error) {
-    console.error("Get following posts error:", error);
-    res.status(500).json({ message: "Server error fetching following posts" });
-  }
-});
+  })
+);
 
 /**
  * @route   GET /api/posts/:id
  * @desc    Get a single post by ID
  * @access  Public
  */
-router.get("/:id", async (req, res) => {
-  try {
-    // Validate post ID
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: "Invalid post ID" });
-    }
-
-    const post = await Post.findById(req.params.id)
-      .populate("userId", "username profilePhoto")
-      .populate("sneakerId", "sneakerName brandName averageRating");
+router.get(
+  "/:id",
+  optionalAuth,
+  postValidation.getPostById,
+  catchAsync(async (req, res) => {
+    const post = await populateFeedPost(Post.findById(req.params.id));
 
     if (!post) {
-      return res.status(404).json({ message: "Post not found" });
+      throw errorTypes.notFound("Post");
     }
 
+    await assertPostVisible(post, req.user);
+
     // Get like count from cache if available
     const likeCountKey = cacheKeys.postLikeCount(post._id);
     let likeCount = await getCache(likeCountKey);
 
     if (likeCount === null) {
-      likeCount = post.likes.length;
+      likeCount = post.likeCount;
       // Cache for 1 hour
-      await setCache(likeCountKey, likeCount, 3600);
+      await setCache(likeCountKey, likeCount, 3600, [cacheTags.post(post._id)]);
     }
 
     res.status(200).json({
-      post,
+      post: await decoratePost(post, req.user, {
+        currency: req.query.currency,
+      }),
       likeCount,
+      commentCount: post.commentCount,
     });
-  } catch (error) {
-    console.error("Get post error:", error);
-    res.status(500).json({ message: "Server error fetching post" });
-  }
-});
+  })
+);
 
 /**
  * @route   PUT /api/posts/:id
  * @desc    Update a post
  * @access  Private
  */
-router.put("/:id", authenticate, async (req, res) => {
-  try {
-    // Validate post ID
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: "Invalid post ID" });
-    }
-
+router.put(
+  "/:id",
+  authenticate,
+  writeLimiter,
+  postValidation.updatePost,
+  catchAsync(async (req, res) => {
     const post = await Post.findById(req.params.id);
 
     if (!post) {
-      return res.status(404).json({ message: "Post not found" });
+      throw errorTypes.notFound("Post");
     }
 
     // Check if user is the owner of the post
     if (post.userId.toString() !== req.user._id.toString()) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to update this post" });
+      throw errorTypes.forbidden("Not authorized to update this post");
     }
 
     const { description, purchaseLink, purchaseAddress, price, year } =
@@ -293,48 +335,67 @@ router.put("/:id", authenticate, async (req, res) => {
     if (description) updateData.description = description;
     if (purchaseLink) updateData.purchaseLink = purchaseLink;
     if (purchaseAddress) updateData.purchaseAddress = purchaseAddress;
-    if (price) updateData.price = Number(price);
+    // 0 is a valid price (free or trade)
+    if (price !== undefined) updateData.price = Number(price);
+    if (req.body.currency) updateData.currency = req.body.currency;
     if (year) updateData.year = Number(year);
 
+    // Reconvert at today's rates when the price or its currency changes
+    const repriced =
+      (updateData.price !== undefined && updateData.price !== post.price) ||
+      (updateData.currency !== undefined &&
+        updateData.currency !== post.currency);
+    if (repriced && (updateData.price ?? post.price) != null) {
+      updateData.basePrice = await toBasePrice(
+        updateData.price ?? post.price,
+        updateData.currency ?? post.currency
+      );
+    }
+
     const updatedPost = await Post.findByIdAndUpdate(
       req.params.id,
       { $set: updateData },
       { new: true }
     );
 
+    // A new price is a new observation and may move the sneaker's range
+    if (repriced) {
+      await recordPrice(updatedPost, new Date());
+      await Sneaker.syncPriceRange(post.sneakerId);
+      await invalidateTags(
+        cacheTags.post(post._id),
+        cacheTags.sneakers,
+        cacheTags.sneaker(post.sneakerId)
+      );
+    }
+
     res.status(200).json({
       message: "Post updated successfully",
       post: updatedPost,
     });
-  } catch (error) {
-    console.error("Update post error:", error);
-    res.status(500).json({ message: "Server error updating post" });
-  }
-});
+  })
+);
 
 /**
  * @route   DELETE /api/posts/:id
  * @desc    Delete a post
  * @access  Private
  */
-router.delete("/:id", authenticate, async (req, res) => {
-  try {
-    // Validate post ID
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: "Invalid post ID" });
-    }
-
+router.delete(
+  "/:id",
+  authenticate,
+  writeLimiter,
+  postValidation.getPostById,
+  catchAsync(async (req, res) => {
     const post = await Post.findById(req.params.id);
 
     if (!post) {
-      return res.status(404).json({ message: "Post not found" });
+      throw errorTypes.notFound("Post");
     }
 
     // Check if user is the owner of the post
     if (post.userId.toString() !== req.user._id.toString()) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to delete this post" });
+      throw errorTypes.forbidden("Not authorized to delete this post");
     }
 
     // Delete images from Cloudinary
@@ -353,130 +414,287 @@ router.delete("/:id", authenticate, async (req, res) => {
         });
       }
     } catch (storageError) {
-      console.error("Error deleting images from storage:", storageError);
+      logger.warn("Error deleting images from storage:", {
+        postId: post._id,
+        error: storageError.message,
+      });
       // Continue with post deletion even if image deletion fails
     }
 
     // Remove post reference from sneaker
-    await Sneaker.findByIdAndUpdate(post.sneakerId, {
-      $pull: { posts: post._id },
-    });
+    await Sneaker.updateOne(
+      { _id: post.sneakerId, posts: post._id },
+      { $pull: { posts: post._id }, $inc: { postCount: -1 } }
+    );
 
-    // Delete the post
+    // Delete the post with its comments, likes and bookmarks. Its price
+    // observations stay in the sneaker's history.
     await Post.findByIdAndDelete(req.params.id);
-
-    // Update user's sneaker count
-    const userSneakers = await Post.distinct("sneakerId", {
-      userId: req.user._id,
-    });
-    await User.findByIdAndUpdate(req.user._id, {
-      totalSneakerCount: userSneakers.length,
-    });
-
-    // Clear caches
+    await Sneaker.syncPriceRange(post.sneakerId);
     await Promise.all([
-      deleteCache(cacheKeys.postLikeCount(post._id)),
-      deleteCache(cacheKeys.topRatedSneakers),
+      Comment.deleteMany({ postId: post._id }),
+      Like.deleteMany({ postId: post._id }),
+      Bookmark.deleteMany({ postId: post._id }),
+      Notification.deleteMany({ postId: post._id }),
     ]);
 
+    // Clear caches
+    await invalidateTags(
+      cacheTags.post(post._id),
+      cacheTags.sneakers,
+      cacheTags.sneaker(post.sneakerId)
+    );
+
     res.status(200).json({ message: "Post deleted successfully" });
-  } catch (error) {
-    console.error("Delete post error:", error);
-    res.status(500).json({ message: "Server error deleting post" });
-  }
-});
+  })
+);
+
+/**
+ * Shared handler for the like endpoints
+ * @param {Function} action - Resolves to { liked, changed, likeCount }
+ */
+const handleLike = (action) =>
+  catchAsync(async (req, res) => {
+    const post = await Post.findById(req.params.id).select("userId isHidden");
+
+    if (!post) {
+      throw errorTypes.notFound("Post");
+    }
+
+    await assertPostVisible(post, req.user);
+
+    const { liked, changed, likeCount } = await action(
+      req.params.id,
+      req.user._id
+    );
+
+    if (changed) {
+      await (liked ? notifyLike : retractLike)(post, req.user);
+    }
+
+    // Update the like count in cache
+    await setCache(cacheKeys.postLikeCount(req.params.id), likeCount, 3600, [
+      cacheTags.post(req.params.id),
+    ]);
+
+    res.status(200).json({
+      message: liked ? "Post liked successfully" : "Post unliked successfully",
+      likeCount,
+      liked,
+    });
+  });
 
 /**
  * @route   POST /api/posts/:id/like
  * @desc    Like or unlike a post
  * @access  Private
  */
-router.post("/:id/like", authenticate, async (req, res) => {
-  try {
-    // Validate post ID
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: "Invalid post ID" });
+router.post(
+  "/:id/like",
+  authenticate,
+  writeLimiter,
+  postValidation.getPostById,
+  handleLike(async (postId, userId) =>
+    (await Like.exists({ postId, userId }))
+      ? Like.removeLike(postId, userId)
+      : Like.addLike(postId, userId)
+  )
+);
+
+/**
+ * @route   PUT /api/posts/:id/like
+ * @desc    Like a post (idempotent)
+ * @access  Private
+ */
+router.put(
+  "/:id/like",
+  authenticate,
+  writeLimiter,
+  postValidation.getPostById,
+  handleLike((postId, userId) => Like.addLike(postId, userId))
+);
+
+/**
+ * @route   DELETE /api/posts/:id/like
+ * @desc    Unlike a post (idempotent)
+ * @access  Private
+ */
+router.delete(
+  "/:id/like",
+  authenticate,
+  writeLimiter,
+  postValidation.getPostById,
+  handleLike((postId, userId) => Like.removeLike(postId, userId))
+);
+
+/**
+ * @route   GET /api/posts/:id/likes
+ * @desc    Get users who liked a post, most recent first
+ * @access  Public
+ */
+router.get(
+  "/:id/likes",
+  optionalAuth,
+  postValidation.getPostLikes,
+  catchAsync(async (req, res) => {
+    const pagination = parsePagination(req.query, undefined, {
+      defaultLimit: 20,
+    });
+    if (!pagination) {
+      throw errorTypes.badRequest("Invalid cursor");
     }
 
-    const post = await Post.findById(req.params.id);
+    const post = await Post.findById(req.params.id).select(
+      "userId isHidden likeCount"
+    );
 
     if (!post) {
-      return res.status(404).json({ message: "Post not found" });
+      throw errorTypes.notFound("Post");
     }
 
-    // Check if user already liked the post
-    const alreadyLiked = post.likes.includes(req.user._id);
+    await assertPostVisible(post, req.user);
+
+    const {
+      items: likes,
+      total,
+      ...pageInfo
+    } = await paginate(
+      Like,
+      { postId: post._id, userId: { $nin: await blockedIdsFor(req.user) } },
+      pagination,
+      (query) => query.populate("userId", "username profilePhoto")
+    );
+
+    res.status(200).json({
+      users: likes
+        .filter((like) => like.userId)
+        .map((like) => ({
+          _id: like.userId._id,
+          username: like.userId.username,
+          profilePhoto: like.userId.profilePhoto,
+          likedAt: like.createdAt,
+        })),
+      likeCount: post.likeCount,
+      ...pageInfo,
+    });
+  })
+);
+
+/**
+ * @route   POST /api/posts/:id/bookmark
+ * @desc    Bookmark a post, optionally into a named folder
+ * @access  Private
+ */
+router.post(
+  "/:id/bookmark",
+  authenticate,
+  writeLimiter,
+  postValidation.bookmarkPost,
+  catchAsync(async (req, res) => {
+    const folder = req.body.folder || "";
+
+    const post = await Post.findById(req.params.id).select("userId isHidden");
+
+    if (!post) {
+      throw errorTypes.notFound("Post");
+    }
 
-    let message;
+    await assertPostVisible(post, req.user);
 
-    if (alreadyLiked) {
-      // Unlike the post
-      await Post.findByIdAndUpdate(req.params.id, {
-        $pull: { likes: req.user._id },
+    // Bookmarking again is a no-op, or moves the bookmark to the given folder
+    const filter = { userId: req.user._id, postId: req.params.id };
+    const update = folder ? { $set: { folder } } : {};
+
+    let bookmark;
+    try {
+      bookmark = await Bookmark.findOneAndUpdate(filter, update, {
+        new: true,
+        upsert: true,
+        setDefaultsOnInsert: true,
       });
-      message = "Post unliked successfully";
-    } else {
-      // Like the post
-      await Post.findByIdAndUpdate(req.params.id, {
-        $push: { likes: req.user._id },
+    } catch (error) {
+      // Lost a race with a concurrent bookmark of the same post
+      if (error.code !== 11000) throw error;
+      bookmark = await Bookmark.findOneAndUpdate(filter, update, {
+        new: true,
       });
-      message = "Post liked successfully";
     }
 
-    // Update the like count in cache
-    const updatedPost = await Post.findById(req.params.id);
-    await setCache(
-      cacheKeys.postLikeCount(post._id),
-      updatedPost.likes.length,
-      3600
-    );
+    res.status(200).json({
+      message: "Post bookmarked successfully",
+      bookmarked: true,
+      folder: bookmark.folder,
+    });
+  })
+);
+
+/**
+ * @route   DELETE /api/posts/:id/bookmark
+ * @desc    Remove a bookmark (idempotent)
+ * @access  Private
+ */
+router.delete(
+  "/:id/bookmark",
+  authenticate,
+  writeLimiter,
+  postValidation.getPostById,
+  catchAsync(async (req, res) => {
+    await Bookmark.deleteOne({ userId: req.user._id, postId: req.params.id });
 
     res.status(200).json({
-      message,
-      likeCount: updatedPost.likes.length,
-      liked: !alreadyLiked,
+      message: "Bookmark removed successfully",
+      bookmarked: false,
     });
-  } catch (error) {
-    console.error("Like post error:", error);
-    res.status(500).json({ message: "Server error processing like" });
-  }
-});
+  })
+);
 
 /**
  * @route   GET /api/posts/user/:userId
  * @desc    Get posts by a specific user
  * @access  Public
  */
-router.get("/user/:userId", async (req, res) => {
-  try {
-    // Validate user ID
-    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
-      return res.status(400).json({ message: "Invalid user ID" });
+router.get(
+  "/user/:userId",
+  optionalAuth,
+  postValidation.getUserPosts,
+  catchAsync(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      throw errorTypes.badRequest("Invalid cursor");
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    const posts = await Post.find({ userId: req.params.userId })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate("userId", "username profilePhoto")
-      .populate("sneakerId", "sneakerName brandName averageRating");
+    const author = await User.exists({ _id: req.params.userId });
+    if (!author) {
+      throw errorTypes.notFound("User");
+    }
 
-    const total = await Post.countDocuments({ userId: req.params.userId });
+    await assertCanViewContent(author._id, req.user);
+
+    const {
+      items: posts,
+      total,
+      ...pageInfo
+    } = await paginate(
+      Post,
+      // A suspended author's posts stay out of their profile too
+      {
+        $and: [
+          await visiblePostsFilter(req.user),
+          { userId: req.params.userId },
+        ],
+      },
+      pagination,
+      populateFeedPost
+    );
 
     res.status(200).json({
-      posts,
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
+      posts: await decoratePosts(posts, req.user, {
+        currency: req.query.currency,
+      }),
+      ...pageInfo,
       totalPosts: total,
     });
-  } catch (error) {
-    console.error("Get user posts error:", error);
-    res.status(500).json({ message: "Server error fetching user posts" });
-  }
-});
+  })
+);
 
 module.exports = router;
@@ -0,0 +1,303 @@
+const express = require("express");
+const router = express.Router();
+const rateLimiter = require("../middleware/rateLimiter");
+const { authenticate, authorize } = require("../middleware/auth");
+const { reportValidation } = require("../middleware/validation");
+const Report = require("../models/Report");
+const ModerationAction = require("../models/ModerationAction");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const User = require("../models/User");
+const { parsePagination, paginate } = require("../utils/pagination");
+const {
+  recordAction,
+  setPostHidden,
+  suspendUser,
+} = require("../utils/moderation");
+const { catchAsync, errorTypes } = require("../utils/errorHandler");
+
+const writeLimiter = rateLimiter.write();
+const staffOnly = authorize("moderator", "admin");
+
+// Oldest first so the queue is worked in order
+const QUEUE_SORT = { createdAt: 1, _id: 1 };
+
+// Enough of each target type for a moderator to judge it, without private user fields
+const TARGET_FIELDS =
+  "userId postId sneakerName brandName description mainImage text isHidden username profilePhoto";
+
+const populateReport = (query) =>
+  query
+    .populate("reporterId", "username profilePhoto")
+    .populate("targetUserId", "username profilePhoto suspension")
+    .populate("targetId", TARGET_FIELDS)
+    .populate("resolution.moderatorId", "username");
+
+/**
+ * Find the user responsible for a report target
+ * @param {string} targetType - post, comment or user
+ * @param {ObjectId} targetId - Reported document
+ * @returns {Promise<ObjectId|null>} - Author or reported user, or null if the target is gone
+ */
+const targetOwnerId = async (targetType, targetId) => {
+  switch (targetType) {
+    case "post": {
+      const post = await Post.findById(targetId).select("userId");
+      return post ? post.userId : null;
+    }
+    case "comment": {
+      const comment = await Comment.findById(targetId).select("userId");
+      return comment ? comment.userId : null;
+    }
+    case "user":
+      return (await User.exists({ _id: targetId }))?._id || null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * @route   POST /api/reports
+ * @desc    Report a post, comment or user
+ * @access  Private
+ */
+router.post(
+  "/",
+  authenticate,
+  writeLimiter,
+  reportValidation.createReport,
+  catchAsync(async (req, res) => {
+    const { targetType, targetId, reason, details } = req.body;
+
+    const ownerId = await targetOwnerId(targetType, targetId);
+    if (!ownerId) {
+      throw errorTypes.notFound(
+        targetType.charAt(0).toUpperCase() + targetType.slice(1)
+      );
+    }
+
+    if (ownerId.equals(req.user._id)) {
+      throw errorTypes.badRequest("You cannot report yourself");
+    }
+
+    let report;
+    try {
+      report = await Report.create({
+        reporterId: req.user._id,
+        targetType,
+        targetId,
+        targetUserId: ownerId,
+        reason,
+        details,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      throw errorTypes.conflict("You have already reported this");
+    }
+
+    res.status(201).json({
+      message: "Report submitted. Thanks for letting us know.",
+      report: {
+        _id: report._id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt,
+      },
+    });
+  })
+);
+
+/**
+ * @route   GET /api/reports
+ * @desc    Moderation queue (?status=open by default, ?targetType=, ?reason=)
+ * @access  Private (moderator, admin)
+ */
+router.get(
+  "/",
+  authenticate,
+  staffOnly,
+  reportValidation.getReports,
+  catchAsync(async (req, res) => {
+    const pagination = parsePagination(req.query, QUEUE_SORT, {
+      defaultLimit: 20,
+    });
+    if (!pagination) {
+      throw errorTypes.badRequest("Invalid cursor");
+    }
+
+    const filter = { status: req.query.status || "open" };
+    if (req.query.targetType) filter.targetType = req.query.targetType;
+    if (req.query.reason) filter.reason = req.query.reason;
+
+    const {
+      items: reports,
+      total,
+      ...pageInfo
+    } = await paginate(Report, filter, pagination, populateReport);
+
+    // How many open reports each target has, to spot pile-ons
+    const targetIdOf = (report) => report.targetId?._id || report.targetId;
+    const openCounts = await Report.aggregate([
+      {
+        $match: {
+          status: "open",
+          targetId: {
+            $in: reports.map(targetIdOf),
+          },
+        },
+      },
+      { $group: { _id: "$targetId", count: { $sum: 1 } } },
+    ]);
+    const openCountByTarget = new Map(
+      openCounts.map((entry) => [entry._id.toString(), entry.count])
+    );
+
+    res.status(200).json({
+      reports: reports.map((report) => ({
+        ...report.toObject(),
+        openReportsOnTarget:
+          openCountByTarget.get(targetIdOf(report)?.toString()) || 0,
+      })),
+      ...pageInfo,
+      totalReports: total,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/reports/audit
+ * @desc    Audit trail of moderator decisions, newest first (?targetId= to filter)
+ * @access  Private (moderator, admin)
+ */
+router.get(
+  "/audit",
+  authenticate,
+  staffOnly,
+  reportValidation.getAudit,
+  catchAsync(async (req, res) => {
+    const pagination = parsePagination(req.query, undefined, {
+      defaultLimit: 20,
+    });
+    if (!pagination) {
+      throw errorTypes.badRequest("Invalid cursor");
+    }
+
+    const filter = {};
+    if (req.query.targetId) filter.targetId = req.query.targetId;
+
+    const {
+      items: actions,
+      total,
+      ...pageInfo
+    } = await paginate(ModerationAction, filter, pagination, (query) =>
+      query.populate("moderatorId", "username")
+    );
+
+    res.status(200).json({
+      actions,
+      ...pageInfo,
+      totalActions: total,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/reports/:id
+ * @desc    Get a report
+ * @access  Private (moderator, admin)
+ */
+router.get(
+  "/:id",
+  authenticate,
+  staffOnly,
+  reportValidation.getReport,
+  catchAsync(async (req, res) => {
+    const report = await populateReport(Report.findById(req.params.id));
+
+    if (!report) {
+      throw errorTypes.notFound("Report");
+    }
+
+    res.status(200).json({ report });
+  })
+);
+
+/**
+ * @route   POST /api/reports/:id/resolve
+ * @desc    Action or dismiss a report. Every open report on the same target
+ *          is closed with it, and the decision is written to the audit trail.
+ * @access  Private (moderator, admin)
+ */
+router.post(
+  "/:id/resolve",
+  authenticate,
+  staffOnly,
+  reportValidation.resolveReport,
+  catchAsync(async (req, res) => {
+    const { status, action, note, suspendUntil } = req.body;
+
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      throw errorTypes.notFound("Report");
+    }
+
+    if (report.status !== "open") {
+      throw errorTypes.conflict("Report has already been resolved");
+    }
+
+    if (action === "hide_post" && report.targetType !== "post") {
+      throw errorTypes.badRequest("Only reported posts can be hidden");
+    }
+
+    const reportIds = await Report.distinct("_id", {
+      targetType: report.targetType,
+      targetId: report.targetId,
+      status: "open",
+    });
+    const options = { reportIds, note };
+
+    if (status === "dismissed") {
+      await recordAction(
+        req.user,
+        "dismiss_report",
+        report.targetType,
+        report.targetId,
+        options
+      );
+    } else if (action === "hide_post") {
+      await setPostHidden(report.targetId, true, req.user, options);
+    } else {
+      await suspendUser(report.targetUserId, req.user, {
+        ...options,
+        reason: report.reason,
+        until: suspendUntil || null,
+      });
+    }
+
+    await Report.updateMany(
+      { _id: { $in: reportIds }, status: "open" },
+      {
+        $set: {
+          status,
+          resolution: {
+            moderatorId: req.user._id,
+            action: status === "dismissed" ? null : action,
+            note: note || null,
+            resolvedAt: new Date(),
+          },
+        },
+      }
+    );
+
+    res.status(200).json({
+      message: status === "dismissed" ? "Report dismissed" : "Report actioned",
+      report: await Report.findById(report._id),
+      resolvedReports: reportIds.length,
+    });
+  })
+);
+
+module.exports = router;
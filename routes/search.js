@@ -0,0 +1,101 @@
+const express = require("express");
+const router = express.Router();
+const { matchedData } = require("express-validator");
+const rateLimiter = require("../middleware/rateLimiter");
+const { optionalAuth } = require("../middleware/auth");
+const { searchValidation } = require("../middleware/validation");
+const { SEARCH_TYPES, search } = require("../utils/search");
+const { suggest } = require("../utils/suggest");
+const { blockedIdsFor } = require("../utils/visibility");
+const { parseLimit } = require("../utils/pagination");
+const { catchAsync } = require("../utils/errorHandler");
+
+const searchLimiter = rateLimiter.search();
+
+// Results per type when searching everything at once
+const OVERVIEW_LIMIT = 5;
+
+/**
+ * @route   GET /api/search
+ * @desc    Search sneakers, posts and users (?q=, ?type=sneakers|posts|users).
+ *          Without a type, the best few of each are returned.
+ * @access  Public (viewer-aware when authenticated)
+ */
+router.get(
+  "/",
+  optionalAuth,
+  searchLimiter,
+  searchValidation.search,
+  catchAsync(async (req, res) => {
+    const { type } = req.query;
+    // Trimmed by the validator; a repeated ?q= is rejected there
+    const { q } = matchedData(req);
+
+    if (type) {
+      const { items, total, correctedQuery, ...pageInfo } = await search(
+        q,
+        type,
+        {
+          viewer: req.user,
+          page: Math.max(parseInt(req.query.page) || 1, 1),
+          limit: parseLimit(req.query.limit),
+        }
+      );
+
+      return res.status(200).json({
+        query: q,
+        correctedQuery,
+        type,
+        [type]: items,
+        ...pageInfo,
+        totalResults: total,
+      });
+    }
+
+    const [sneakers, posts, users] = await Promise.all(
+      SEARCH_TYPES.map((searchType) =>
+        search(q, searchType, { viewer: req.user, limit: OVERVIEW_LIMIT })
+      )
+    );
+
+    res.status(200).json({
+      query: q,
+      correctedQuery: sneakers.correctedQuery || posts.correctedQuery,
+      sneakers: sneakers.items,
+      posts: posts.items,
+      users: users.items,
+      totalSneakers: sneakers.total,
+      totalPosts: posts.total,
+      totalUsers: users.total,
+    });
+  })
+);
+
+/**
+ * @route   GET /api/search/suggest
+ * @desc    Completions for a partly typed brand, sneaker or username
+ *          (?q=, ?types=brands,sneakers,users, ?limit=)
+ * @access  Public (viewer-aware when authenticated)
+ */
+router.get(
+  "/suggest",
+  optionalAuth,
+  searchLimiter,
+  searchValidation.suggest,
+  catchAsync(async (req, res) => {
+    const { q, types } = matchedData(req);
+    const wantedTypes = types
+      ? [...new Set(types.split(",").map((type) => type.trim()))]
+      : undefined;
+
+    const suggestions = await suggest(q, {
+      types: wantedTypes,
+      limit: parseLimit(req.query.limit, 10, 20),
+      excludeUserIds: await blockedIdsFor(req.user),
+    });
+
+    res.status(200).json({ query: q, suggestions });
+  })
+);
+
+module.exports = router;
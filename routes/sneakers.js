@@ -1,272 +1,486 @@
 const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const rateLimiter = require('../middleware/rateLimiter');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { sneakerValidation } = require('../middleware/validation');
 const Sneaker = require('../models/Sneaker');
 const Post = require('../models/Post');
-const { setCache, getCache, deleteCache, cacheKeys } = require('../utils/redis');
-const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+const WishlistItem = require('../models/WishlistItem');
+const { setCache, getCache, invalidateTags, cacheKeys, cacheTags } = require('../utils/redis');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { catchAsync, errorTypes } = require('../utils/errorHandler');
+const { notifyRating } = require('../utils/notifications');
+const { visiblePostsFilter } = require('../utils/visibility');
+const { normalizeSku } = require('../utils/sneakerNames');
+const { escapeRegex } = require('../utils/regex');
+const { sneakerFacets } = require('../utils/catalog');
+const { search, parseSearchPagination } = require('../utils/search');
+const { priceHistory, convertHistory } = require('../utils/prices');
+const { baseCurrency, priceConverter, withConvertedPrice } = require('../utils/currency');
+
+const writeLimiter = rateLimiter.write();
+const searchLimiter = rateLimiter.search();
+
+// Highest rated first; newer sneakers break ties
+const RATING_SORT = { averageRating: -1, createdAt: -1, _id: -1 };
+
+// Sneakers merged into another are only kept to redirect their old id
+const notMerged = { mergedInto: null };
+
+const LIST_FIELDS = 'sneakerName brandName averageRating sku colorway silhouette releaseDate retailPrice gender';
+
+// Stored in the base currency; ?currency= converts them
+const PRICE_FIELDS = ['minPrice', 'maxPrice', 'retailPrice'];
+
+/**
+ * A sneaker's prices in the requested currency
+ * @param {Object} sneaker - Plain sneaker object
+ * @param {Object} converter - From priceConverter, or null to keep the base currency
+ * @returns {Object}
+ */
+const convertSneakerPrices = (sneaker, converter) => {
+  if (!converter) return sneaker;
+
+  const converted = { ...sneaker };
+  for (const field of PRICE_FIELDS) {
+    if (field in sneaker) converted[field] = converter.convert(sneaker[field]);
+  }
+  return converted;
+};
+
+/**
+ * Build a Sneaker filter from the catalog metadata query parameters.
+ * Express 5 query values stay strings, so numbers and dates are converted here.
+ * @param {Object} query - req.query (validated by sneakerValidation.getSneakers)
+ * @returns {Object} - MongoDB filter
+ */
+const metadataFilter = (query) => {
+  const filter = {};
+
+  if (query.sku) filter.sku = normalizeSku(query.sku);
+  if (query.colorway) filter.colorway = { $regex: escapeRegex(query.colorway), $options: 'i' };
+  if (query.silhouette) filter.silhouette = { $regex: `^${escapeRegex(query.silhouette)}$`, $options: 'i' };
+  if (query.gender) filter.gender = query.gender;
+
+  if (query.releasedAfter || query.releasedBefore) {
+    filter.releaseDate = {};
+    if (query.releasedAfter) filter.releaseDate.$gte = new Date(query.releasedAfter);
+    if (query.releasedBefore) filter.releaseDate.$lte = new Date(query.releasedBefore);
+  }
+
+  if (query.minRetailPrice !== undefined || query.maxRetailPrice !== undefined) {
+    filter.retailPrice = {};
+    if (query.minRetailPrice !== undefined) filter.retailPrice.$gte = Number(query.minRetailPrice);
+    if (query.maxRetailPrice !== undefined) filter.retailPrice.$lte = Number(query.maxRetailPrice);
+  }
+
+  // Released in this size: within the sneaker's size run
+  if (query.size !== undefined) {
+    filter['sizeRun.min'] = { $lte: Number(query.size) };
+    filter['sizeRun.max'] = { $gte: Number(query.size) };
+    filter['sizeRun.system'] = query.sizeSystem || 'US';
+  }
+
+  return filter;
+};
+
+/**
+ * Filter on what people post: price range, rating and number of posts
+ * @param {Object} query - req.query (validated by sneakerValidation.getSneakers)
+ * @param {Function} toBase - Converts a requested price into the base currency
+ * @returns {Object} - MongoDB filter
+ */
+const marketFilter = (query, toBase = Number) => {
+  const filter = {};
+
+  // Listed somewhere in the range: the lowest to highest post price overlaps it
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    filter.maxPrice = { $gt: 0 };
+    if (query.minPrice !== undefined) filter.maxPrice.$gte = toBase(Number(query.minPrice));
+    if (query.maxPrice !== undefined) filter.minPrice = { $lte: toBase(Number(query.maxPrice)) };
+  }
+
+  if (query.minRating !== undefined) filter.averageRating = { $gte: Number(query.minRating) };
+  if (query.minPosts !== undefined) filter.postCount = { $gte: parseInt(query.minPosts) };
+
+  return filter;
+};
+
+// Released during a calendar year (UTC)
+const yearFilter = (year) => ({
+  releaseDate: {
+    $gte: new Date(Date.UTC(year, 0, 1)),
+    $lt: new Date(Date.UTC(year + 1, 0, 1))
+  }
+});
+
+// ?sort= modes. Sorting on a price or release date leaves out sneakers without one.
+const BROWSE_SORTS = {
+  rating: { sort: RATING_SORT },
+  newest: { sort: { releaseDate: -1, _id: -1 }, filter: { releaseDate: { $ne: null } } },
+  most_posted: { sort: { postCount: -1, averageRating: -1, _id: -1 } },
+  price_low: { sort: { minPrice: 1, _id: 1 }, filter: { maxPrice: { $gt: 0 } } },
+  price_high: { sort: { maxPrice: -1, _id: -1 }, filter: { maxPrice: { $gt: 0 } } }
+};
+
+// Cache key for the facets of one set of filters, pagination aside
+const facetsKey = (query) => {
+  const { page, limit, cursor, includeTotal, ...filters } = query;
+  const canonical = Object.keys(filters).sort().map(key => [key, filters[key]]);
+  return cacheKeys.sneakerFacets(
+    crypto.createHash('sha1').update(JSON.stringify(canonical)).digest('hex')
+  );
+};
 
 /**
  * @route   GET /api/sneakers
- * @desc    Get all sneakers with pagination
+ * @desc    Browse sneakers with pagination and facets.
+ *          Filters: ?brand=, ?brandId=, ?year=, ?minPrice=, ?maxPrice=, ?minRating=, ?minPosts=,
+ *          ?sku=, ?colorway=, ?silhouette=, ?gender=, ?releasedAfter=, ?releasedBefore=,
+ *          ?minRetailPrice=, ?maxRetailPrice=, ?size=, ?sizeSystem=
+ *          Sort: ?sort=rating (default), newest, most_posted, price_low or price_high
+ *          Prices (filters included) are in ?currency=, the base currency by default
  * @access  Public
  */
-router.get('/', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    const brandFilter = req.query.brand ? { brandName: { $regex: new RegExp(req.query.brand, 'i') } } : {};
-    
-    const sneakers = await Sneaker.find(brandFilter)
-      .sort({ averageRating: -1, createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select('sneakerName brandName averageRating');
-      
-    const total = await Sneaker.countDocuments(brandFilter);
-    
-    res.status(200).json({
-      sneakers,
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
-      totalSneakers: total
-    });
-  } catch (error) {
-    console.error('Get sneakers error:', error);
-    res.status(500).json({ message: 'Server error fetching sneakers' });
+router.get('/', sneakerValidation.getSneakers, catchAsync(async (req, res) => {
+  const browseSort = BROWSE_SORTS[req.query.sort || 'rating'];
+  const pagination = parsePagination(req.query, browseSort.sort, { defaultLimit: 20 });
+  if (!pagination) {
+    throw errorTypes.badRequest('Invalid cursor');
   }
-});
+
+  const converter = req.query.currency ? await priceConverter(req.query.currency) : null;
+  const base = {
+    ...notMerged,
+    ...metadataFilter(req.query),
+    ...marketFilter(req.query, converter ? converter.toBase : Number)
+  };
+
+  // Brand and year are kept apart so each facet can be counted without its own filter
+  const brandClauses = [];
+  if (req.query.brand) brandClauses.push({ brandName: { $regex: escapeRegex(req.query.brand), $options: 'i' } });
+  // Cast here: the facets are aggregations, which don't cast ids
+  if (req.query.brandId) brandClauses.push({ brandId: new mongoose.Types.ObjectId(req.query.brandId) });
+  const yearClauses = req.query.year ? [yearFilter(parseInt(req.query.year))] : [];
+  const sortClauses = browseSort.filter ? [browseSort.filter] : [];
+
+  const withClauses = (...clauses) => {
+    const all = clauses.flat();
+    return all.length > 0 ? { ...base, $and: all } : base;
+  };
+
+  const cachedFacets = await getCache(facetsKey(req.query));
+
+  const [{ items: sneakers, total, ...pageInfo }, facets] = await Promise.all([
+    paginate(
+      Sneaker,
+      withClauses(brandClauses, yearClauses, sortClauses),
+      pagination,
+      query => query.select(`${LIST_FIELDS} postCount minPrice maxPrice`)
+    ),
+    cachedFacets || sneakerFacets({
+      brands: withClauses(yearClauses, sortClauses),
+      years: withClauses(brandClauses, sortClauses)
+    })
+  ]);
+
+  if (!cachedFacets) {
+    // Counts move with every new post, like the other catalog rankings
+    await setCache(facetsKey(req.query), facets, 300, [cacheTags.sneakers]);
+  }
+
+  res.status(200).json({
+    sneakers: converter
+      ? sneakers.map(sneaker => convertSneakerPrices(sneaker.toObject(), converter))
+      : sneakers,
+    currency: converter ? converter.currency : baseCurrency(),
+    ...pageInfo,
+    totalSneakers: total,
+    facets
+  });
+}));
 
 /**
  * @route   GET /api/sneakers/top
  * @desc    Get top rated sneakers
  * @access  Public
  */
-router.get('/top', async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 10;
-    
-    // Try to get from cache first
-    const cachedTopSneakers = await getCache(cacheKeys.topRatedSneakers);
-    
-    if (cachedTopSneakers) {
-      return res.status(200).json({
-        sneakers: cachedTopSneakers.slice(0, limit),
-        fromCache: true
-      });
-    }
-    
-    // If not in cache, get from database
-    const topSneakers = await Sneaker.find({ averageRating: { $gt: 0 } })
-      .sort({ averageRating: -1 })
-      .limit(50) // Cache more than we need
-      .select('sneakerName brandName averageRating');
-    
-    // Store in cache for 2 hours
-    await setCache(cacheKeys.topRatedSneakers, topSneakers, 7200);
-    
-    res.status(200).json({
-      sneakers: topSneakers.slice(0, limit),
-      fromCache: false
+router.get('/top', sneakerValidation.getTopSneakers, catchAsync(async (req, res) => {
+  const limit = parseInt(req.query.limit) || 10;
+  
+  // Try to get from cache first
+  const cachedTopSneakers = await getCache(cacheKeys.topRatedSneakers);
+  
+  if (cachedTopSneakers) {
+    return res.status(200).json({
+      sneakers: cachedTopSneakers.slice(0, limit),
+      fromCache: true
     });
-  } catch (error) {
-    console.error('Get top sneakers error:', error);
-    res.status(500).json({ message: 'Server error fetching top sneakers' });
   }
-});
+  
+  // If not in cache, get from database
+  const topSneakers = await Sneaker.find({ ...notMerged, averageRating: { $gt: 0 } })
+    .sort({ averageRating: -1 })
+    .limit(50) // Cache more than we need
+    .select('sneakerName brandName averageRating');
+  
+  // Store in cache for 2 hours
+  await setCache(cacheKeys.topRatedSneakers, topSneakers, 7200, [cacheTags.sneakers]);
+  
+  res.status(200).json({
+    sneakers: topSneakers.slice(0, limit),
+    fromCache: false
+  });
+}));
 
 /**
  * @route   GET /api/sneakers/:id
- * @desc    Get sneaker details by ID
- * @access  Public
+ * @desc    Get sneaker details by ID, with how many people want it.
+ *          Prices are in ?currency=, the base currency by default.
+ * @access  Public (viewer-aware when authenticated)
  */
-router.get('/:id', async (req, res) => {
-  try {
-    // Validate sneaker ID
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: 'Invalid sneaker ID' });
-    }
-    
-    const sneaker = await Sneaker.findById(req.params.id);
-    
-    if (!sneaker) {
-      return res.status(404).json({ message: 'Sneaker not found' });
-    }
-    
-    // Get posts for this sneaker
-    const posts = await Post.find({ sneakerId: sneaker._id })
+router.get('/:id', optionalAuth, sneakerValidation.getSneaker, catchAsync(async (req, res) => {
+  const sneaker = await Sneaker.findById(req.params.id);
+  
+  if (!sneaker) {
+    throw errorTypes.notFound('Sneaker');
+  }
+  
+  // Merged duplicates permanently redirect to the sneaker they were merged into
+  if (sneaker.mergedInto) {
+    return res
+      .status(301)
+      .location(`${req.baseUrl}/${sneaker.mergedInto}`)
+      .json({ message: 'Sneaker has been merged', mergedInto: sneaker.mergedInto });
+  }
+  
+  // Get posts for this sneaker
+  const [posts, wantCount, wishlisted, converter] = await Promise.all([
+    Post.find({ sneakerId: sneaker._id, ...await visiblePostsFilter(req.user) })
       .sort({ createdAt: -1 })
       .limit(10)
-      .populate('userId', 'username profilePhoto');
-    
-    // Get rating count and average
-    const ratingCount = sneaker.ratings.length;
-    const averageRating = sneaker.averageRating;
-    
-    res.status(200).json({
-      sneaker: {
-        id: sneaker._id,
-        sneakerName: sneaker.sneakerName,
-        brandName: sneaker.brandName,
-        averageRating,
-        ratingCount,
-        postCount: sneaker.posts.length
-      },
-      recentPosts: posts
-    });
-  } catch (error) {
-    console.error('Get sneaker error:', error);
-    res.status(500).json({ message: 'Server error fetching sneaker details' });
+      .populate('userId', 'username profilePhoto'),
+    WishlistItem.countDocuments({ sneakerId: sneaker._id }),
+    req.user ? WishlistItem.exists({ sneakerId: sneaker._id, userId: req.user._id }) : null,
+    req.query.currency ? priceConverter(req.query.currency) : null
+  ]);
+  
+  // Get rating count and average
+  const ratingCount = sneaker.ratings.length;
+  const averageRating = sneaker.averageRating;
+  
+  res.status(200).json({
+    sneaker: convertSneakerPrices({
+      id: sneaker._id,
+      sneakerName: sneaker.sneakerName,
+      brandName: sneaker.brandName,
+      aliases: sneaker.aliases,
+      sku: sneaker.sku,
+      colorway: sneaker.colorway,
+      silhouette: sneaker.silhouette,
+      releaseDate: sneaker.releaseDate,
+      retailPrice: sneaker.retailPrice,
+      gender: sneaker.gender,
+      sizeRun: sneaker.sizeRun,
+      minPrice: sneaker.minPrice,
+      maxPrice: sneaker.maxPrice,
+      currency: converter ? converter.currency : baseCurrency(),
+      averageRating,
+      ratingCount,
+      postCount: sneaker.posts.length,
+      wantCount,
+      wishlisted: Boolean(wishlisted)
+    }, converter),
+    recentPosts: converter
+      ? posts.map(post => withConvertedPrice(post.toObject(), converter))
+      : posts
+  });
+}));
+
+/**
+ * @route   GET /api/sneakers/:id/prices
+ * @desc    Price history and market statistics (?interval=week|month, ?from=, ?to=).
+ *          Covers the last year by default. Prices are in ?currency=, the base
+ *          currency by default.
+ * @access  Public
+ */
+router.get('/:id/prices', sneakerValidation.getSneakerPrices, catchAsync(async (req, res) => {
+  const sneaker = await Sneaker.findById(req.params.id).select('minPrice maxPrice mergedInto');
+
+  if (!sneaker) {
+    throw errorTypes.notFound('Sneaker');
+  }
+
+  if (sneaker.mergedInto) {
+    return res
+      .status(301)
+      .location(`${req.baseUrl}/${sneaker.mergedInto}/prices`)
+      .json({ message: 'Sneaker has been merged', mergedInto: sneaker.mergedInto });
+  }
+
+  const interval = req.query.interval || 'week';
+  const cacheKey = cacheKeys.sneakerPrices(
+    sneaker._id,
+    [interval, req.query.from, req.query.to].join(':')
+  );
+
+  // Cached in the base currency and converted per request
+  const converter = req.query.currency ? await priceConverter(req.query.currency) : null;
+  const respond = (prices, fromCache) => res.status(200).json({
+    ...(converter
+      ? {
+        ...convertHistory(prices, converter),
+        minPrice: converter.convert(prices.minPrice),
+        maxPrice: converter.convert(prices.maxPrice)
+      }
+      : prices),
+    currency: converter ? converter.currency : baseCurrency(),
+    fromCache
+  });
+
+  const cached = await getCache(cacheKey);
+  if (cached) {
+    return respond(cached, true);
   }
-});
+
+  const history = await priceHistory(sneaker._id, {
+    interval,
+    from: req.query.from ? new Date(req.query.from) : null,
+    to: req.query.to ? new Date(req.query.to) : null
+  });
+
+  const prices = {
+    sneakerId: sneaker._id,
+    // Range of the current listings; stats and series cover every observation
+    minPrice: sneaker.minPrice,
+    maxPrice: sneaker.maxPrice,
+    ...history
+  };
+
+  await setCache(cacheKey, prices, 600, [cacheTags.sneaker(sneaker._id)]);
+
+  respond(prices, false);
+}));
 
 /**
  * @route   POST /api/sneakers/:id/rate
  * @desc    Rate a sneaker
  * @access  Private
  */
-router.post('/:id/rate', authenticate, async (req, res) => {
-  try {
-    // Validate sneaker ID
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: 'Invalid sneaker ID' });
-    }
-    
-    const { rating } = req.body;
-    
-    // Validate rating
-    if (!rating || rating < 1 || rating > 5) {
-      return res.status(400).json({ message: 'Rating must be between 1 and 5' });
-    }
-    
-    const sneaker = await Sneaker.findById(req.params.id);
-    
-    if (!sneaker) {
-      return res.status(404).json({ message: 'Sneaker not found' });
-    }
-    
-    // Check if user has already rated this sneaker
-    const existingRatingIndex = sneaker.ratings.findIndex(
-      r => r.userId.toString() === req.user._id.toString()
-    );
-    
-    if (existingRatingIndex !== -1) {
-      // Update existing rating
-      sneaker.ratings[existingRatingIndex].rating = rating;
-    } else {
-      // Add new rating
-      sneaker.ratings.push({
-        userId: req.user._id,
-        rating
-      });
-    }
-    
-    // Calculate new average rating
-    sneaker.calculateAverageRating();
-    
-    await sneaker.save();
-    
-    // Update all posts with this sneaker to reflect the new rating
-    await Post.updateMany(
-      { sneakerId: sneaker._id },
-      { $set: { 'sneakerRatings.$[elem].rating': rating } },
-      { arrayFilters: [{ 'elem.userId': req.user._id }], upsert: true }
-    );
-    
-    // Clear top rated sneakers cache
-    await deleteCache(cacheKeys.topRatedSneakers);
-    await deleteCache(cacheKeys.sneakerRatingAvg(sneaker._id));
-    
-    res.status(200).json({
-      message: 'Sneaker rated successfully',
-      averageRating: sneaker.averageRating,
-      ratingCount: sneaker.ratings.length
+router.post('/:id/rate', authenticate, writeLimiter, sneakerValidation.rateSneaker, catchAsync(async (req, res) => {
+  const { rating } = req.body;
+  
+  let sneaker = await Sneaker.findById(req.params.id);
+  
+  // Ratings of a merged duplicate go to the sneaker it was merged into
+  if (sneaker && sneaker.mergedInto) {
+    sneaker = await Sneaker.findById(sneaker.mergedInto);
+  }
+  
+  if (!sneaker) {
+    throw errorTypes.notFound('Sneaker');
+  }
+  
+  // Check if user has already rated this sneaker
+  const existingRatingIndex = sneaker.ratings.findIndex(
+    r => r.userId.toString() === req.user._id.toString()
+  );
+  
+  if (existingRatingIndex !== -1) {
+    // Update existing rating
+    sneaker.ratings[existingRatingIndex].rating = rating;
+  } else {
+    // Add new rating
+    sneaker.ratings.push({
+      userId: req.user._id,
+      rating
     });
-  } catch (error) {
-    console.error('Rate sneaker error:', error);
-    res.status(500).json({ message: 'Server error rating sneaker' });
   }
-});
+  
+  // Calculate new average rating
+  sneaker.calculateAverageRating();
+  
+  await sneaker.save();
+  
+  // Update all posts with this sneaker to reflect the new rating
+  await Post.updateMany(
+    { sneakerId: sneaker._id },
+    { $set: { 'sneakerRatings.$[elem].rating': rating } },
+    { arrayFilters: [{ 'elem.userId': req.user._id }], upsert: true }
+  );
+  
+  // Clear cached rankings and anything cached for this sneaker
+  await invalidateTags(cacheTags.sneakers, cacheTags.sneaker(sneaker._id));
+  
+  await notifyRating(sneaker, req.user);
+  
+  res.status(200).json({
+    message: 'Sneaker rated successfully',
+    averageRating: sneaker.averageRating,
+    ratingCount: sneaker.ratings.length
+  });
+}));
 
 /**
  * @route   GET /api/sneakers/search/:query
- * @desc    Search for sneakers
+ * @desc    Search for sneakers, ranked like GET /api/search?type=sneakers
  * @access  Public
  */
-router.get('/search/:query', async (req, res) => {
-  try {
-    const { query } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    
-    // Search by name or brand
-    const sneakers = await Sneaker.find({
-      $or: [
-        { sneakerName: { $regex: query, $options: 'i' } },
-        { brandName: { $regex: query, $options: 'i' } }
-      ]
-    })
-    .sort({ averageRating: -1 })
-    .skip(skip)
-    .limit(limit)
-    .select('sneakerName brandName averageRating');
-    
-    const total = await Sneaker.countDocuments({
-      $or: [
-        { sneakerName: { $regex: query, $options: 'i' } },
-        { brandName: { $regex: query, $options: 'i' } }
-      ]
-    });
-    
-    res.status(200).json({
-      sneakers,
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
-      totalResults: total
-    });
-  } catch (error) {
-    console.error('Search sneakers error:', error);
-    res.status(500).json({ message: 'Server error searching sneakers' });
+router.get('/search/:query', optionalAuth, searchLimiter, sneakerValidation.searchSneakers, catchAsync(async (req, res) => {
+  const pagination = parseSearchPagination(req.query);
+  if (!pagination) {
+    throw errorTypes.badRequest('Invalid cursor');
   }
-});
+
+  const { items: sneakers, total, correctedQuery, ...pageInfo } = await search(
+    req.params.query,
+    'sneakers',
+    pagination
+  );
+  
+  res.status(200).json({
+    sneakers,
+    correctedQuery,
+    ...pageInfo,
+    totalResults: total
+  });
+}));
 
 /**
  * @route   GET /api/sneakers/brand/:brandName
- * @desc    Get sneakers by brand
+ * @desc    Get sneakers by brand (name, alias or slug)
  * @access  Public
  */
-router.get('/brand/:brandName', async (req, res) => {
-  try {
-    const { brandName } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    
-    const sneakers = await Sneaker.find({ 
-      brandName: { $regex: new RegExp(`^${brandName}$`, 'i') }
-    })
-    .sort({ averageRating: -1 })
-    .skip(skip)
-    .limit(limit)
-    .select('sneakerName brandName averageRating');
-    
-    const total = await Sneaker.countDocuments({ 
-      brandName: { $regex: new RegExp(`^${brandName}$`, 'i') }
-    });
-    
-    res.status(200).json({
-      brand: brandName,
-      sneakers,
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
-      totalSneakers: total
-    });
-  } catch (error) {
-    console.error('Get brand sneakers error:', error);
-    res.status(500).json({ message: 'Server error fetching brand sneakers' });
+router.get('/brand/:brandName', sneakerValidation.getBrandSneakers, catchAsync(async (req, res) => {
+  const { brandName } = req.params;
+  const pagination = parsePagination(req.query, RATING_SORT);
+  if (!pagination) {
+    throw errorTypes.badRequest('Invalid cursor');
   }
-});
+  
+  const brand = await Brand.findOne({ slug: brandName }) || await Brand.resolve(brandName);
+  
+  if (!brand) {
+    throw errorTypes.notFound('Brand');
+  }
+  
+  const { items: sneakers, total, ...pageInfo } = await paginate(
+    Sneaker,
+    { ...notMerged, brandId: brand._id },
+    pagination,
+    query => query.select(LIST_FIELDS)
+  );
+  
+  res.status(200).json({
+    brand: brand.name,
+    brandSlug: brand.slug,
+    sneakers,
+    ...pageInfo,
+    totalSneakers: total
+  });
+}));
 
 module.exports = router;
\ No newline at end of file
@@ -1,224 +1,900 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const rateLimiter = require('../middleware/rateLimiter');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { userValidation } = require('../middleware/validation');
 const User = require('../models/User');
 const Post = require('../models/Post');
-const { setCache, getCache, deleteCache, cacheKeys } = require('../utils/redis');
-const mongoose = require('mongoose');
+const Bookmark = require('../models/Bookmark');
+const Device = require('../models/Device');
+const Sneaker = require('../models/Sneaker');
+const ClosetItem = require('../models/ClosetItem');
+const WishlistItem = require('../models/WishlistItem');
+const { setCache, getCache, deleteCache, cacheKeys, cacheTags } = require('../utils/redis');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { decoratePosts, feedPopulate } = require('../utils/viewerState');
+const { catchAsync, errorTypes } = require('../utils/errorHandler');
+const {
+  notifyFollow,
+  retractFollow,
+  notifyFollowRequest,
+  retractFollowRequest
+} = require('../utils/notifications');
+const {
+  blockedIdsFor,
+  notHidden,
+  visiblePostsFilter,
+  assertNotBlocked,
+  canViewContent,
+  assertCanViewContent
+} = require('../utils/visibility');
+
+const writeLimiter = rateLimiter.write();
+
+/**
+ * @route   GET /api/users/me/bookmarks
+ * @desc    Get the current user's bookmarked posts, newest bookmark first
+ * @access  Private
+ */
+router.get('/me/bookmarks', authenticate, userValidation.getBookmarks, catchAsync(async (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (!pagination) {
+    throw errorTypes.badRequest('Invalid cursor');
+  }
+
+  const filter = { userId: req.user._id };
+  const postsVisible = await visiblePostsFilter(req.user);
+  if (req.query.folder) {
+    filter.folder = req.query.folder;
+  }
+
+  const { items: bookmarks, total, ...pageInfo } = await paginate(
+    Bookmark,
+    filter,
+    pagination,
+    query => query.populate({ path: 'postId', match: postsVisible, populate: feedPopulate })
+  );
+
+  // Skip bookmarks whose post has since disappeared, been hidden, or whose
+  // author has gone private, suspended or blocked either way
+  const saved = bookmarks.filter(bookmark => bookmark.postId);
+  const posts = await decoratePosts(saved.map(bookmark => bookmark.postId), req.user, {
+    currency: req.query.currency
+  });
+
+  res.status(200).json({
+    bookmarks: saved.map((bookmark, index) => ({
+      post: posts[index],
+      folder: bookmark.folder,
+      bookmarkedAt: bookmark.createdAt
+    })),
+    ...pageInfo,
+    totalBookmarks: total
+  });
+}));
+
+/**
+ * @route   GET /api/users/me/bookmarks/folders
+ * @desc    Get the current user's bookmark folders with counts
+ * @access  Private
+ */
+router.get('/me/bookmarks/folders', authenticate, catchAsync(async (req, res) => {
+  const folders = await Bookmark.aggregate([
+    { $match: { userId: req.user._id, folder: { $ne: null } } },
+    { $group: { _id: '$folder', count: { $sum: 1 }, updatedAt: { $max: '$updatedAt' } } },
+    { $sort: { updatedAt: -1 } }
+  ]);
+
+  const unsorted = await Bookmark.countDocuments({ userId: req.user._id, folder: null });
+
+  res.status(200).json({
+    folders: folders.map(folder => ({ name: folder._id, count: folder.count })),
+    unsortedCount: unsorted
+  });
+}));
+
+// Sneaker details shown on every closet item
+const CLOSET_SNEAKER_FIELDS = 'sneakerName brandName sku colorway averageRating';
+
+// Fields an owner can edit on a closet item
+const CLOSET_FIELDS = ['size', 'sizeSystem', 'condition', 'purchasePrice', 'purchaseDate', 'notes', 'visibility'];
+
+const populateClosetItem = query => query.populate('sneakerId', CLOSET_SNEAKER_FIELDS);
+
+/**
+ * @route   GET /api/users/me/closet
+ * @desc    Get the current user's closet, newest first, private items included (?visibility= to filter)
+ * @access  Private
+ */
+router.get('/me/closet', authenticate, userValidation.getCloset, catchAsync(async (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (!pagination) {
+    throw errorTypes.badRequest('Invalid cursor');
+  }
+
+  const filter = { userId: req.user._id };
+  if (req.query.visibility) {
+    filter.visibility = req.query.visibility;
+  }
+
+  const { items, total, ...pageInfo } = await paginate(ClosetItem, filter, pagination, populateClosetItem);
+
+  res.status(200).json({
+    items,
+    ...pageInfo,
+    totalItems: total
+  });
+}));
+
+/**
+ * @route   POST /api/users/me/closet
+ * @desc    Add a pair to the current user's closet
+ * @access  Private
+ */
+router.post('/me/closet', authenticate, writeLimiter, userValidation.addClosetItem, catchAsync(async (req, res) => {
+  const sneaker = await Sneaker.findById(req.body.sneakerId).select('mergedInto');
+
+  if (!sneaker) {
+    throw errorTypes.notFound('Sneaker');
+  }
+
+  const fields = {};
+  for (const field of CLOSET_FIELDS) {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+  }
+
+  const item = await ClosetItem.create({
+    ...fields,
+    userId: req.user._id,
+    // A merged duplicate's old id still works
+    sneakerId: sneaker.mergedInto || sneaker._id
+  });
+
+  const totalSneakerCount = await ClosetItem.syncSneakerCount(req.user._id);
+
+  res.status(201).json({
+    message: 'Added to closet',
+    item: await populateClosetItem(ClosetItem.findById(item._id)),
+    totalSneakerCount
+  });
+}));
+
+/**
+ * @route   PUT /api/users/me/closet/:itemId
+ * @desc    Edit a pair in the current user's closet
+ * @access  Private
+ */
+router.put('/me/closet/:itemId', authenticate, writeLimiter, userValidation.updateClosetItem, catchAsync(async (req, res) => {
+  const item = await ClosetItem.findOne({ _id: req.params.itemId, userId: req.user._id });
+
+  if (!item) {
+    throw errorTypes.notFound('Closet item');
+  }
+
+  for (const field of CLOSET_FIELDS) {
+    if (req.body[field] !== undefined) item[field] = req.body[field];
+  }
+  await item.save();
+
+  res.status(200).json({
+    message: 'Closet item updated',
+    item: await populateClosetItem(ClosetItem.findById(item._id))
+  });
+}));
+
+/**
+ * @route   DELETE /api/users/me/closet/:itemId
+ * @desc    Remove a pair from the current user's closet
+ * @access  Private
+ */
+router.delete('/me/closet/:itemId', authenticate, writeLimiter, userValidation.deleteClosetItem, catchAsync(async (req, res) => {
+  const result = await ClosetItem.deleteOne({ _id: req.params.itemId, userId: req.user._id });
+
+  if (result.deletedCount === 0) {
+    throw errorTypes.notFound('Closet item');
+  }
+
+  const totalSneakerCount = await ClosetItem.syncSneakerCount(req.user._id);
+
+  res.status(200).json({
+    message: 'Removed from closet',
+    totalSneakerCount
+  });
+}));
+
+// Fields an owner can edit on a wishlist item
+const WISHLIST_FIELDS = ['desiredSize', 'sizeSystem', 'targetPrice'];
+
+// Current price range included so the app can show how close a deal is
+const populateWishlistItem = query =>
+  query.populate('sneakerId', `${CLOSET_SNEAKER_FIELDS} minPrice maxPrice`);
+
+/**
+ * @route   GET /api/users/me/wishlist
+ * @desc    Get the current user's wishlist, newest first
+ * @access  Private
+ */
+router.get('/me/wishlist', authenticate, userValidation.getWishlist, catchAsync(async (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (!pagination) {
+    throw errorTypes.badRequest('Invalid cursor');
+  }
+
+  const { items, total, ...pageInfo } = await paginate(
+    WishlistItem,
+    { userId: req.user._id },
+    pagination,
+    populateWishlistItem
+  );
+
+  res.status(200).json({
+    items,
+    ...pageInfo,
+    totalItems: total
+  });
+}));
+
+/**
+ * @route   POST /api/users/me/wishlist
+ * @desc    Add a sneaker to the current user's wishlist. With a targetPrice,
+ *          new posts listing it at or below that price send a notification.
+ * @access  Private
+ */
+router.post('/me/wishlist', authenticate, writeLimiter, userValidation.addWishlistItem, catchAsync(async (req, res) => {
+  const sneaker = await Sneaker.findById(req.body.sneakerId).select('mergedInto');
+
+  if (!sneaker) {
+    throw errorTypes.notFound('Sneaker');
+  }
+
+  const fields = {};
+  for (const field of WISHLIST_FIELDS) {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+  }
+
+  let item;
+  try {
+    item = await WishlistItem.create({
+      ...fields,
+      userId: req.user._id,
+      // A merged duplicate's old id still works
+      sneakerId: sneaker.mergedInto || sneaker._id
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    throw errorTypes.conflict('Sneaker is already on your wishlist');
+  }
+
+  res.status(201).json({
+    message: 'Added to wishlist',
+    item: await populateWishlistItem(WishlistItem.findById(item._id))
+  });
+}));
+
+/**
+ * @route   PUT /api/users/me/wishlist/:itemId
+ * @desc    Change the desired size or target price of a wishlist item
+ * @access  Private
+ */
+router.put('/me/wishlist/:itemId', authenticate, writeLimiter, userValidation.updateWishlistItem, catchAsync(async (req, res) => {
+  const item = await WishlistItem.findOne({ _id: req.params.itemId, userId: req.user._id });
+
+  if (!item) {
+    throw errorTypes.notFound('Wishlist item');
+  }
+
+  for (const field of WISHLIST_FIELDS) {
+    if (req.body[field] !== undefined) item[field] = req.body[field];
+  }
+  await item.save();
+
+  res.status(200).json({
+    message: 'Wishlist item updated',
+    item: await populateWishlistItem(WishlistItem.findById(item._id))
+  });
+}));
+
+/**
+ * @route   DELETE /api/users/me/wishlist/:itemId
+ * @desc    Remove a sneaker from the current user's wishlist
+ * @access  Private
+ */
+router.delete('/me/wishlist/:itemId', authenticate, writeLimiter, userValidation.deleteWishlistItem, catchAsync(async (req, res) => {
+  const result = await WishlistItem.deleteOne({ _id: req.params.itemId, userId: req.user._id });
+
+  if (result.deletedCount === 0) {
+    throw errorTypes.notFound('Wishlist item');
+  }
+
+  res.status(200).json({ message: 'Removed from wishlist' });
+}));
+
+/**
+ * @route   POST /api/users/me/devices
+ * @desc    Register a device token for push notifications
+ * @access  Private
+ */
+router.post('/me/devices', authenticate, writeLimiter, userValidation.registerDevice, catchAsync(async (req, res) => {
+  const { token, platform } = req.body;
+
+  // Re-registering moves the token to whoever is signed in on the device now
+  const device = await Device.findOneAndUpdate(
+    { token },
+    { $set: { userId: req.user._id, platform: platform || null, lastSeenAt: new Date() } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(201).json({
+    message: 'Device registered successfully',
+    device
+  });
+}));
+
+/**
+ * @route   DELETE /api/users/me/devices
+ * @desc    Unregister a device token (e.g. on sign out)
+ * @access  Private
+ */
+router.delete('/me/devices', authenticate, writeLimiter, userValidation.unregisterDevice, catchAsync(async (req, res) => {
+  const result = await Device.deleteOne({ token: req.body.token, userId: req.user._id });
+
+  if (result.deletedCount === 0) {
+    throw errorTypes.notFound('Device');
+  }
+
+  res.status(200).json({ message: 'Device unregistered successfully' });
+}));
+
+/**
+ * @route   GET /api/users/me/notification-preferences
+ * @desc    Get which notifications are pushed to the current user's devices
+ * @access  Private
+ */
+router.get('/me/notification-preferences', authenticate, catchAsync(async (req, res) => {
+  res.status(200).json({ preferences: req.user.notificationPreferences });
+}));
+
+/**
+ * @route   PUT /api/users/me/notification-preferences
+ * @desc    Update push notification preferences
+ * @access  Private
+ */
+router.put('/me/notification-preferences', authenticate, userValidation.updateNotificationPreferences, catchAsync(async (req, res) => {
+  const updates = {};
+  for (const key of ['push', 'follow', 'like', 'comment', 'rating', 'wishlist']) {
+    if (req.body[key] !== undefined) {
+      updates[`notificationPreferences.${key}`] = req.body[key];
+    }
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: updates },
+    { new: true }
+  ).select('notificationPreferences');
+
+  res.status(200).json({
+    message: 'Notification preferences updated',
+    preferences: user.notificationPreferences
+  });
+}));
+
+/**
+ * @route   GET /api/users/me/follow-requests
+ * @desc    Get pending requests to follow the current user, oldest first
+ * @access  Private
+ */
+router.get('/me/follow-requests', authenticate, catchAsync(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .select('followRequests')
+    .populate('followRequests', 'username profilePhoto');
+  
+  res.status(200).json({
+    requests: user.followRequests,
+    count: user.followRequests.length
+  });
+}));
+
+/**
+ * Shared handler for approving and denying follow requests
+ * @param {boolean} approve - Whether the requester becomes a follower
+ */
+const handleFollowRequest = (approve) => catchAsync(async (req, res) => {
+  // Only remove the request if it is still pending, so two calls can't both succeed
+  const user = await User.findOneAndUpdate(
+    { _id: req.user._id, followRequests: req.params.id },
+    {
+      $pull: { followRequests: req.params.id },
+      ...(approve && { $addToSet: { followers: req.params.id } })
+    },
+    { new: true }
+  );
+  
+  if (!user) {
+    throw errorTypes.notFound('Follow request');
+  }
+  
+  const requester = approve
+    ? await User.findByIdAndUpdate(req.params.id, {
+      $addToSet: { following: req.user._id }
+    }).select('username')
+    : await User.findById(req.params.id).select('username');
+  
+  if (approve) {
+    await Promise.all([
+      deleteCache(cacheKeys.userFollowerCount(req.user._id)),
+      deleteCache(cacheKeys.userFollowingCount(req.params.id))
+    ]);
+  }
+  
+  if (requester) {
+    await retractFollowRequest(req.user._id, requester);
+  }
+  
+  res.status(200).json({
+    message: approve ? 'Follow request approved' : 'Follow request denied',
+    followers: user.followers.length,
+    pendingRequests: user.followRequests.length
+  });
+});
+
+/**
+ * @route   POST /api/users/me/follow-requests/:id/approve
+ * @desc    Approve a follow request
+ * @access  Private
+ */
+router.post('/me/follow-requests/:id/approve', authenticate, writeLimiter, userValidation.followRequest, handleFollowRequest(true));
+
+/**
+ * @route   POST /api/users/me/follow-requests/:id/deny
+ * @desc    Deny a follow request
+ * @access  Private
+ */
+router.post('/me/follow-requests/:id/deny', authenticate, writeLimiter, userValidation.followRequest, handleFollowRequest(false));
+
+/**
+ * Shared handler for the blocked and muted user lists
+ * @param {string} field - blockedUsers or mutedUsers
+ */
+const listUsers = (field) => catchAsync(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .select(field)
+    .populate(field, 'username profilePhoto');
+  
+  res.status(200).json({
+    users: user[field],
+    count: user[field].length
+  });
+});
+
+/**
+ * @route   GET /api/users/me/blocked
+ * @desc    Get users the current user blocked
+ * @access  Private
+ */
+router.get('/me/blocked', authenticate, listUsers('blockedUsers'));
+
+/**
+ * @route   GET /api/users/me/muted
+ * @desc    Get users the current user muted
+ * @access  Private
+ */
+router.get('/me/muted', authenticate, listUsers('mutedUsers'));
 
 /**
  * @route   GET /api/users/:username
  * @desc    Get user profile by username
  * @access  Public
  */
-router.get('/:username', async (req, res) => {
-  try {
-    const { username } = req.params;
-    
-    const user = await User.findOne({ username })
-      .select('-__v -password -firebaseUid');
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+router.get('/:username', optionalAuth, userValidation.getUser, catchAsync(async (req, res) => {
+  const { username } = req.params;
+  
+  const user = await User.findOne({ username })
+    .select('-__v -password -firebaseUid -notificationPreferences');
+  
+  if (!user) {
+    throw errorTypes.notFound('User');
+  }
+
+  await assertNotBlocked(user._id, req.user);
+
+  // Posts a moderator hid stay visible, and counted, only for their author and staff
+  const seesHidden = Boolean(req.user) &&
+    (req.user._id.equals(user._id) || req.user.hasRole('moderator', 'admin'));
+  const [postCount, hiddenPostIds] = await Promise.all([
+    Post.countDocuments({ userId: user._id, ...(seesHidden ? {} : notHidden) }),
+    seesHidden ? [] : Post.distinct('_id', { userId: user._id, isHidden: true })
+  ]);
+  
+  // Counts stay public; the posts themselves need an approved follow on private accounts
+  const contentVisible = await canViewContent(user._id, req.user);
+  
+  let followStatus = 'none';
+  if (req.user && user.followers.some(id => id.equals(req.user._id))) {
+    followStatus = 'following';
+  } else if (req.user && user.followRequests.some(id => id.equals(req.user._id))) {
+    followStatus = 'requested';
+  }
+  
+  res.status(200).json({
+    user: {
+      id: user._id,
+      username: user.username,
+      profilePhoto: user.profilePhoto,
+      isPrivate: user.isPrivate,
+      totalSneakerCount: user.totalSneakerCount,
+      followers: user.followers.length,
+      following: user.following.length,
+      postCount,
+      posts: contentVisible
+        ? user.posts.filter(id => !hiddenPostIds.some(hiddenId => hiddenId.equals(id)))
+        : [],
+      contentVisible,
+      followStatus
     }
+  });
+}));
 
-    // Get post count
-    const postCount = await Post.countDocuments({ userId: user._id });
-    
-    res.status(200).json({
-      user: {
-        id: user._id,
-        username: user.username,
-        profilePhoto: user.profilePhoto,
-        totalSneakerCount: user.totalSneakerCount,
-        followers: user.followers.length,
-        following: user.following.length,
-        postCount,
-        posts: user.posts
-      }
+/**
+ * @route   GET /api/users/:username/closet
+ * @desc    Get a user's closet as the viewer may see it: public items, plus
+ *          followers-only items for followers. Private accounts need an approved follow.
+ * @access  Public
+ */
+router.get('/:username/closet', optionalAuth, userValidation.getUserCloset, catchAsync(async (req, res) => {
+  const pagination = parsePagination(req.query);
+  if (!pagination) {
+    throw errorTypes.badRequest('Invalid cursor');
+  }
+
+  const user = await User.findOne({ username: req.params.username }).select('username followers isPrivate');
+
+  if (!user) {
+    throw errorTypes.notFound('User');
+  }
+
+  await assertNotBlocked(user._id, req.user);
+
+  if (!(await canViewContent(user._id, req.user))) {
+    return res.status(200).json({
+      items: [],
+      nextCursor: null,
+      hasMore: false,
+      contentVisible: false
     });
-  } catch (error) {
-    console.error('User profile fetch error:', error);
-    res.status(500).json({ message: 'Server error fetching user profile' });
   }
-});
+
+  const isOwner = Boolean(req.user) && req.user._id.equals(user._id);
+  const filter = { userId: user._id };
+  if (!isOwner) {
+    const isFollower = Boolean(req.user) && user.followers.some(id => id.equals(req.user._id));
+    filter.visibility = { $in: isFollower ? ['public', 'followers'] : ['public'] };
+  }
+
+  const { items, total, ...pageInfo } = await paginate(ClosetItem, filter, pagination, query =>
+    // What someone paid and their notes stay with the owner
+    isOwner ? populateClosetItem(query) : populateClosetItem(query).select('-purchasePrice -purchaseDate -notes')
+  );
+
+  res.status(200).json({
+    items,
+    ...pageInfo,
+    totalItems: total,
+    contentVisible: true
+  });
+}));
 
 /**
  * @route   POST /api/users/:id/follow
  * @desc    Follow a user
  * @access  Private
  */
-router.post('/:id/follow', authenticate, async (req, res) => {
-  try {
-    // Check if user ID is valid
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: 'Invalid user ID' });
-    }
-    
-    // Can't follow yourself
-    if (req.params.id === req.user._id.toString()) {
-      return res.status(400).json({ message: 'You cannot follow yourself' });
-    }
-    
-    const userToFollow = await User.findById(req.params.id);
-    
-    if (!userToFollow) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    // Check if already following
-    if (req.user.following.includes(userToFollow._id)) {
-      return res.status(400).json({ message: 'You are already following this user' });
+router.post('/:id/follow', authenticate, writeLimiter, userValidation.followUser, catchAsync(async (req, res) => {
+  // Can't follow yourself
+  if (req.params.id === req.user._id.toString()) {
+    throw errorTypes.badRequest('You cannot follow yourself');
+  }
+  
+  const userToFollow = await User.findById(req.params.id);
+  
+  if (!userToFollow) {
+    throw errorTypes.notFound('User');
+  }
+  
+  await assertNotBlocked(userToFollow._id, req.user);
+  
+  // Check if already following
+  if (req.user.following.includes(userToFollow._id)) {
+    throw errorTypes.conflict('You are already following this user');
+  }
+  
+  // Private accounts have to approve new followers first
+  if (userToFollow.isPrivate) {
+    if (userToFollow.followRequests.includes(req.user._id)) {
+      throw errorTypes.conflict('You have already requested to follow this user');
     }
     
-    // Update both users
-    await User.findByIdAndUpdate(req.user._id, {
-      $push: { following: userToFollow._id }
-    });
-    
     await User.findByIdAndUpdate(userToFollow._id, {
-      $push: { followers: req.user._id }
+      $addToSet: { followRequests: req.user._id }
     });
     
-    // Update cache for follower counts
-    await Promise.all([
-      deleteCache(cacheKeys.userFollowerCount(userToFollow._id)),
-      deleteCache(cacheKeys.userFollowingCount(req.user._id))
-    ]);
+    await notifyFollowRequest(userToFollow._id, req.user);
     
-    res.status(200).json({ message: `You are now following ${userToFollow.username}` });
-  } catch (error) {
-    console.error('Follow user error:', error);
-    res.status(500).json({ message: 'Server error following user' });
+    return res.status(202).json({
+      message: `Follow request sent to ${userToFollow.username}`,
+      status: 'requested'
+    });
   }
-});
+  
+  // Update both users
+  await User.findByIdAndUpdate(req.user._id, {
+    $push: { following: userToFollow._id }
+  });
+  
+  await User.findByIdAndUpdate(userToFollow._id, {
+    $push: { followers: req.user._id }
+  });
+  
+  // Update cache for follower counts
+  await Promise.all([
+    deleteCache(cacheKeys.userFollowerCount(userToFollow._id)),
+    deleteCache(cacheKeys.userFollowingCount(req.user._id))
+  ]);
+  
+  await notifyFollow(userToFollow._id, req.user);
+  
+  res.status(200).json({
+    message: `You are now following ${userToFollow.username}`,
+    status: 'following'
+  });
+}));
 
 /**
  * @route   POST /api/users/:id/unfollow
  * @desc    Unfollow a user
  * @access  Private
  */
-router.post('/:id/unfollow', authenticate, async (req, res) => {
-  try {
-    // Check if user ID is valid
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: 'Invalid user ID' });
-    }
-    
-    // Can't unfollow yourself
-    if (req.params.id === req.user._id.toString()) {
-      return res.status(400).json({ message: 'You cannot unfollow yourself' });
-    }
-    
-    const userToUnfollow = await User.findById(req.params.id);
-    
-    if (!userToUnfollow) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    // Check if actually following
-    if (!req.user.following.includes(userToUnfollow._id)) {
-      return res.status(400).json({ message: 'You are not following this user' });
-    }
-    
-    // Update both users
-    await User.findByIdAndUpdate(req.user._id, {
-      $pull: { following: userToUnfollow._id }
-    });
-    
+router.post('/:id/unfollow', authenticate, writeLimiter, userValidation.followUser, catchAsync(async (req, res) => {
+  // Can't unfollow yourself
+  if (req.params.id === req.user._id.toString()) {
+    throw errorTypes.badRequest('You cannot unfollow yourself');
+  }
+  
+  const userToUnfollow = await User.findById(req.params.id);
+  
+  if (!userToUnfollow) {
+    throw errorTypes.notFound('User');
+  }
+  
+  // Unfollowing a private account before it approved cancels the request
+  if (userToUnfollow.followRequests.includes(req.user._id)) {
     await User.findByIdAndUpdate(userToUnfollow._id, {
-      $pull: { followers: req.user._id }
+      $pull: { followRequests: req.user._id }
     });
     
-    // Update cache for follower counts
-    await Promise.all([
-      deleteCache(cacheKeys.userFollowerCount(userToUnfollow._id)),
-      deleteCache(cacheKeys.userFollowingCount(req.user._id))
-    ]);
+    await retractFollowRequest(userToUnfollow._id, req.user);
     
-    res.status(200).json({ message: `You have unfollowed ${userToUnfollow.username}` });
-  } catch (error) {
-    console.error('Unfollow user error:', error);
-    res.status(500).json({ message: 'Server error unfollowing user' });
+    return res.status(200).json({
+      message: `Follow request to ${userToUnfollow.username} cancelled`,
+      status: 'none'
+    });
   }
-});
+  
+  // Check if actually following
+  if (!req.user.following.includes(userToUnfollow._id)) {
+    throw errorTypes.badRequest('You are not following this user');
+  }
+  
+  // Update both users
+  await User.findByIdAndUpdate(req.user._id, {
+    $pull: { following: userToUnfollow._id }
+  });
+  
+  await User.findByIdAndUpdate(userToUnfollow._id, {
+    $pull: { followers: req.user._id }
+  });
+  
+  // Update cache for follower counts
+  await Promise.all([
+    deleteCache(cacheKeys.userFollowerCount(userToUnfollow._id)),
+    deleteCache(cacheKeys.userFollowingCount(req.user._id))
+  ]);
+  
+  await retractFollow(userToUnfollow._id, req.user);
+  
+  res.status(200).json({
+    message: `You have unfollowed ${userToUnfollow.username}`,
+    status: 'none'
+  });
+}));
 
 /**
- * @route   GET /api/users/:id/followers
- * @desc    Get user followers
- * @access  Public
+ * @route   POST /api/users/:id/block
+ * @desc    Block a user: removes follows both ways and hides each from the other
+ * @access  Private
  */
-router.get('/:id/followers', async (req, res) => {
-  try {
-    // Check if user ID is valid
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: 'Invalid user ID' });
-    }
-    
-    const user = await User.findById(req.params.id)
-      .populate('followers', 'username profilePhoto');
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+router.post('/:id/block', authenticate, writeLimiter, userValidation.targetUser, catchAsync(async (req, res) => {
+  if (req.params.id === req.user._id.toString()) {
+    throw errorTypes.badRequest('You cannot block yourself');
+  }
+  
+  const userToBlock = await User.findById(req.params.id).select('username');
+  
+  if (!userToBlock) {
+    throw errorTypes.notFound('User');
+  }
+  
+  if (req.user.blockedUsers.includes(userToBlock._id)) {
+    throw errorTypes.conflict('You have already blocked this user');
+  }
+  
+  // Cut every follow edge and pending request between the two users
+  await User.findByIdAndUpdate(req.user._id, {
+    $addToSet: { blockedUsers: userToBlock._id },
+    $pull: {
+      following: userToBlock._id,
+      followers: userToBlock._id,
+      followRequests: userToBlock._id
     }
-    
-    // Try to get follower count from cache first
-    const cacheKey = cacheKeys.userFollowerCount(user._id);
-    let followerCount = await getCache(cacheKey);
-    
-    if (followerCount === null) {
-      followerCount = user.followers.length;
-      // Cache for 1 hour
-      await setCache(cacheKey, followerCount, 3600);
+  });
+  
+  await User.findByIdAndUpdate(userToBlock._id, {
+    $pull: {
+      following: req.user._id,
+      followers: req.user._id,
+      followRequests: req.user._id
     }
-    
-    res.status(200).json({
-      followers: user.followers,
-      count: followerCount
-    });
-  } catch (error) {
-    console.error('Get followers error:', error);
-    res.status(500).json({ message: 'Server error getting followers' });
+  });
+  
+  await Promise.all([
+    deleteCache(cacheKeys.userFollowerCount(req.user._id)),
+    deleteCache(cacheKeys.userFollowingCount(req.user._id)),
+    deleteCache(cacheKeys.userFollowerCount(userToBlock._id)),
+    deleteCache(cacheKeys.userFollowingCount(userToBlock._id))
+  ]);
+  
+  res.status(200).json({
+    message: `You have blocked ${userToBlock.username}`,
+    status: 'blocked'
+  });
+}));
+
+/**
+ * @route   DELETE /api/users/:id/block
+ * @desc    Unblock a user (follows removed by the block are not restored)
+ * @access  Private
+ */
+router.delete('/:id/block', authenticate, writeLimiter, userValidation.targetUser, catchAsync(async (req, res) => {
+  if (!req.user.blockedUsers.includes(req.params.id)) {
+    throw errorTypes.badRequest('You have not blocked this user');
   }
-});
+  
+  await User.findByIdAndUpdate(req.user._id, {
+    $pull: { blockedUsers: req.params.id }
+  });
+  
+  res.status(200).json({
+    message: 'User unblocked',
+    status: 'none'
+  });
+}));
+
+/**
+ * @route   POST /api/users/:id/mute
+ * @desc    Mute a user: hides their posts from your feeds without unfollowing
+ * @access  Private
+ */
+router.post('/:id/mute', authenticate, writeLimiter, userValidation.targetUser, catchAsync(async (req, res) => {
+  if (req.params.id === req.user._id.toString()) {
+    throw errorTypes.badRequest('You cannot mute yourself');
+  }
+  
+  const userToMute = await User.findById(req.params.id).select('username');
+  
+  if (!userToMute) {
+    throw errorTypes.notFound('User');
+  }
+  
+  if (req.user.mutedUsers.includes(userToMute._id)) {
+    throw errorTypes.conflict('You have already muted this user');
+  }
+  
+  await User.findByIdAndUpdate(req.user._id, {
+    $addToSet: { mutedUsers: userToMute._id }
+  });
+  
+  res.status(200).json({
+    message: `You have muted ${userToMute.username}`,
+    status: 'muted'
+  });
+}));
+
+/**
+ * @route   DELETE /api/users/:id/mute
+ * @desc    Unmute a user
+ * @access  Private
+ */
+router.delete('/:id/mute', authenticate, writeLimiter, userValidation.targetUser, catchAsync(async (req, res) => {
+  if (!req.user.mutedUsers.includes(req.params.id)) {
+    throw errorTypes.badRequest('You have not muted this user');
+  }
+  
+  await User.findByIdAndUpdate(req.user._id, {
+    $pull: { mutedUsers: req.params.id }
+  });
+  
+  res.status(200).json({
+    message: 'User unmuted',
+    status: 'none'
+  });
+}));
+
+/**
+ * @route   GET /api/users/:id/followers
+ * @desc    Get user followers
+ * @access  Public (approved followers only for private accounts)
+ */
+router.get('/:id/followers', optionalAuth, userValidation.followList, catchAsync(async (req, res) => {
+  const user = await User.findById(req.params.id)
+    .populate('followers', 'username profilePhoto');
+  
+  if (!user) {
+    throw errorTypes.notFound('User');
+  }
+  
+  await assertCanViewContent(user._id, req.user);
+  
+  // Try to get follower count from cache first
+  const cacheKey = cacheKeys.userFollowerCount(user._id);
+  let followerCount = await getCache(cacheKey);
+  
+  if (followerCount === null) {
+    followerCount = user.followers.length;
+    // Cache for 1 hour
+    await setCache(cacheKey, followerCount, 3600, [cacheTags.user(user._id)]);
+  }
+  
+  // Leave out anyone the viewer blocked or was blocked by
+  const blockedIds = new Set((await blockedIdsFor(req.user)).map(id => id.toString()));
+  
+  res.status(200).json({
+    followers: user.followers.filter(member => !blockedIds.has(member._id.toString())),
+    count: followerCount
+  });
+}));
 
 /**
  * @route   GET /api/users/:id/following
  * @desc    Get users that this user follows
- * @access  Public
+ * @access  Public (approved followers only for private accounts)
  */
-router.get('/:id/following', async (req, res) => {
-  try {
-    // Check if user ID is valid
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: 'Invalid user ID' });
-    }
-    
-    const user = await User.findById(req.params.id)
-      .populate('following', 'username profilePhoto');
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    // Try to get following count from cache first
-    const cacheKey = cacheKeys.userFollowingCount(user._id);
-    let followingCount = await getCache(cacheKey);
-    
-    if (followingCount === null) {
-      followingCount = user.following.length;
-      // Cache for 1 hour
-      await setCache(cacheKey, followingCount, 3600);
-    }
-    
-    res.status(200).json({
-      following: user.following,
-      count: followingCount
-    });
-  } catch (error) {
-    console.error('Get following error:', error);
-    res.status(500).json({ message: 'Server error getting following users' });
+router.get('/:id/following', optionalAuth, userValidation.followList, catchAsync(async (req, res) => {
+  const user = await User.findById(req.params.id)
+    .populate('following', 'username profilePhoto');
+  
+  if (!user) {
+    throw errorTypes.notFound('User');
   }
-});
+  
+  await assertCanViewContent(user._id, req.user);
+  
+  // Try to get following count from cache first
+  const cacheKey = cacheKeys.userFollowingCount(user._id);
+  let followingCount = await getCache(cacheKey);
+  
+  if (followingCount === null) {
+    followingCount = user.following.length;
+    // Cache for 1 hour
+    await setCache(cacheKey, followingCount, 3600, [cacheTags.user(user._id)]);
+  }
+  
+  // Leave out anyone the viewer blocked or was blocked by
+  const blockedIds = new Set((await blockedIdsFor(req.user)).map(id => id.toString()));
+  
+  res.status(200).json({
+    following: user.following.filter(member => !blockedIds.has(member._id.toString())),
+    count: followingCount
+  });
+}));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,419 @@
+const Sneaker = require("../models/Sneaker");
+const Brand = require("../models/Brand");
+const Post = require("../models/Post");
+const Notification = require("../models/Notification");
+const ClosetItem = require("../models/ClosetItem");
+const WishlistItem = require("../models/WishlistItem");
+const PriceObservation = require("../models/PriceObservation");
+const { simplify, similarity } = require("./sneakerNames");
+const { recordAction } = require("./moderation");
+const { indexSneaker, removeSneaker } = require("./suggest");
+const { invalidateTags, cacheTags } = require("./redis");
+const { escapeRegex } = require("./regex");
+const { errorTypes } = require("./errorHandler");
+
+// Duplicate candidates score at least this by default (see similarity)
+const DEFAULT_DUPLICATE_THRESHOLD = 0.75;
+
+// "nike:air max 90" -> ["nike", "air max 90"]
+const splitKey = (nameKey = "") => {
+  const index = nameKey.indexOf(":");
+  return [nameKey.slice(0, index), nameKey.slice(index + 1)];
+};
+
+// Regex-safe key prefix for one brand
+const brandKeyPrefix = (brand) => escapeRegex(`${simplify(brand)}:`);
+
+const summarize = (sneaker) => ({
+  _id: sneaker._id,
+  sneakerName: sneaker.sneakerName,
+  brandName: sneaker.brandName,
+  sku: sneaker.sku,
+  averageRating: sneaker.averageRating,
+  postCount: sneaker.posts.length,
+});
+
+/**
+ * Pairs of sneakers whose names are probably the same shoe. Only sneakers
+ * of the same brand are compared.
+ * @param {Object} options - { threshold, brand, limit }
+ * @returns {Promise<Array>} - [{ sneakers: [a, b], score }], most alike first
+ */
+const findDuplicateCandidates = async ({
+  threshold = DEFAULT_DUPLICATE_THRESHOLD,
+  brand,
+  limit = 50,
+} = {}) => {
+  const filter = { mergedInto: null };
+  if (brand) filter.nameKey = { $regex: `^${brandKeyPrefix(brand)}` };
+
+  const sneakers = await Sneaker.find(filter)
+    .select("sneakerName brandName nameKey sku averageRating posts")
+    .lean();
+
+  const byBrand = new Map();
+  for (const sneaker of sneakers) {
+    const [brandKey, name] = splitKey(sneaker.nameKey);
+    if (!byBrand.has(brandKey)) byBrand.set(brandKey, []);
+    byBrand.get(brandKey).push({ sneaker, name });
+  }
+
+  const candidates = [];
+  for (const group of byBrand.values()) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const [a, b] = [group[i].sneaker, group[j].sneaker];
+
+        // Different SKUs are different releases, however alike the names
+        if (a.sku && b.sku && a.sku !== b.sku) continue;
+
+        const score = similarity(group[i].name, group[j].name);
+        if (score >= threshold) {
+          candidates.push({
+            sneakers: [a, b].map(summarize),
+            score: Math.round(score * 100) / 100,
+          });
+        }
+      }
+    }
+  }
+
+  return candidates.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+/**
+ * Merge one sneaker into another: posts, ratings, notifications, closet and
+ * wishlist entries and price history move to the target, whose counts and
+ * price range are recomputed, the source's names become aliases of the
+ * target, and the source is kept as a stub whose id redirects to the target.
+ * @param {ObjectId} sourceId - Duplicate to merge away
+ * @param {ObjectId} targetId - Sneaker that stays
+ * @param {Object} admin - Admin doing the merge
+ * @param {Object} options - { note }
+ * @returns {Promise<Object>} - { sneaker, movedPosts, movedRatings }
+ */
+const mergeSneakers = async (sourceId, targetId, admin, options = {}) => {
+  if (sourceId.toString() === targetId.toString()) {
+    throw errorTypes.badRequest("A sneaker cannot be merged into itself");
+  }
+
+  const [source, target] = await Promise.all([
+    Sneaker.findById(sourceId),
+    Sneaker.findById(targetId),
+  ]);
+
+  if (!source || !target) {
+    throw errorTypes.notFound("Sneaker");
+  }
+
+  if (source.mergedInto || target.mergedInto) {
+    throw errorTypes.conflict("Sneaker has already been merged", {
+      mergedInto: (source.mergedInto || target.mergedInto).toString(),
+    });
+  }
+
+  const { modifiedCount: movedPosts } = await Post.updateMany(
+    { sneakerId: source._id },
+    {
+      $set: {
+        sneakerId: target._id,
+        sneakerName: target.sneakerName,
+        brandName: target.brandName,
+      },
+    }
+  );
+
+  // Someone who rated both keeps their rating of the target
+  const ratedTarget = new Set(
+    target.ratings.map((rating) => rating.userId.toString())
+  );
+  const movedRatings = source.ratings.filter(
+    (rating) => !ratedTarget.has(rating.userId.toString())
+  );
+
+  target.ratings.push(
+    ...movedRatings.map(({ userId, rating }) => ({ userId, rating }))
+  );
+  target.posts = [...new Set([...target.posts, ...source.posts].map(String))];
+  target.addAliases(source.sneakerName, ...source.aliases);
+
+  // The target keeps its own details and fills gaps from the duplicate
+  for (const field of Sneaker.METADATA_FIELDS) {
+    const missing =
+      field === "sizeRun" ? target.sizeRun.min == null : target[field] == null;
+    const available =
+      field === "sizeRun" ? source.sizeRun.min != null : source[field] != null;
+    if (missing && available) {
+      target[field] = source[field];
+    }
+  }
+
+  // SKUs are unique, so the duplicate gives its up first
+  if (source.sku) {
+    await Sneaker.updateOne({ _id: source._id }, { $set: { sku: null } });
+  }
+
+  target.calculateAverageRating();
+  await target.save();
+
+  source.posts = [];
+  source.ratings = [];
+  source.averageRating = 0;
+  source.minPrice = 0;
+  source.maxPrice = 0;
+  source.sku = null;
+  source.mergedInto = target._id;
+  await source.save();
+
+  removeSneaker(source._id);
+  indexSneaker(target);
+
+  // Keep redirects one hop long
+  await Sneaker.updateMany(
+    { mergedInto: source._id },
+    { $set: { mergedInto: target._id } }
+  );
+
+  // A recipient can only have one unread group per sneaker: drop the
+  // source's where the target already has one
+  const groupedRecipients = await Notification.distinct("recipientId", {
+    sneakerId: target._id,
+    read: false,
+  });
+  await Notification.deleteMany({
+    sneakerId: source._id,
+    read: false,
+    recipientId: { $in: groupedRecipients },
+  });
+  await Notification.updateMany(
+    { sneakerId: source._id },
+    { $set: { sneakerId: target._id } }
+  );
+
+  // Pairs stay in their closets, now as the surviving sneaker
+  const closetOwners = await ClosetItem.distinct("userId", {
+    sneakerId: source._id,
+  });
+  await ClosetItem.updateMany(
+    { sneakerId: source._id },
+    { $set: { sneakerId: target._id } }
+  );
+  for (const userId of closetOwners) {
+    await ClosetItem.syncSneakerCount(userId);
+  }
+
+  // A wishlist holds a sneaker once: keep the target's entry where there is one
+  const targetWishers = await WishlistItem.distinct("userId", {
+    sneakerId: target._id,
+  });
+  await WishlistItem.deleteMany({
+    sneakerId: source._id,
+    userId: { $in: targetWishers },
+  });
+  await WishlistItem.updateMany(
+    { sneakerId: source._id },
+    { $set: { sneakerId: target._id } }
+  );
+
+  // The duplicate's price history becomes part of the target's, and its
+  // posts' prices part of the target's range
+  await PriceObservation.updateMany(
+    { sneakerId: source._id },
+    { $set: { sneakerId: target._id } }
+  );
+  const priceRange = await Sneaker.syncPriceRange(target._id);
+  Object.assign(target, priceRange);
+
+  await recordAction(admin, "merge_sneaker", "sneaker", source._id, {
+    changes: {
+      mergedInto: { from: null, to: target._id },
+      posts: movedPosts,
+      ratings: movedRatings.length,
+    },
+    note: options.note,
+  });
+
+  // Brand totals are counted from the sneakers, so they are recounted on the next read
+  await invalidateTags(
+    cacheTags.sneakers,
+    cacheTags.brands,
+    cacheTags.sneaker(source._id),
+    cacheTags.sneaker(target._id)
+  );
+
+  return { sneaker: target, movedPosts, movedRatings: movedRatings.length };
+};
+
+/**
+ * Point a sneaker at the canonical brand for a name, creating the brand if
+ * it is new. brandName takes the canonical spelling.
+ * @param {Object} sneaker - Sneaker document (not saved here)
+ * @param {string} brandName - Brand as typed
+ * @returns {Promise<Object>} - The brand
+ */
+const assignBrand = async (sneaker, brandName) => {
+  const brand = await Brand.findOrCreateByName(brandName);
+  sneaker.brandId = brand._id;
+  sneaker.brandName = brand.name;
+  return brand;
+};
+
+/**
+ * Copy a brand's canonical name to its sneakers and their posts, e.g. after a rename
+ * @param {Object} brand - Brand
+ * @returns {Promise<number>} - Number of sneakers updated
+ */
+const syncBrandName = async (brand) => {
+  let count = 0;
+
+  // Saved one by one so each sneaker's nameKey is recomputed
+  const sneakers = Sneaker.find({
+    brandId: brand._id,
+    brandName: { $ne: brand.name },
+  }).cursor();
+  for await (const sneaker of sneakers) {
+    sneaker.brandName = brand.name;
+    await sneaker.save();
+    indexSneaker(sneaker);
+    count++;
+  }
+
+  await Post.updateMany(
+    {
+      sneakerId: { $in: await Sneaker.distinct("_id", { brandId: brand._id }) },
+      brandName: { $ne: brand.name },
+    },
+    { $set: { brandName: brand.name } }
+  );
+
+  return count;
+};
+
+/**
+ * Sneaker, post and rating totals per brand. The average rating is weighted
+ * by the number of ratings of each sneaker.
+ * @param {Array} brandIds - Brands to count, or undefined for all
+ * @returns {Promise<Map>} - brandId string -> { sneakerCount, postCount, ratingCount, averageRating }
+ */
+const brandStats = async (brandIds) => {
+  const match = { mergedInto: null, brandId: { $ne: null } };
+  if (brandIds) match.brandId = { $in: brandIds };
+
+  const rows = await Sneaker.aggregate([
+    { $match: match },
+    {
+      $project: {
+        brandId: 1,
+        averageRating: 1,
+        postCount: { $size: "$posts" },
+        ratingCount: { $size: "$ratings" },
+      },
+    },
+    {
+      $group: {
+        _id: "$brandId",
+        sneakerCount: { $sum: 1 },
+        postCount: { $sum: "$postCount" },
+        ratingCount: { $sum: "$ratingCount" },
+        ratingTotal: {
+          $sum: { $multiply: ["$averageRating", "$ratingCount"] },
+        },
+      },
+    },
+  ]);
+
+  return new Map(
+    rows.map(({ _id, ratingTotal, ...counts }) => [
+      _id.toString(),
+      {
+        ...counts,
+        averageRating:
+          counts.ratingCount > 0
+            ? Math.round((ratingTotal / counts.ratingCount) * 100) / 100
+            : 0,
+      },
+    ])
+  );
+};
+
+const EMPTY_BRAND_STATS = {
+  sneakerCount: 0,
+  postCount: 0,
+  ratingCount: 0,
+  averageRating: 0,
+};
+
+/**
+ * Public shape of a brand with its totals
+ * @param {Object} brand - Brand (parentId optionally populated)
+ * @param {Map} stats - Result of brandStats
+ * @returns {Object}
+ */
+const describeBrand = (brand, stats) => ({
+  _id: brand._id,
+  name: brand.name,
+  slug: brand.slug,
+  aliases: brand.aliases,
+  logo: brand.logo,
+  parent:
+    brand.parentId && brand.parentId.slug
+      ? { name: brand.parentId.name, slug: brand.parentId.slug }
+      : null,
+  ...(stats.get(brand._id.toString()) || EMPTY_BRAND_STATS),
+});
+
+/**
+ * Brand and release year counts for a filtered sneaker list. Each facet is
+ * counted without its own filter, so picking a brand still shows the others.
+ * @param {Object} filters - { brands, years } Sneaker filters for each facet
+ * @returns {Promise<Object>} - { brands: [{ brandId, name, slug, count }], years: [{ year, count }] }
+ */
+const sneakerFacets = async (filters) => {
+  const [brandRows, yearRows] = await Promise.all([
+    Sneaker.aggregate([
+      { $match: filters.brands },
+      { $match: { brandId: { $ne: null } } },
+      { $group: { _id: "$brandId", count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ]),
+    Sneaker.aggregate([
+      { $match: filters.years },
+      { $match: { releaseDate: { $ne: null } } },
+      { $group: { _id: { $year: "$releaseDate" }, count: { $sum: 1 } } },
+      { $sort: { _id: -1 } },
+    ]),
+  ]);
+
+  const brands = await Brand.find({
+    _id: { $in: brandRows.map((row) => row._id) },
+  }).select("name slug");
+  const brandById = new Map(
+    brands.map((brand) => [brand._id.toString(), brand])
+  );
+
+  return {
+    brands: brandRows
+      .filter((row) => brandById.has(row._id.toString()))
+      .map((row) => {
+        const brand = brandById.get(row._id.toString());
+        return {
+          brandId: brand._id,
+          name: brand.name,
+          slug: brand.slug,
+          count: row.count,
+        };
+      }),
+    years: yearRows.map((row) => ({ year: row._id, count: row.count })),
+  };
+};
+
+module.exports = {
+  DEFAULT_DUPLICATE_THRESHOLD,
+  findDuplicateCandidates,
+  mergeSneakers,
+  assignBrand,
+  syncBrandName,
+  brandStats,
+  describeBrand,
+  sneakerFacets,
+};
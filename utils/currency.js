@@ -0,0 +1,268 @@
+// Currency conversion with pluggable exchange-rate providers.
+// EXCHANGE_RATE_PROVIDER=file reads a fixed table from EXCHANGE_RATES_FILE
+// (config/exchangeRates.json by default), so tests and offline development
+// convert the same way every time; =http fetches current rates from
+// EXCHANGE_RATES_URL and refreshes them hourly. http is the default when
+// EXCHANGE_RATES_URL is set. Settings are read on first use, not when this
+// module is required, so scripts can load .env after requiring models.
+const fs = require("fs/promises");
+const http = require("http");
+const https = require("https");
+const path = require("path");
+const { errorTypes } = require("./errorHandler");
+const logger = require("./logger");
+
+/**
+ * Currency sneaker prices are compared and aggregated in
+ * @returns {string} - ISO 4217 code
+ */
+const baseCurrency = () => (process.env.BASE_CURRENCY || "USD").toUpperCase();
+
+const DEFAULT_RATES_FILE = path.join(
+  __dirname,
+  "..",
+  "config",
+  "exchangeRates.json"
+);
+
+const HTTP_REFRESH_MS = 60 * 60 * 1000;
+
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * A provider loads the latest rate table:
+ *   load() -> Promise<{ base, rates: { EUR: 0.92, ... }, updatedAt }>
+ * Rates are units of each currency per unit of base. refreshMs says how long
+ * a table stays current (Infinity for one that never changes).
+ */
+
+/**
+ * Rates kept in a JSON file shaped like a table
+ * @param {string} file - Path to the JSON file
+ */
+const createFileProvider = (file = DEFAULT_RATES_FILE) => ({
+  name: "file",
+  refreshMs: Infinity,
+  load: async () => JSON.parse(await fs.readFile(file, "utf8")),
+});
+
+/**
+ * GET a JSON document
+ * @param {string} url - http or https URL
+ * @returns {Promise<Object>}
+ */
+const getJson = (url) =>
+  new Promise((resolve, reject) => {
+    const client = url.startsWith("https:") ? https : http;
+    const request = client.get(
+      url,
+      { timeout: HTTP_TIMEOUT_MS },
+      (response) => {
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          response.resume();
+          reject(
+            new Error(`Exchange rate API answered ${response.statusCode}`)
+          );
+          return;
+        }
+
+        let body = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          body += chunk;
+        });
+        response.on("end", () => {
+          try {
+            resolve(JSON.parse(body));
+          } catch (error) {
+            reject(error);
+          }
+        });
+      }
+    );
+
+    request.on("timeout", () =>
+      request.destroy(new Error("Exchange rate API timed out"))
+    );
+    request.on("error", reject);
+  });
+
+/**
+ * Rates from an HTTP API answering with { base, rates } (or base_code, as
+ * some public APIs name it)
+ * @param {string} url - Endpoint returning the table
+ */
+const createHttpProvider = (url) => ({
+  name: "http",
+  refreshMs: HTTP_REFRESH_MS,
+  load: async () => {
+    const body = await getJson(url);
+    return {
+      base: body.base || body.base_code,
+      rates: body.rates,
+      updatedAt: body.date || body.time_last_update_utc || new Date(),
+    };
+  },
+});
+
+const createProvider = () => {
+  const name =
+    process.env.EXCHANGE_RATE_PROVIDER ||
+    (process.env.EXCHANGE_RATES_URL ? "http" : "file");
+
+  switch (name) {
+    case "file":
+      return createFileProvider(process.env.EXCHANGE_RATES_FILE);
+    case "http":
+      return createHttpProvider(process.env.EXCHANGE_RATES_URL);
+    default:
+      throw new Error(`Unknown EXCHANGE_RATE_PROVIDER "${name}"`);
+  }
+};
+
+let provider = null;
+let table = null;
+let loadedAt = 0;
+let loading = null;
+
+/**
+ * Swap the provider, e.g. for a fixed table in tests. The next conversion
+ * loads rates from it.
+ * @param {Object} nextProvider - Object with a load() method and refreshMs
+ */
+const setProvider = (nextProvider) => {
+  provider = nextProvider;
+  table = null;
+  loadedAt = 0;
+};
+
+const getProvider = () => {
+  if (!provider) {
+    provider = createProvider();
+    logger.info(`Currency: Using ${provider.name} exchange rates`);
+  }
+  return provider;
+};
+
+// Every rate relative to the table's base, which is itself 1
+const normalizeTable = ({ base, rates, updatedAt }) => {
+  const code = String(base).toUpperCase();
+  const normalized = { [code]: 1 };
+  for (const [currency, rate] of Object.entries(rates || {})) {
+    if (rate > 0) normalized[currency.toUpperCase()] = Number(rate);
+  }
+  return { base: code, rates: normalized, updatedAt: new Date(updatedAt) };
+};
+
+/**
+ * The current rate table. A failed refresh keeps the previous table and is
+ * retried after another refresh period.
+ * @returns {Promise<Object>} - { base, rates, updatedAt }
+ */
+const getRates = async () => {
+  const source = getProvider();
+  if (table && Date.now() - loadedAt < source.refreshMs) return table;
+
+  if (!loading) {
+    loading = source
+      .load()
+      .then((loaded) => {
+        if (source === provider) table = normalizeTable(loaded);
+      })
+      .catch((error) => {
+        if (!table) throw error;
+        logger.warn(`Exchange rate refresh failed: ${error.message}`);
+      })
+      .finally(() => {
+        loadedAt = Date.now();
+        loading = null;
+      });
+  }
+
+  try {
+    await loading;
+  } catch (error) {
+    logger.error(`Exchange rates unavailable: ${error.message}`);
+    throw errorTypes.serviceUnavailable("Exchange rates are unavailable");
+  }
+  return table;
+};
+
+/**
+ * Whether prices can be given or shown in a currency
+ * @param {string} currency - ISO 4217 code, any case
+ * @returns {Promise<boolean>}
+ */
+const isSupportedCurrency = async (currency) => {
+  const { rates } = await getRates();
+  return rates[String(currency).toUpperCase()] !== undefined;
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Conversions into one currency at the current rates
+ * @param {string} currency - Target ISO 4217 code, the base currency by default
+ * @returns {Promise<Object>} - { currency, convert(amount, from), toBase(amount) }.
+ *          Both return null for a missing amount or an unknown currency.
+ */
+const priceConverter = async (currency = baseCurrency()) => {
+  const base = baseCurrency();
+  const target = currency.toUpperCase();
+  const { rates } = await getRates();
+
+  const convert = (amount, from, to) => {
+    if (amount == null || !rates[from] || !rates[to]) return null;
+    return from === to ? amount : round((amount / rates[from]) * rates[to]);
+  };
+
+  return {
+    currency: target,
+    convert: (amount, from = base) =>
+      convert(amount, String(from).toUpperCase(), target),
+    toBase: (amount) => convert(amount, target, base),
+  };
+};
+
+/**
+ * A post with what its price comes to in another currency, as convertedPrice
+ * ({ amount, currency }, or null for a post without a price)
+ * @param {Object} post - Plain post object
+ * @param {Object} converter - From priceConverter
+ * @returns {Object}
+ */
+const withConvertedPrice = (post, converter) => ({
+  ...post,
+  convertedPrice:
+    post.price > 0
+      ? {
+          amount: converter.convert(
+            post.price,
+            post.currency || baseCurrency()
+          ),
+          currency: converter.currency,
+        }
+      : null,
+});
+
+/**
+ * A price in the base currency, as stored for comparisons and statistics
+ * @param {number} amount
+ * @param {string} currency - Currency the amount is in
+ * @returns {Promise<number|null>}
+ */
+const toBasePrice = async (amount, currency) =>
+  (await priceConverter(currency)).toBase(amount);
+
+module.exports = {
+  baseCurrency,
+  createFileProvider,
+  createHttpProvider,
+  setProvider,
+  getProvider,
+  getRates,
+  isSupportedCurrency,
+  priceConverter,
+  withConvertedPrice,
+  toBasePrice,
+};
@@ -1,6 +1,35 @@
 // filepath: c:\Users\YASH\Documents\Github\SoulHeads\utils\errorHandler.js
+const mongoose = require("mongoose");
 const logger = require("./logger");
 
+/**
+ * Stable error codes returned in the errorCode field of every error response.
+ * Clients should branch on these, never on the message text.
+ */
+const errorCodes = {
+  VALIDATION_ERROR: "VALIDATION_ERROR", // 400 - request failed validation
+  INVALID_ID: "INVALID_ID", // 400 - malformed MongoDB id
+  INVALID_JSON: "INVALID_JSON", // 400 - request body is not valid JSON
+  UPLOAD_ERROR: "UPLOAD_ERROR", // 400 - multipart upload rejected
+  UNAUTHORIZED: "UNAUTHORIZED", // 401 - missing or malformed credentials
+  TOKEN_EXPIRED: "TOKEN_EXPIRED", // 401 - Firebase token expired
+  TOKEN_REVOKED: "TOKEN_REVOKED", // 401 - Firebase token revoked
+  TOKEN_INVALID: "TOKEN_INVALID", // 401 - Firebase token failed verification
+  FORBIDDEN: "FORBIDDEN", // 403 - authenticated but not allowed
+  ACCOUNT_DISABLED: "ACCOUNT_DISABLED", // 403 - Firebase account disabled
+  ACCOUNT_SUSPENDED: "ACCOUNT_SUSPENDED", // 403 - suspended by a moderator
+  PRIVATE_ACCOUNT: "PRIVATE_ACCOUNT", // 403 - content only visible to approved followers
+  BLOCKED: "BLOCKED", // 403 - one of the two users blocked the other
+  NOT_FOUND: "NOT_FOUND", // 404 - resource or route does not exist
+  USER_NOT_FOUND: "USER_NOT_FOUND", // 404 - signed in with Firebase but not registered
+  CONFLICT: "CONFLICT", // 409 - request conflicts with current state
+  DUPLICATE_KEY: "DUPLICATE_KEY", // 409 - unique field already taken
+  PAYLOAD_TOO_LARGE: "PAYLOAD_TOO_LARGE", // 413 - body or file too large
+  RATE_LIMITED: "RATE_LIMITED", // 429 - too many requests
+  SERVER_ERROR: "SERVER_ERROR", // 500 - unexpected failure
+  SERVICE_UNAVAILABLE: "SERVICE_UNAVAILABLE", // 503 - a service the request depends on is down
+};
+
 /**
  * Custom error class with HTTP status code and additional details
  */
@@ -16,13 +45,116 @@ class AppError extends Error {
   }
 }
 
+/**
+ * Map a Firebase Auth error (code "auth/...") to an AppError
+ * @param {Error} err - Error thrown by firebase-admin
+ * @returns {AppError}
+ */
+const fromFirebaseError = (err) => {
+  switch (err.code) {
+    case "auth/id-token-expired":
+      return new AppError(
+        "Token has expired, please log in again",
+        401,
+        errorCodes.TOKEN_EXPIRED
+      );
+    case "auth/id-token-revoked":
+      return new AppError(
+        "Token has been revoked, please log in again",
+        401,
+        errorCodes.TOKEN_REVOKED
+      );
+    case "auth/user-disabled":
+      return new AppError(
+        "This account has been disabled",
+        403,
+        errorCodes.ACCOUNT_DISABLED
+      );
+    case "auth/user-not-found":
+      return new AppError("User not found", 404, errorCodes.USER_NOT_FOUND);
+    default:
+      return new AppError(
+        "Token verification failed",
+        401,
+        errorCodes.TOKEN_INVALID
+      );
+  }
+};
+
+/**
+ * Convert errors thrown by libraries into AppErrors with a proper status
+ * @param {Error} err - Any error reaching the error handler
+ * @returns {Error} - An AppError when the error is recognised, else the original
+ */
+const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new AppError(`Invalid ${err.path}`, 400, errorCodes.INVALID_ID, {
+      field: err.path,
+    });
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new AppError("Validation error", 400, errorCodes.VALIDATION_ERROR, {
+      errors: Object.values(err.errors).map((error) => ({
+        field: error.path,
+        location: "body",
+        message: error.message,
+      })),
+    });
+  }
+
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new AppError(
+      fields.length > 0
+        ? `${fields.join(", ")} already exists`
+        : "Duplicate value",
+      409,
+      errorCodes.DUPLICATE_KEY,
+      { fields }
+    );
+  }
+
+  if (typeof err.code === "string" && err.code.startsWith("auth/")) {
+    return fromFirebaseError(err);
+  }
+
+  if (err.name === "MulterError") {
+    return err.code === "LIMIT_FILE_SIZE"
+      ? new AppError("File is too large", 413, errorCodes.PAYLOAD_TOO_LARGE, {
+          field: err.field,
+        })
+      : new AppError(err.message, 400, errorCodes.UPLOAD_ERROR, {
+          field: err.field,
+        });
+  }
+
+  // Body parser errors
+  if (err.type === "entity.parse.failed") {
+    return new AppError("Malformed JSON body", 400, errorCodes.INVALID_JSON);
+  }
+  if (err.type === "entity.too.large") {
+    return new AppError(
+      "Request body is too large",
+      413,
+      errorCodes.PAYLOAD_TOO_LARGE
+    );
+  }
+
+  return err;
+};
+
 /**
  * Centralized error handling functions
  */
-const handleError = (err, req, res, next) => {
+const handleError = (error, req, res, next) => {
+  const err = normalizeError(error);
+
   // Default to 500 internal server error
   const statusCode = err.statusCode || 500;
-  const errorCode = err.errorCode || "SERVER_ERROR";
+  const errorCode = err.errorCode || errorCodes.SERVER_ERROR;
   const details = err.details || {};
 
   // Only log detailed error info for non-operational/unexpected errors
@@ -50,13 +182,18 @@ const handleError = (err, req, res, next) => {
     });
   }
 
-  // Don't expose stack traces in production
+  const isProduction = process.env.NODE_ENV === "production";
+
+  // Don't expose unexpected error messages or stack traces in production
   const response = {
     success: false,
-    message: err.message || "Something went wrong",
+    message:
+      isProduction && !err.isOperational
+        ? "Something went wrong"
+        : err.message || "Something went wrong",
     errorCode,
-    ...(Object.keys(details).length > 0 && { details }),
-    ...(process.env.NODE_ENV !== "production" && { stack: err.stack }),
+    details,
+    ...(!isProduction && { stack: err.stack }),
   };
 
   res.status(statusCode).json(response);
@@ -70,19 +207,49 @@ const errorTypes = {
     new AppError(
       message || "Validation error",
       400,
-      "VALIDATION_ERROR",
+      errorCodes.VALIDATION_ERROR,
+      details
+    ),
+  badRequest: (message, details) =>
+    new AppError(
+      message || "Bad request",
+      400,
+      errorCodes.VALIDATION_ERROR,
       details
     ),
   notFound: (resource) =>
-    new AppError(`${resource || "Resource"} not found`, 404, "NOT_FOUND"),
+    new AppError(
+      `${resource || "Resource"} not found`,
+      404,
+      errorCodes.NOT_FOUND
+    ),
   unauthorized: (message) =>
-    new AppError(message || "Unauthorized access", 401, "UNAUTHORIZED"),
+    new AppError(
+      message || "Unauthorized access",
+      401,
+      errorCodes.UNAUTHORIZED
+    ),
   forbidden: (message) =>
-    new AppError(message || "Forbidden", 403, "FORBIDDEN"),
+    new AppError(message || "Forbidden", 403, errorCodes.FORBIDDEN),
   conflict: (message, details) =>
-    new AppError(message || "Resource conflict", 409, "CONFLICT", details),
+    new AppError(
+      message || "Resource conflict",
+      409,
+      errorCodes.CONFLICT,
+      details
+    ),
   internal: (message) =>
-    new AppError(message || "Internal server error", 500, "SERVER_ERROR"),
+    new AppError(
+      message || "Internal server error",
+      500,
+      errorCodes.SERVER_ERROR
+    ),
+  serviceUnavailable: (message) =>
+    new AppError(
+      message || "Service unavailable",
+      503,
+      errorCodes.SERVICE_UNAVAILABLE
+    ),
 };
 
 /**
@@ -96,7 +263,10 @@ const catchAsync = (fn) => {
 
 module.exports = {
   AppError,
+  errorCodes,
   handleError,
+  normalizeError,
+  fromFirebaseError,
   errorTypes,
   catchAsync,
 };
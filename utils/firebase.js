@@ -1,5 +1,4 @@
 const { admin } = require("../config/firebaseAdmin");
-const { v4: uuidv4 } = require("uuid");
 
 /**
  * Verify Firebase ID token
@@ -32,6 +31,27 @@ const verifyFirebaseToken = async (idToken) => {
   }
 };
 
+/**
+ * Mirror a user's role into their Firebase custom claims, keeping any other claims.
+ * Clients see the new claim once their ID token is refreshed.
+ * @param {string} firebaseUid - Firebase user id
+ * @param {string} role - Role from the User model
+ */
+const setRoleClaim = async (firebaseUid, role) => {
+  const firebaseUser = await admin.auth().getUser(firebaseUid);
+  const { role: previousRole, ...claims } = firebaseUser.customClaims || {};
+
+  if ((previousRole || "user") === role) return;
+
+  await admin
+    .auth()
+    .setCustomUserClaims(
+      firebaseUid,
+      role === "user" ? claims : { ...claims, role }
+    );
+};
+
 module.exports = {
   verifyFirebaseToken,
+  setRoleClaim,
 };
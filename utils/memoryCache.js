@@ -0,0 +1,123 @@
+/**
+ * In-process cache with least-recently-used eviction and per-key TTL.
+ * Values are stored serialized so callers get the same plain objects back
+ * as they would from Redis.
+ */
+class MemoryCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+   */
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    // Map iteration order doubles as recency order: oldest first
+    this.entries = new Map();
+    this.tags = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  _isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  _remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    for (const tag of entry.tags) {
+      const keys = this.tags.get(tag);
+      if (keys) {
+        keys.delete(key);
+        if (keys.size === 0) this.tags.delete(tag);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string|null} - Serialized value, or null on a miss
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (this._isExpired(entry)) {
+      this._remove(key);
+      return null;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} value - Serialized value
+   * @param {number} ttlSeconds - Time to live; 0 keeps the entry until evicted
+   * @param {string[]} tags - Tags the key can be invalidated by
+   */
+  set(key, value, ttlSeconds = 0, tags = []) {
+    this._remove(key);
+
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlSeconds > 0 ? Date.now() + ttlSeconds * 1000 : null,
+      tags,
+    });
+
+    for (const tag of tags) {
+      if (!this.tags.has(tag)) this.tags.set(tag, new Set());
+      this.tags.get(tag).add(key);
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      this._remove(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    return this._remove(key);
+  }
+
+  /**
+   * @param {RegExp} regex - Pattern matched against every live key
+   * @returns {number} - Number of keys removed
+   */
+  deleteMatching(regex) {
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (regex.test(key) && this._remove(key)) removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * @param {string} tag
+   * @returns {number} - Number of keys removed
+   */
+  deleteTag(tag) {
+    const keys = this.tags.get(tag);
+    if (!keys) return 0;
+
+    let removed = 0;
+    for (const key of [...keys]) {
+      if (this._remove(key)) removed++;
+    }
+    this.tags.delete(tag);
+    return removed;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.tags.clear();
+  }
+}
+
+module.exports = MemoryCache;
@@ -0,0 +1,99 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before the modules that read them
+dotenv.config();
+
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+const Sneaker = require('../models/Sneaker');
+const { syncBrandName } = require('./catalog');
+
+// Well-known brands, their common alternative spellings and owners.
+// Parents are listed before their sub-brands.
+const SEED_BRANDS = [
+  { name: 'Nike', aliases: ['Nike Inc', 'Nike Sportswear', 'NSW'] },
+  { name: 'Jordan', aliases: ['Air Jordan', 'Jordan Brand'], parent: 'Nike' },
+  { name: 'Converse', parent: 'Nike' },
+  { name: 'adidas', aliases: ['Adidas Originals', 'Addidas'] },
+  { name: 'Yeezy', aliases: ['adidas Yeezy'] },
+  { name: 'New Balance', aliases: ['NB'] },
+  { name: 'ASICS', aliases: ['Asics Tiger', 'Onitsuka Tiger'] },
+  { name: 'Puma' },
+  { name: 'Reebok' },
+  { name: 'Vans' },
+  { name: 'Salomon' },
+  { name: 'Saucony' },
+  { name: 'HOKA', aliases: ['Hoka One One'] }
+];
+
+/**
+ * Create the seed brands, or add missing aliases and parents to existing ones
+ */
+const seedBrands = async () => {
+  for (const seed of SEED_BRANDS) {
+    const brand = await Brand.resolve(seed.name) || new Brand({ name: seed.name });
+
+    for (const alias of seed.aliases || []) {
+      if (!brand.aliases.includes(alias)) brand.aliases.push(alias);
+    }
+
+    if (seed.parent && !brand.parentId) {
+      brand.parentId = (await Brand.resolve(seed.parent))._id;
+    }
+
+    await brand.save();
+  }
+};
+
+/**
+ * Point every sneaker at a canonical brand, creating brands for any free-text
+ * brandName not seeded above, and copy the canonical spelling onto sneakers and posts.
+ * Safe to run more than once.
+ */
+const migrateBrands = async () => {
+  await seedBrands();
+
+  const brandNames = await Sneaker.distinct('brandName', { brandId: null });
+  const touchedBrands = new Map();
+  let sneakerCount = 0;
+
+  for (const brandName of brandNames) {
+    const brand = await Brand.findOrCreateByName(brandName);
+    touchedBrands.set(brand._id.toString(), brand);
+
+    const result = await Sneaker.updateMany(
+      { brandName, brandId: null },
+      { $set: { brandId: brand._id } }
+    );
+    sneakerCount += result.modifiedCount;
+  }
+
+  // "Air Jordan" sneakers become "Jordan", with their name keys recomputed
+  for (const brand of touchedBrands.values()) {
+    await syncBrandName(brand);
+  }
+
+  console.log(`${sneakerCount} sneakers linked to ${touchedBrands.size} brands`);
+  console.log('Run GET /api/admin/sneakers/duplicates: sneakers that only differed by brand spelling may now be duplicates');
+};
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGO_URI)
+  .then(async () => {
+    console.log('MongoDB connected for brand migration');
+
+    try {
+      await Brand.syncIndexes();
+      await migrateBrands();
+
+      console.log('Brand migration completed successfully!');
+      process.exit(0);
+    } catch (error) {
+      console.error('Error migrating brands:', error);
+      process.exit(1);
+    }
+  })
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,88 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before the modules that read them
+dotenv.config();
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const ClosetItem = require('../models/ClosetItem');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Seed closets from posts: every sneaker a user has posted becomes one pair
+ * in their closet, unless they already have it there. Then recompute
+ * totalSneakerCount, which now counts closet pairs. Safe to run more than once.
+ */
+const migrateCloset = async () => {
+  const cursor = Post.aggregate([
+    { $group: { _id: { userId: '$userId', sneakerId: '$sneakerId' }, postedAt: { $min: '$createdAt' } } }
+  ]).cursor({ batchSize: BATCH_SIZE });
+
+  let added = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await ClosetItem.bulkWrite(operations, { ordered: false });
+    added += result.upsertedCount;
+    operations = [];
+  };
+
+  for await (const { _id: { userId, sneakerId }, postedAt } of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { userId, sneakerId },
+        update: { $setOnInsert: { createdAt: postedAt, updatedAt: postedAt } },
+        upsert: true,
+        // Keep the dates of the first post instead of now
+        timestamps: false
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`${added} closet items added from posts`);
+
+  // Recompute every count from the closets
+  await User.updateMany({}, { $set: { totalSneakerCount: 0 } });
+  const counts = await ClosetItem.aggregate([
+    { $group: { _id: '$userId', count: { $sum: 1 } } }
+  ]);
+
+  for (let i = 0; i < counts.length; i += BATCH_SIZE) {
+    await User.bulkWrite(
+      counts.slice(i, i + BATCH_SIZE).map(({ _id, count }) => ({
+        updateOne: { filter: { _id }, update: { $set: { totalSneakerCount: count } } }
+      }))
+    );
+  }
+
+  console.log(`totalSneakerCount recomputed for ${counts.length} users`);
+};
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGO_URI)
+  .then(async () => {
+    console.log('MongoDB connected for closet migration');
+
+    try {
+      await ClosetItem.syncIndexes();
+      await migrateCloset();
+
+      console.log('Closet migration completed successfully!');
+      process.exit(0);
+    } catch (error) {
+      console.error('Error migrating closets:', error);
+      process.exit(1);
+    }
+  })
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,102 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before the modules that read them
+dotenv.config();
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Like = require('../models/Like');
+
+// Pass --unset to drop the legacy likes arrays once the backfill is verified
+const unsetLegacy = process.argv.includes('--unset');
+const BATCH_SIZE = 500;
+
+/**
+ * Backfill the Like collection from the legacy Post.likes arrays and
+ * recompute Post.likeCount. Safe to run more than once.
+ */
+const migrateLikes = async () => {
+  // Read the raw collection: likes is no longer part of the Post schema
+  const cursor = Post.collection.find(
+    { likes: { $exists: true } },
+    { projection: { likes: 1, createdAt: 1, updatedAt: 1 } }
+  );
+
+  let postCount = 0;
+  let likeCount = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Like.bulkWrite(operations, { ordered: false });
+    likeCount += result.upsertedCount;
+    operations = [];
+  };
+
+  for await (const post of cursor) {
+    postCount++;
+    const likedAt = post.updatedAt || post.createdAt || new Date();
+
+    for (const userId of new Set((post.likes || []).map(String))) {
+      operations.push({
+        updateOne: {
+          filter: { postId: post._id, userId: new mongoose.Types.ObjectId(userId) },
+          update: { $setOnInsert: { createdAt: likedAt } },
+          upsert: true
+        }
+      });
+    }
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`${likeCount} likes backfilled from ${postCount} posts`);
+
+  // Recompute every counter from the Like collection
+  await Post.updateMany({}, { $set: { likeCount: 0 } });
+  const counts = await Like.aggregate([
+    { $group: { _id: '$postId', count: { $sum: 1 } } }
+  ]);
+
+  for (let i = 0; i < counts.length; i += BATCH_SIZE) {
+    await Post.bulkWrite(
+      counts.slice(i, i + BATCH_SIZE).map(({ _id, count }) => ({
+        updateOne: { filter: { _id }, update: { $set: { likeCount: count } } }
+      }))
+    );
+  }
+
+  console.log(`likeCount recomputed for ${counts.length} posts`);
+
+  if (unsetLegacy) {
+    const result = await Post.collection.updateMany(
+      { likes: { $exists: true } },
+      { $unset: { likes: '' } }
+    );
+    console.log(`Legacy likes removed from ${result.modifiedCount} posts`);
+  }
+};
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGO_URI)
+  .then(async () => {
+    console.log('MongoDB connected for likes migration');
+
+    try {
+      await Like.syncIndexes();
+      await migrateLikes();
+
+      console.log('Likes migration completed successfully!');
+      process.exit(0);
+    } catch (error) {
+      console.error('Error migrating likes:', error);
+      process.exit(1);
+    }
+  })
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
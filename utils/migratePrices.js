@@ -0,0 +1,101 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before the modules that read them
+dotenv.config();
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Sneaker = require('../models/Sneaker');
+const PriceObservation = require('../models/PriceObservation');
+const { baseCurrency } = require('./currency');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Start the price history: every priced post without an observation gets one,
+ * dated when it was posted. Prices from before currencies were recorded are
+ * taken to be in the base currency. Then recompute every sneaker's
+ * minPrice/maxPrice, which the old running updates could leave wrong.
+ * Safe to run more than once.
+ */
+const migratePrices = async () => {
+  const unconverted = { price: { $gt: 0 }, basePrice: null };
+  const posts = await Post.updateMany(unconverted, [
+    { $set: { currency: { $ifNull: ['$currency', baseCurrency()] }, basePrice: '$price' } }
+  ]);
+  const observations = await PriceObservation.updateMany(unconverted, [
+    { $set: { currency: { $ifNull: ['$currency', baseCurrency()] }, basePrice: '$price' } }
+  ]);
+
+  console.log(`${posts.modifiedCount} posts and ${observations.modifiedCount} observations given base prices`);
+
+  const cursor = Post.find({ price: { $gt: 0 } })
+    .select('userId sneakerId price currency basePrice isHidden createdAt')
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+
+  let added = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await PriceObservation.bulkWrite(operations, { ordered: false });
+    added += result.upsertedCount;
+    operations = [];
+  };
+
+  for await (const post of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { postId: post._id },
+        update: {
+          $setOnInsert: {
+            sneakerId: post.sneakerId,
+            userId: post.userId,
+            price: post.price,
+            currency: post.currency,
+            basePrice: post.basePrice,
+            observedAt: post.createdAt,
+            isHidden: post.isHidden === true
+          }
+        },
+        upsert: true
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`${added} price observations added from posts`);
+
+  const sneakerIds = await Sneaker.distinct('_id', { mergedInto: null });
+  for (const sneakerId of sneakerIds) {
+    await Sneaker.syncPriceRange(sneakerId);
+  }
+
+  console.log(`Price range recomputed for ${sneakerIds.length} sneakers`);
+};
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGO_URI)
+  .then(async () => {
+    console.log('MongoDB connected for price migration');
+
+    try {
+      await PriceObservation.syncIndexes();
+      await migratePrices();
+
+      console.log('Price migration completed successfully!');
+      process.exit(0);
+    } catch (error) {
+      console.error('Error migrating prices:', error);
+      process.exit(1);
+    }
+  })
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
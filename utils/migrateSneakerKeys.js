@@ -0,0 +1,83 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before the modules that read them
+dotenv.config();
+
+const mongoose = require('mongoose');
+const Sneaker = require('../models/Sneaker');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Backfill nameKey/aliasKeys on sneakers created before names were
+ * normalised, so POST /api/posts matches them. Safe to run more than once.
+ */
+const migrateSneakerKeys = async () => {
+  const cursor = Sneaker.find({ nameKey: { $exists: false } })
+    .select('sneakerName brandName aliases')
+    .cursor();
+
+  let count = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Sneaker.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  for await (const sneaker of cursor) {
+    // Runs the same pre-validate hook as a save, without touching updatedAt
+    await sneaker.validate();
+    operations.push({
+      updateOne: {
+        filter: { _id: sneaker._id },
+        update: {
+          $set: {
+            nameKey: sneaker.nameKey,
+            aliases: sneaker.aliases,
+            aliasKeys: sneaker.aliasKeys,
+            mergedInto: null
+          }
+        }
+      }
+    });
+    count++;
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`Name keys set on ${count} sneakers`);
+
+  // Browsing sorts and filters on postCount, added after posts
+  const { modifiedCount } = await Sneaker.updateMany(
+    { postCount: { $exists: false } },
+    [{ $set: { postCount: { $size: '$posts' } } }]
+  );
+  console.log(`Post counts set on ${modifiedCount} sneakers`);
+  console.log('Run GET /api/admin/sneakers/duplicates to review likely duplicates');
+};
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGO_URI)
+  .then(async () => {
+    console.log('MongoDB connected for sneaker key migration');
+
+    try {
+      await Sneaker.syncIndexes();
+      await migrateSneakerKeys();
+
+      console.log('Sneaker key migration completed successfully!');
+      process.exit(0);
+    } catch (error) {
+      console.error('Error migrating sneaker keys:', error);
+      process.exit(1);
+    }
+  })
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
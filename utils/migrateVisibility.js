@@ -0,0 +1,50 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before the modules that read them
+dotenv.config();
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+
+/**
+ * Copy every private or suspended author's privacy and suspension onto their
+ * posts, which feeds filter on. Posts of other authors are visible without
+ * the copies. Safe to run more than once.
+ */
+const migrateVisibility = async () => {
+  const cursor = User.find({ $or: [{ isPrivate: true }, { 'suspension.active': true }] })
+    .select('isPrivate suspension')
+    .cursor();
+
+  let authors = 0;
+  let posts = 0;
+  for await (const user of cursor) {
+    const result = await Post.syncAuthorVisibility(user);
+    authors += 1;
+    posts += result.modifiedCount;
+  }
+
+  console.log(`${posts} posts of ${authors} private or suspended users updated`);
+};
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGO_URI)
+  .then(async () => {
+    console.log('MongoDB connected for visibility migration');
+
+    try {
+      await Post.syncIndexes();
+      await migrateVisibility();
+
+      console.log('Visibility migration completed successfully!');
+      process.exit(0);
+    } catch (error) {
+      console.error('Error migrating visibility:', error);
+      process.exit(1);
+    }
+  })
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
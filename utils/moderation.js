@@ -0,0 +1,218 @@
+const Post = require("../models/Post");
+const User = require("../models/User");
+const ModerationAction = require("../models/ModerationAction");
+const { invalidateTags, cacheTags } = require("./redis");
+const { setRoleClaim } = require("./firebase");
+const { indexUser, removeUser } = require("./suggest");
+const { syncHiddenPrices } = require("./prices");
+const { errorTypes } = require("./errorHandler");
+const logger = require("./logger");
+
+/**
+ * Write an audit trail entry for a moderator decision
+ * @param {Object} moderator - User taking the action
+ * @param {string} action - ModerationAction action
+ * @param {string} targetType - post, comment or user
+ * @param {ObjectId} targetId - Target of the action
+ * @param {Object} options - { reportIds, changes, note }
+ * @returns {Promise<Object>} - The audit entry
+ */
+const recordAction = (
+  moderator,
+  action,
+  targetType,
+  targetId,
+  { reportIds = [], changes = null, note = null } = {}
+) =>
+  ModerationAction.create({
+    moderatorId: moderator._id,
+    action,
+    targetType,
+    targetId,
+    reportIds,
+    changes,
+    note,
+  });
+
+/**
+ * Hide a post from every feed, or show it again
+ * @param {ObjectId} postId - Post to hide
+ * @param {boolean} hidden - Whether the post should be hidden
+ * @param {Object} moderator - User taking the action
+ * @param {Object} options - { reportIds, note }
+ * @returns {Promise<Object>} - The updated post
+ */
+const setPostHidden = async (postId, hidden, moderator, options = {}) => {
+  const post = await Post.findByIdAndUpdate(
+    postId,
+    { $set: { isHidden: hidden, hiddenAt: hidden ? new Date() : null } },
+    { new: true }
+  );
+
+  if (!post) {
+    throw errorTypes.notFound("Post");
+  }
+
+  // A hidden listing no longer counts towards the sneaker's prices
+  await syncHiddenPrices(post);
+
+  await recordAction(
+    moderator,
+    hidden ? "hide_post" : "unhide_post",
+    "post",
+    post._id,
+    options
+  );
+
+  await invalidateTags(
+    cacheTags.post(post._id),
+    cacheTags.sneakers,
+    cacheTags.sneaker(post.sneakerId)
+  );
+
+  return post;
+};
+
+/**
+ * Suspend a user, optionally until a given date
+ * @param {ObjectId} userId - User to suspend
+ * @param {Object} moderator - User taking the action
+ * @param {Object} options - { reason, until, reportIds, note }
+ * @returns {Promise<Object>} - The updated user
+ */
+const suspendUser = async (userId, moderator, options = {}) => {
+  const { reason = null, until = null } = options;
+
+  if (moderator._id.equals(userId)) {
+    throw errorTypes.badRequest("You cannot suspend yourself");
+  }
+
+  // Only admins may suspend other staff
+  if (
+    !moderator.hasRole("admin") &&
+    (await User.exists({ _id: userId, role: { $ne: "user" } }))
+  ) {
+    throw errorTypes.forbidden("Only admins can suspend moderators and admins");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    {
+      $set: {
+        suspension: {
+          active: true,
+          reason,
+          suspendedAt: new Date(),
+          until,
+        },
+      },
+    },
+    { new: true }
+  ).select("username isPrivate suspension");
+
+  if (!user) {
+    throw errorTypes.notFound("User");
+  }
+
+  removeUser(user._id);
+  await Post.syncAuthorVisibility(user);
+
+  await recordAction(moderator, "suspend_user", "user", user._id, {
+    ...options,
+    note: options.note || reason,
+  });
+
+  return user;
+};
+
+/**
+ * Lift a user's suspension
+ * @param {ObjectId} userId - Suspended user
+ * @param {Object} moderator - User taking the action
+ * @param {Object} options - { note }
+ * @returns {Promise<Object>} - The updated user
+ */
+const unsuspendUser = async (userId, moderator, options = {}) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { "suspension.active": false, "suspension.until": null } },
+    { new: true }
+  ).select("username profilePhoto isPrivate suspension");
+
+  if (!user) {
+    throw errorTypes.notFound("User");
+  }
+
+  indexUser(user);
+  await Post.syncAuthorVisibility(user);
+
+  await recordAction(moderator, "unsuspend_user", "user", user._id, options);
+
+  return user;
+};
+
+/**
+ * Copy a user's role to their Firebase custom claims. Failures are logged,
+ * not thrown: the database role is what authorization checks.
+ * @param {Object} user - User with firebaseUid and role
+ * @returns {Promise<boolean>} - Whether the claim was written
+ */
+const syncRoleClaim = async (user) => {
+  try {
+    await setRoleClaim(user.firebaseUid, user.role);
+    await User.updateOne({ _id: user._id }, { $set: { roleClaim: user.role } });
+    user.roleClaim = user.role;
+    return true;
+  } catch (err) {
+    logger.warn("Role claim sync error:", {
+      userId: user._id.toString(),
+      error: err.message,
+    });
+    return false;
+  }
+};
+
+/**
+ * Change a user's role and mirror it to Firebase
+ * @param {ObjectId} userId - User to update
+ * @param {string} role - user, moderator or admin
+ * @param {Object} admin - Admin making the change
+ * @param {Object} options - { note }
+ * @returns {Promise<Object>} - { user, claimSynced }
+ */
+const setUserRole = async (userId, role, admin, options = {}) => {
+  if (admin._id.equals(userId)) {
+    throw errorTypes.badRequest("You cannot change your own role");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { role } },
+    { new: false }
+  ).select("username role firebaseUid");
+
+  if (!user) {
+    throw errorTypes.notFound("User");
+  }
+
+  const previousRole = user.role;
+  user.role = role;
+
+  if (previousRole !== role) {
+    await recordAction(admin, "change_role", "user", user._id, {
+      ...options,
+      changes: { role: { from: previousRole, to: role } },
+    });
+  }
+
+  return { user, claimSynced: await syncRoleClaim(user) };
+};
+
+module.exports = {
+  recordAction,
+  setPostHidden,
+  suspendUser,
+  unsuspendUser,
+  syncRoleClaim,
+  setUserRole,
+};
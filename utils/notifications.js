@@ -0,0 +1,263 @@
+const Notification = require("../models/Notification");
+const Post = require("../models/Post");
+const User = require("../models/User");
+const WishlistItem = require("../models/WishlistItem");
+const { sendPush } = require("./push");
+const logger = require("./logger");
+
+// Notifications are a side effect: a failure is logged, never returned to the client
+const safely =
+  (label, fn) =>
+  async (...args) => {
+    try {
+      await fn(...args);
+    } catch (err) {
+      logger.error(`Notification ${label} error:`, { error: err.message });
+    }
+  };
+
+/**
+ * Record an event in the recipient's inbox and push it to their devices.
+ * Nothing is pushed when the actor was already counted (like/unlike flapping).
+ * @param {Object} event - { recipientId, type, actor, postId?, sneakerId? }
+ * @param {string} body - Push message text
+ */
+const deliver = async ({ actor, ...event }, body) => {
+  const notification = await Notification.record({
+    ...event,
+    actorId: actor._id,
+  });
+  if (!notification) return;
+
+  await sendPush(event.recipientId, event.type, {
+    title: "SoulHeads",
+    body,
+    data: {
+      notificationId: notification._id,
+      postId: event.postId,
+      sneakerId: event.sneakerId,
+    },
+  });
+};
+
+/**
+ * Tell a user someone started following them
+ * @param {ObjectId} followedId - User being followed
+ * @param {Object} follower - User who followed
+ */
+const notifyFollow = safely("follow", async (followedId, follower) => {
+  await deliver(
+    { recipientId: followedId, type: "follow", actor: follower },
+    `${follower.username} started following you`
+  );
+});
+
+/**
+ * Withdraw a follow notification that hasn't been read yet
+ */
+const retractFollow = safely("unfollow", async (followedId, follower) => {
+  await Notification.retract({
+    recipientId: followedId,
+    type: "follow",
+    actorId: follower._id,
+  });
+});
+
+/**
+ * Tell a private account someone asked to follow them
+ * @param {ObjectId} privateUserId - Account being requested
+ * @param {Object} requester - User who asked to follow
+ */
+const notifyFollowRequest = safely(
+  "follow request",
+  async (privateUserId, requester) => {
+    await deliver(
+      { recipientId: privateUserId, type: "follow_request", actor: requester },
+      `${requester.username} requested to follow you`
+    );
+  }
+);
+
+/**
+ * Withdraw a follow request notification once the request is cancelled or answered
+ */
+const retractFollowRequest = safely(
+  "follow request retract",
+  async (privateUserId, requester) => {
+    await Notification.retract({
+      recipientId: privateUserId,
+      type: "follow_request",
+      actorId: requester._id,
+    });
+  }
+);
+
+/**
+ * Tell a post's author someone liked it
+ * @param {Object} post - Post with _id and userId
+ * @param {Object} liker - User who liked the post
+ */
+const notifyLike = safely("like", async (post, liker) => {
+  if (post.userId.toString() === liker._id.toString()) return;
+
+  await deliver(
+    { recipientId: post.userId, type: "like", actor: liker, postId: post._id },
+    `${liker.username} liked your post`
+  );
+});
+
+/**
+ * Withdraw a like notification that hasn't been read yet
+ */
+const retractLike = safely("unlike", async (post, liker) => {
+  await Notification.retract({
+    recipientId: post.userId,
+    type: "like",
+    actorId: liker._id,
+    postId: post._id,
+  });
+});
+
+/**
+ * Tell a post's author someone commented on it
+ * @param {Object} post - Post with _id and userId
+ * @param {Object} commenter - User who commented
+ * @param {string} text - Comment text, used as the push preview
+ */
+const notifyComment = safely("comment", async (post, commenter, text) => {
+  if (post.userId.toString() === commenter._id.toString()) return;
+
+  await deliver(
+    {
+      recipientId: post.userId,
+      type: "comment",
+      actor: commenter,
+      postId: post._id,
+    },
+    `${commenter.username} commented: ${
+      text.length > 100 ? `${text.slice(0, 97)}...` : text
+    }`
+  );
+});
+
+/**
+ * Tell everyone who posted a sneaker that someone rated it
+ * @param {Object} sneaker - Rated sneaker
+ * @param {Object} rater - User who rated it
+ */
+const notifyRating = safely("rating", async (sneaker, rater) => {
+  const posterIds = await Post.distinct("userId", {
+    sneakerId: sneaker._id,
+    userId: { $ne: rater._id, $nin: rater.blockedUsers },
+  });
+
+  // Skip posters who blocked the rater
+  const recipientIds = await User.distinct("_id", {
+    _id: { $in: posterIds },
+    blockedUsers: { $ne: rater._id },
+  });
+
+  await Promise.all(
+    recipientIds.map((recipientId) =>
+      deliver(
+        { recipientId, type: "rating", actor: rater, sneakerId: sneaker._id },
+        `${rater.username} rated ${sneaker.sneakerName}`
+      )
+    )
+  );
+});
+
+/**
+ * Tell everyone who wants a sneaker that a new post lists it at or below
+ * their target price. Targets are in the base currency, so the post is
+ * compared by its basePrice. Only people who may see the post are told.
+ * @param {Object} post - New post
+ * @param {Object} sneaker - Sneaker the post is for
+ * @param {Object} poster - User who posted
+ */
+const notifyPriceAlert = safely(
+  "price alert",
+  async (post, sneaker, poster) => {
+    if (!(post.price > 0)) return;
+
+    const wisherIds = await WishlistItem.distinct("userId", {
+      sneakerId: sneaker._id,
+      targetPrice: { $gte: post.basePrice ?? post.price },
+      userId: { $ne: poster._id, $nin: poster.blockedUsers },
+    });
+
+    const recipientFilter = {
+      _id: { $in: wisherIds },
+      blockedUsers: { $ne: poster._id },
+    };
+    // A private account's posts only reach its followers
+    if (poster.isPrivate) recipientFilter.following = poster._id;
+
+    const recipientIds = await User.distinct("_id", recipientFilter);
+
+    await Promise.all(
+      recipientIds.map((recipientId) =>
+        deliver(
+          {
+            recipientId,
+            type: "price_alert",
+            actor: poster,
+            postId: post._id,
+            sneakerId: sneaker._id,
+          },
+          `${poster.username} listed ${sneaker.sneakerName} for ${post.price} ${post.currency}, within your target price`
+        )
+      )
+    );
+  }
+);
+
+/**
+ * Build the inbox line for a notification
+ * @param {Object} notification - Notification with actors populated
+ * @returns {string} - e.g. "alex and 12 others liked your post"
+ */
+const describeNotification = (notification) => {
+  const latest = notification.actors[notification.actors.length - 1];
+  const others = notification.actorCount - 1;
+  const who =
+    others > 0
+      ? `${latest?.username || "Someone"} and ${others} ${
+          others === 1 ? "other" : "others"
+        }`
+      : latest?.username || "Someone";
+
+  switch (notification.type) {
+    case "follow":
+      return `${who} started following you`;
+    case "follow_request":
+      return `${who} requested to follow you`;
+    case "like":
+      return `${who} liked your post`;
+    case "comment":
+      return `${who} commented on your post`;
+    case "rating":
+      return `${who} rated ${
+        notification.sneakerId?.sneakerName || "a sneaker"
+      } you posted`;
+    case "price_alert":
+      return `${who} listed ${
+        notification.sneakerId?.sneakerName || "a sneaker"
+      } on your wishlist within your target price`;
+    default:
+      return who;
+  }
+};
+
+module.exports = {
+  notifyFollow,
+  retractFollow,
+  notifyFollowRequest,
+  retractFollowRequest,
+  notifyLike,
+  retractLike,
+  notifyComment,
+  notifyRating,
+  notifyPriceAlert,
+  describeNotification,
+};
@@ -0,0 +1,229 @@
+const mongoose = require("mongoose");
+
+// Newest first, with _id as a tiebreaker for items created in the same millisecond
+const DEFAULT_SORT = { createdAt: -1, _id: -1 };
+
+/**
+ * Make sure a sort ends on _id so every cursor position is unique
+ * @param {Object} sort - MongoDB sort object
+ * @returns {Object}
+ */
+const withTiebreaker = (sort) => {
+  if ("_id" in sort) return sort;
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions[directions.length - 1] || -1 };
+};
+
+// Read a (possibly dotted) path from a document or plain object
+const getPath = (item, path) => {
+  if (typeof item.get === "function") return item.get(path);
+  return path.split(".").reduce((value, key) => value && value[key], item);
+};
+
+// Tag dates and ObjectIds so they survive the JSON round trip
+const serializeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const deserializeValue = (value) => {
+  if (value && typeof value === "object") {
+    if (typeof value.d === "string") {
+      const date = new Date(value.d);
+      if (isNaN(date.getTime())) throw new Error("Invalid cursor date");
+      return date;
+    }
+    if (typeof value.o === "string") {
+      return new mongoose.Types.ObjectId(value.o);
+    }
+    throw new Error("Invalid cursor value");
+  }
+  return value;
+};
+
+/**
+ * Encode a cursor pointing at the last item of a page
+ * @param {Object} item - Last document returned on the page
+ * @param {Object} sort - Sort the page was read with
+ * @returns {string} - Opaque base64url cursor
+ */
+const encodeCursor = (item, sort = DEFAULT_SORT) => {
+  if (!item) return null;
+
+  const keys = Object.keys(sort);
+
+  return Buffer.from(
+    JSON.stringify({
+      k: keys,
+      v: keys.map((key) => serializeValue(getPath(item, key))),
+    })
+  ).toString("base64url");
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor from the client
+ * @param {Object} sort - Sort the cursor must have been produced with
+ * @returns {Object|null} - Sort key values, or null if the cursor is invalid
+ */
+const decodeCursor = (cursor, sort = DEFAULT_SORT) => {
+  if (!cursor) return null;
+
+  try {
+    const { k: keys, v: values } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+
+    // A cursor from a different sort order can't be resumed
+    if (
+      !Array.isArray(keys) ||
+      !Array.isArray(values) ||
+      keys.join(",") !== Object.keys(sort).join(",") ||
+      values.length !== keys.length
+    ) {
+      return null;
+    }
+
+    return keys.reduce((decoded, key, index) => {
+      decoded[key] = deserializeValue(values[index]);
+      return decoded;
+    }, {});
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the filter that selects items after a cursor for the given sort
+ * @param {Object} cursor - Decoded cursor
+ * @param {Object} sort - MongoDB sort object
+ * @returns {Object} - MongoDB filter
+ */
+const cursorFilter = (cursor, sort = DEFAULT_SORT) => {
+  if (!cursor) return {};
+
+  const keys = Object.keys(sort);
+
+  // Lexicographic "after": equal on every earlier key, past the cursor on this one
+  return {
+    $or: keys.map((key, index) => {
+      const clause = {};
+      keys.slice(0, index).forEach((previous) => {
+        clause[previous] = cursor[previous];
+      });
+      clause[key] = { [sort[key] === 1 ? "$gt" : "$lt"]: cursor[key] };
+      return clause;
+    }),
+  };
+};
+
+/**
+ * Parse a page size from the query string
+ * @param {string} value - Raw limit value
+ * @param {number} defaultLimit - Limit used when none is provided
+ * @param {number} maxLimit - Upper bound on the page size
+ * @returns {number}
+ */
+const parseLimit = (value, defaultLimit = 10, maxLimit = 50) => {
+  const limit = parseInt(value) || defaultLimit;
+  return Math.min(Math.max(limit, 1), maxLimit);
+};
+
+/**
+ * Parse pagination options from the query string.
+ * Sending ?page= keeps the legacy offset mode (with totals); otherwise the
+ * list is read by cursor and the total is only counted with ?includeTotal=true.
+ * @param {Object} query - req.query
+ * @param {Object} sort - Sort the list is read with
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {Object|null} - Pagination options, or null if the cursor is invalid
+ */
+const parsePagination = (query, sort = DEFAULT_SORT, options = {}) => {
+  const { defaultLimit = 10, maxLimit = 50 } = options;
+  const fullSort = withTiebreaker(sort);
+  const limit = parseLimit(query.limit, defaultLimit, maxLimit);
+
+  if (query.page !== undefined && query.cursor === undefined) {
+    return {
+      page: Math.max(parseInt(query.page) || 1, 1),
+      limit,
+      sort: fullSort,
+    };
+  }
+
+  const cursor = decodeCursor(query.cursor, fullSort);
+  if (query.cursor && !cursor) return null;
+
+  return {
+    cursor,
+    limit,
+    sort: fullSort,
+    includeTotal: query.includeTotal === "true",
+  };
+};
+
+/**
+ * Run a paginated find
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} pagination - Result of parsePagination
+ * @param {Function} build - Adds select/populate to the query; must return it
+ * @returns {Promise<Object>} - { items, nextCursor, hasMore, total?, currentPage?, totalPages? }
+ */
+const paginate = async (
+  Model,
+  filter,
+  pagination,
+  build = (query) => query
+) => {
+  const { page, cursor, limit, sort, includeTotal } = pagination;
+
+  let query = page
+    ? Model.find(filter).skip((page - 1) * limit)
+    : Model.find(
+        cursor ? { $and: [filter, cursorFilter(cursor, sort)] } : filter
+      );
+
+  query = build(query.sort(sort).limit(limit + 1));
+
+  // The cursor is built from the sort keys, so an inclusive select must keep them
+  const projection = query.projection();
+  if (
+    projection &&
+    Object.values(projection).some((value) => value === 1 || value === true)
+  ) {
+    query.select(Object.keys(sort).join(" "));
+  }
+
+  const docs = await query;
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  const result = {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null,
+    hasMore,
+  };
+
+  if (page || includeTotal) {
+    result.total = await Model.countDocuments(filter);
+
+    if (page) {
+      result.currentPage = page;
+      result.totalPages = Math.ceil(result.total / limit);
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  DEFAULT_SORT,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  parseLimit,
+  parsePagination,
+  paginate,
+};
@@ -0,0 +1,200 @@
+const mongoose = require("mongoose");
+const PriceObservation = require("../models/PriceObservation");
+const Sneaker = require("../models/Sneaker");
+const { baseCurrency } = require("./currency");
+
+// Time series buckets for GET /api/sneakers/:id/prices
+const PRICE_INTERVALS = ["week", "month"];
+
+const PERCENTILES = [10, 25, 75, 90];
+
+// History covered when no start date is given
+const DEFAULT_HISTORY_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Record a post's current price as an observation. Posts without a price,
+ * or listed at 0, are not observed.
+ * @param {Object} post - Post document
+ * @param {Date} observedAt - When the price was seen, the post's creation by default
+ * @returns {Promise<Object|null>} - The observation
+ */
+const recordPrice = async (post, observedAt = post.createdAt) => {
+  if (!(post.price > 0)) return null;
+
+  return PriceObservation.create({
+    sneakerId: post.sneakerId,
+    postId: post._id,
+    userId: post.userId,
+    price: post.price,
+    currency: post.currency || baseCurrency(),
+    basePrice: post.basePrice ?? post.price,
+    observedAt,
+  });
+};
+
+/**
+ * Keep a post's observations and its sneaker's price range in step with the
+ * post being hidden or shown again
+ * @param {Object} post - The updated post
+ */
+const syncHiddenPrices = async (post) => {
+  await PriceObservation.updateMany(
+    { postId: post._id },
+    { $set: { isHidden: post.isHidden } }
+  );
+  await Sneaker.syncPriceRange(post.sneakerId);
+};
+
+/**
+ * Value at a percentile of sorted numbers, interpolating between neighbours
+ * @param {Array} sorted - Ascending numbers, not empty
+ * @param {number} p - 0-100
+ * @returns {number}
+ */
+const percentile = (sorted, p) => {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Summary statistics of a set of prices
+ * @param {Array} prices - Numbers
+ * @returns {Object} - { count, min, max, average, median, percentiles }
+ */
+const summarize = (prices) => {
+  if (prices.length === 0) {
+    return {
+      count: 0,
+      min: null,
+      max: null,
+      average: null,
+      median: null,
+      percentiles: null,
+    };
+  }
+
+  const sorted = [...prices].sort((a, b) => a - b);
+  const sum = sorted.reduce((total, price) => total + price, 0);
+
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    average: round(sum / sorted.length),
+    median: round(percentile(sorted, 50)),
+    percentiles: Object.fromEntries(
+      PERCENTILES.map((p) => [`p${p}`, round(percentile(sorted, p))])
+    ),
+  };
+};
+
+/**
+ * Start of the UTC week (Monday) or month a date falls in
+ * @param {Date} date
+ * @param {string} interval - week or month
+ * @returns {Date}
+ */
+const periodStart = (date, interval) => {
+  if (interval === "month") {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+
+  const day = Date.UTC(
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    date.getUTCDate()
+  );
+  // getUTCDay() is 0 on Sunday
+  return new Date(day - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+/**
+ * Price history of a sneaker: statistics over the whole range and per period,
+ * in the base currency. Hidden posts' prices are left out, deleted posts' are kept.
+ * @param {ObjectId} sneakerId
+ * @param {Object} options - { interval, from, to }
+ * @returns {Promise<Object>} - { interval, from, to, stats, series }
+ */
+const priceHistory = async (
+  sneakerId,
+  { interval = "week", from = null, to = null } = {}
+) => {
+  const end = to || new Date();
+  const start = from || new Date(end.getTime() - DEFAULT_HISTORY_DAYS * DAY_MS);
+
+  const observations = await PriceObservation.find({
+    sneakerId: new mongoose.Types.ObjectId(String(sneakerId)),
+    isHidden: false,
+    observedAt: { $gte: start, $lte: end },
+  })
+    .select("price basePrice observedAt")
+    .sort({ observedAt: 1 })
+    .lean();
+
+  // Observations come sorted, so periods are created in order
+  const prices = [];
+  const periods = new Map();
+  for (const { price, basePrice, observedAt } of observations) {
+    const key = periodStart(observedAt, interval).toISOString();
+    if (!periods.has(key)) periods.set(key, []);
+    periods.get(key).push(basePrice ?? price);
+    prices.push(basePrice ?? price);
+  }
+
+  return {
+    interval,
+    from: start,
+    to: end,
+    stats: summarize(prices),
+    // Periods without observations are left out
+    series: [...periods].map(([key, periodPrices]) => {
+      const { count, min, max, average, median } = summarize(periodPrices);
+      return { periodStart: new Date(key), count, min, max, average, median };
+    }),
+  };
+};
+
+// Price fields of a summary or series entry
+const AMOUNT_FIELDS = ["min", "max", "average", "median"];
+
+/**
+ * A price history with every amount converted out of the base currency
+ * @param {Object} history - From priceHistory
+ * @param {Object} converter - From priceConverter
+ * @returns {Object}
+ */
+const convertHistory = (history, converter) => {
+  const convertAmounts = (entry) => {
+    const converted = { ...entry };
+    for (const field of AMOUNT_FIELDS) {
+      converted[field] = converter.convert(entry[field]);
+    }
+    return converted;
+  };
+
+  const stats = convertAmounts(history.stats);
+  if (stats.percentiles) {
+    stats.percentiles = Object.fromEntries(
+      Object.entries(stats.percentiles).map(([key, amount]) => [
+        key,
+        converter.convert(amount),
+      ])
+    );
+  }
+
+  return { ...history, stats, series: history.series.map(convertAmounts) };
+};
+
+module.exports = {
+  PRICE_INTERVALS,
+  recordPrice,
+  syncHiddenPrices,
+  priceHistory,
+  convertHistory,
+};
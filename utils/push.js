@@ -0,0 +1,175 @@
+// Push notifications with pluggable transports.
+// Sends through Firebase Cloud Messaging by default; PUSH_TRANSPORT=recording
+// keeps messages in memory instead (tests, local development), and
+// PUSH_TRANSPORT=none turns pushes off.
+const Device = require("../models/Device");
+const User = require("../models/User");
+const logger = require("./logger");
+
+// FCM accepts at most 500 tokens per multicast
+const MAX_TOKENS_PER_SEND = 500;
+
+// Preference that controls each notification type, when it isn't the type itself
+const PREFERENCE_FOR_TYPE = {
+  follow_request: "follow",
+  price_alert: "wishlist",
+};
+
+// Send failures that mean the token will never work again
+const INVALID_TOKEN_CODES = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
+/**
+ * A transport delivers one message to a list of tokens:
+ *   send({ tokens, title, body, data }) -> Promise<[{ token, success, errorCode }]>
+ */
+
+/**
+ * Firebase Cloud Messaging, through the app initialised in config/firebaseAdmin.js
+ */
+const createFcmTransport = () => {
+  const { admin } = require("../config/firebaseAdmin");
+
+  return {
+    name: "fcm",
+    send: async ({ tokens, title, body, data }) => {
+      const response = await admin.messaging().sendEachForMulticast({
+        tokens,
+        notification: { title, body },
+        data,
+      });
+
+      return response.responses.map((result, index) => ({
+        token: tokens[index],
+        success: result.success,
+        errorCode: result.error ? result.error.code : null,
+      }));
+    },
+  };
+};
+
+/**
+ * Keeps every message in memory instead of sending it.
+ * Tokens added to invalidTokens fail as if FCM no longer knew them.
+ */
+const createRecordingTransport = () => {
+  const transport = {
+    name: "recording",
+    sent: [],
+    invalidTokens: new Set(),
+    send: async (message) => {
+      transport.sent.push(message);
+      return message.tokens.map((token) =>
+        transport.invalidTokens.has(token)
+          ? {
+              token,
+              success: false,
+              errorCode: "messaging/registration-token-not-registered",
+            }
+          : { token, success: true, errorCode: null }
+      );
+    },
+    clear: () => {
+      transport.sent = [];
+      transport.invalidTokens.clear();
+    },
+  };
+  return transport;
+};
+
+const createTransport = () => {
+  const name =
+    process.env.PUSH_TRANSPORT ||
+    (process.env.NODE_ENV === "test" ? "recording" : "fcm");
+
+  switch (name) {
+    case "fcm":
+      return createFcmTransport();
+    case "recording":
+      return createRecordingTransport();
+    case "none":
+      return null;
+    default:
+      throw new Error(`Unknown PUSH_TRANSPORT "${name}"`);
+  }
+};
+
+let transport = createTransport();
+
+logger.info(`Push: Using ${transport ? transport.name : "no"} transport`);
+
+/**
+ * Swap the transport, e.g. for a recording one in tests
+ * @param {Object|null} nextTransport - Object with a send() method, or null to disable pushes
+ */
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+const getTransport = () => transport;
+
+/**
+ * Push a message to every device of a user, honouring their preferences.
+ * Tokens FCM reports as no longer registered are removed.
+ * @param {ObjectId} userId - Recipient
+ * @param {string} type - Notification type (follow, like, comment, rating)
+ * @param {Object} message - { title, body, data }
+ * @returns {Promise<number>} - Number of devices the message was delivered to
+ */
+const sendPush = async (userId, type, { title, body, data = {} }) => {
+  if (!transport) return 0;
+
+  const user = await User.findById(userId).select("notificationPreferences");
+  const preferences = user?.notificationPreferences;
+  const preference = PREFERENCE_FOR_TYPE[type] || type;
+  if (!preferences || !preferences.push || preferences[preference] === false) {
+    return 0;
+  }
+
+  const devices = await Device.find({ userId }).select("token");
+  if (devices.length === 0) return 0;
+
+  // FCM data values must be strings
+  const stringData = Object.fromEntries(
+    Object.entries({ ...data, type })
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => [key, String(value)])
+  );
+
+  const tokens = devices.map((device) => device.token);
+  const results = [];
+  for (let i = 0; i < tokens.length; i += MAX_TOKENS_PER_SEND) {
+    results.push(
+      ...(await transport.send({
+        tokens: tokens.slice(i, i + MAX_TOKENS_PER_SEND),
+        title,
+        body,
+        data: stringData,
+      }))
+    );
+  }
+
+  const invalidTokens = results
+    .filter((result) => INVALID_TOKEN_CODES.includes(result.errorCode))
+    .map((result) => result.token);
+
+  if (invalidTokens.length > 0) {
+    await Device.deleteMany({ token: { $in: invalidTokens } });
+    logger.info("Pruned invalid push tokens", {
+      userId: userId.toString(),
+      count: invalidTokens.length,
+    });
+  }
+
+  return results.filter((result) => result.success).length;
+};
+
+module.exports = {
+  sendPush,
+  setTransport,
+  getTransport,
+  createFcmTransport,
+  createRecordingTransport,
+};
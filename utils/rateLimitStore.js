@@ -0,0 +1,121 @@
+// Counter storage for the rate limiter.
+// Limits only hold across API containers with a shared store, so set
+// RATE_LIMIT_STORE=redis (needs REDIS_URL) or RATE_LIMIT_STORE=mongo in production.
+const logger = require("./logger");
+
+/**
+ * In-process backend. Each API container counts on its own.
+ */
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  // Drop counters whose window has passed
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters.entries()) {
+      if (counter.expiresAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: "memory",
+    increment: async (key, expiresAt) => {
+      let counter = counters.get(key);
+      if (!counter) {
+        counter = { count: 0, expiresAt };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return counter.count;
+    },
+    decrement: async (key) => {
+      const counter = counters.get(key);
+      if (counter && counter.count > 0) counter.count--;
+    },
+  };
+};
+
+/**
+ * Redis backend, sharing the cache's connection
+ */
+const createRedisStore = () => {
+  const { redisClient } = require("./redis");
+  if (!redisClient) {
+    throw new Error("RATE_LIMIT_STORE=redis requires REDIS_URL to be set");
+  }
+
+  return {
+    name: "redis",
+    increment: async (key, expiresAt) => {
+      const [[incrError, count], [expireError]] = await redisClient
+        .multi()
+        .incr(key)
+        .pexpireat(key, expiresAt)
+        .exec();
+      if (incrError || expireError) throw incrError || expireError;
+      return count;
+    },
+    decrement: async (key) => {
+      await redisClient.decr(key);
+    },
+  };
+};
+
+/**
+ * MongoDB backend using a TTL collection
+ */
+const createMongoStore = () => {
+  const RateLimit = require("../models/RateLimit");
+
+  const upsert = (key, expiresAt) =>
+    RateLimit.findOneAndUpdate(
+      { key },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(expiresAt) } },
+      { upsert: true, new: true }
+    );
+
+  return {
+    name: "mongo",
+    increment: async (key, expiresAt) => {
+      let counter;
+      try {
+        counter = await upsert(key, expiresAt);
+      } catch (error) {
+        // Two containers inserted the same window at once; the retry updates it
+        if (error.code !== 11000) throw error;
+        counter = await upsert(key, expiresAt);
+      }
+      return counter.count;
+    },
+    decrement: async (key) => {
+      await RateLimit.updateOne(
+        { key, count: { $gt: 0 } },
+        { $inc: { count: -1 } }
+      );
+    },
+  };
+};
+
+const createStore = () => {
+  const backend =
+    process.env.RATE_LIMIT_STORE ||
+    (process.env.REDIS_URL ? "redis" : "memory");
+
+  switch (backend) {
+    case "redis":
+      return createRedisStore();
+    case "mongo":
+      return createMongoStore();
+    case "memory":
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${backend}"`);
+  }
+};
+
+const store = createStore();
+
+logger.info(`Rate limiter: Using ${store.name} store`);
+
+module.exports = store;
@@ -1,46 +1,266 @@
-// Cache utility without Redis implementation
-// All cache operations are no-ops to maintain API compatibility
+// Cache utility with pluggable backends.
+// Uses an in-process LRU+TTL cache by default, or Redis when REDIS_URL is set.
+const logger = require("./logger");
+const MemoryCache = require("./memoryCache");
 
-console.log("Cache: Using no-op implementation (Redis removed)");
+// Tag sets outlive the keys they track so invalidation never misses one
+const TAG_TTL_SECONDS = 24 * 60 * 60;
 
-// No-op cache functions that maintain the same API but don't actually cache
-const setCache = async (key, data, expiryInSeconds = 3600) => {
-  // No-op: Just return true to indicate "success"
-  return true;
+// Convert a Redis-style glob ("post:*:likeCount") into a RegExp
+const globToRegExp = (pattern) =>
+  new RegExp(
+    `^${pattern
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*")
+      .replace(/\?/g, ".")}$`
+  );
+
+/**
+ * In-process backend. Each API container keeps its own copy.
+ */
+const createMemoryStore = () => {
+  const cache = new MemoryCache({
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+  });
+
+  return {
+    name: "memory",
+    client: null,
+    get: async (key) => cache.get(key),
+    set: async (key, value, ttl, tags) => cache.set(key, value, ttl, tags),
+    del: async (key) => cache.delete(key),
+    delPattern: async (pattern) => cache.deleteMatching(globToRegExp(pattern)),
+    delTag: async (tag) => cache.deleteTag(tag),
+    size: async () => cache.size,
+  };
+};
+
+/**
+ * Redis backend, shared by every API container
+ * @param {string} url - Redis connection URL
+ */
+const createRedisStore = (url) => {
+  // Only needed when Redis is configured
+  const Redis = require("ioredis");
+
+  const client = new Redis(url, {
+    // Fail fast and fall back to a cache miss instead of queueing requests
+    maxRetriesPerRequest: 1,
+    enableOfflineQueue: false,
+  });
+
+  client.on("error", (err) => {
+    logger.error("Redis cache error:", { error: err.message });
+  });
+
+  const tagKey = (tag) => `tag:${tag}`;
+
+  return {
+    name: "redis",
+    client,
+    get: (key) => client.get(key),
+    set: async (key, value, ttl, tags) => {
+      const pipeline = client.multi();
+      if (ttl > 0) {
+        pipeline.set(key, value, "EX", ttl);
+      } else {
+        pipeline.set(key, value);
+      }
+      for (const tag of tags) {
+        pipeline.sadd(tagKey(tag), key);
+        pipeline.expire(tagKey(tag), Math.max(ttl, TAG_TTL_SECONDS));
+      }
+      await pipeline.exec();
+    },
+    del: (key) => client.del(key),
+    delPattern: async (pattern) => {
+      let removed = 0;
+      let cursor = "0";
+      do {
+        const [next, keys] = await client.scan(
+          cursor,
+          "MATCH",
+          pattern,
+          "COUNT",
+          100
+        );
+        cursor = next;
+        if (keys.length > 0) {
+          removed += await client.unlink(...keys);
+        }
+      } while (cursor !== "0");
+      return removed;
+    },
+    delTag: async (tag) => {
+      const keys = await client.smembers(tagKey(tag));
+      return client.unlink(tagKey(tag), ...keys);
+    },
+    size: () => client.dbsize(),
+  };
+};
+
+const store = process.env.REDIS_URL
+  ? createRedisStore(process.env.REDIS_URL)
+  : createMemoryStore();
+
+logger.info(`Cache: Using ${store.name} backend`);
+
+// Process-local counters, reported by getCacheStats
+const stats = {
+  hits: 0,
+  misses: 0,
+  sets: 0,
+  deletes: 0,
+  errors: 0,
 };
 
-// Always return null (cache miss)
+const recordError = (operation, key, err) => {
+  stats.errors++;
+  logger.error(`Cache ${operation} error:`, { key, error: err.message });
+};
+
+/**
+ * Store a value in the cache
+ * @param {string} key - Cache key
+ * @param {*} data - JSON-serializable value
+ * @param {number} expiryInSeconds - Time to live
+ * @param {string[]} tags - Tags the key can later be invalidated by
+ * @returns {Promise<boolean>} - Whether the value was stored
+ */
+const setCache = async (key, data, expiryInSeconds = 3600, tags = []) => {
+  try {
+    await store.set(key, JSON.stringify(data), expiryInSeconds, tags);
+    stats.sets++;
+    return true;
+  } catch (err) {
+    recordError("set", key, err);
+    return false;
+  }
+};
+
+/**
+ * Read a value from the cache
+ * @param {string} key - Cache key
+ * @returns {Promise<*>} - Cached value, or null on a miss
+ */
 const getCache = async (key) => {
-  // No-op: Always return null to simulate cache miss
-  return null;
+  try {
+    const value = await store.get(key);
+    if (value === null || value === undefined) {
+      stats.misses++;
+      return null;
+    }
+    stats.hits++;
+    return JSON.parse(value);
+  } catch (err) {
+    // Treat backend failures as a miss so requests still succeed
+    recordError("get", key, err);
+    stats.misses++;
+    return null;
+  }
 };
 
-// No-op delete
+/**
+ * Remove a key from the cache
+ * @param {string} key - Cache key
+ * @returns {Promise<boolean>}
+ */
 const deleteCache = async (key) => {
-  // No-op: Just return true to indicate "success"
-  return true;
+  try {
+    await store.del(key);
+    stats.deletes++;
+    return true;
+  } catch (err) {
+    recordError("delete", key, err);
+    return false;
+  }
 };
 
-// No-op clear cache by pattern
+/**
+ * Remove every key matching a glob pattern ("*" and "?" wildcards)
+ * @param {string} pattern - e.g. "user:*:followerCount"
+ * @returns {Promise<boolean>}
+ */
 const clearCacheByPattern = async (pattern) => {
-  // No-op: Just return true to indicate "success"
-  return true;
+  try {
+    stats.deletes += await store.delPattern(pattern);
+    return true;
+  } catch (err) {
+    recordError("clear pattern", pattern, err);
+    return false;
+  }
+};
+
+/**
+ * Remove every key stored under any of the given tags
+ * @param {...string} tags - Tags from cacheTags
+ * @returns {Promise<boolean>}
+ */
+const invalidateTags = async (...tags) => {
+  try {
+    for (const tag of tags) {
+      stats.deletes += await store.delTag(tag);
+    }
+    return true;
+  } catch (err) {
+    recordError("invalidate tags", tags.join(","), err);
+    return false;
+  }
 };
 
-// Common cache keys (kept for API compatibility)
+/**
+ * Cache hit/miss counters for this process
+ * @returns {Promise<Object>}
+ */
+const getCacheStats = async () => {
+  const lookups = stats.hits + stats.misses;
+  let size = null;
+  try {
+    size = await store.size();
+  } catch (err) {
+    recordError("size", "", err);
+  }
+
+  return {
+    backend: store.name,
+    ...stats,
+    hitRate: lookups > 0 ? stats.hits / lookups : 0,
+    size,
+  };
+};
+
+// Common cache keys
 const cacheKeys = {
   topRatedSneakers: "topRatedSneakers",
+  brands: "brands",
+  sneakerFacets: (filterHash) => `sneakers:facets:${filterHash}`,
   userFollowerCount: (userId) => `user:${userId}:followerCount`,
   userFollowingCount: (userId) => `user:${userId}:followingCount`,
   postLikeCount: (postId) => `post:${postId}:likeCount`,
   sneakerRatingAvg: (sneakerId) => `sneaker:${sneakerId}:ratingAvg`,
+  sneakerPrices: (sneakerId, range) => `sneaker:${sneakerId}:prices:${range}`,
+  // Last change to the names in the suggest index, by any instance
+  suggestVersion: "suggest:version",
+};
+
+// Tags group keys that go stale together
+const cacheTags = {
+  // Catalog-wide rankings such as top rated sneakers
+  sneakers: "sneakers",
+  sneaker: (sneakerId) => `sneaker:${sneakerId}`,
+  brands: "brands",
+  post: (postId) => `post:${postId}`,
+  user: (userId) => `user:${userId}`,
 };
 
 module.exports = {
-  redisClient: null, // No Redis client
+  redisClient: store.client,
   setCache,
   getCache,
   deleteCache,
   clearCacheByPattern,
+  invalidateTags,
+  getCacheStats,
   cacheKeys,
+  cacheTags,
 };
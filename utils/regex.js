@@ -0,0 +1,9 @@
+/**
+ * Escape user input for use inside a RegExp, so "a.b" matches only "a.b"
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = { escapeRegex };
@@ -0,0 +1,358 @@
+const Sneaker = require("../models/Sneaker");
+const Brand = require("../models/Brand");
+const Post = require("../models/Post");
+const User = require("../models/User");
+const { simplify, normalizeName, levenshtein } = require("./sneakerNames");
+const { visiblePostsFilter, blockedIdsFor } = require("./visibility");
+const { feedPopulate, decoratePosts } = require("./viewerState");
+const { escapeRegex } = require("./regex");
+const { encodeCursor, decodeCursor, parseLimit } = require("./pagination");
+
+const SEARCH_TYPES = ["sneakers", "posts", "users"];
+
+// Text matches ranked per query; later pages come out of the same ranking
+const MAX_CANDIDATES = 200;
+
+// Longer queries are cut, they only slow the text search down
+const MAX_TERMS = 10;
+
+// How long the typo-correction vocabulary is reused before being rebuilt
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+
+let vocabulary = null;
+
+/**
+ * Every word used in sneaker names, aliases and brand names
+ * @returns {Promise<Set>}
+ */
+const loadVocabulary = async () => {
+  const [nameKeys, aliasKeys, brands] = await Promise.all([
+    Sneaker.distinct("nameKey", { mergedInto: null }),
+    Sneaker.distinct("aliasKeys", { mergedInto: null }),
+    Brand.find().select("nameKey aliasKeys").lean(),
+  ]);
+
+  const keys = [
+    ...nameKeys,
+    ...aliasKeys,
+    ...brands.flatMap((brand) => [brand.nameKey, ...(brand.aliasKeys || [])]),
+  ];
+
+  const words = new Set();
+  for (const key of keys) {
+    for (const word of String(key || "").split(/[^a-z0-9]+/)) {
+      if (word.length >= 3) words.add(word);
+    }
+  }
+  return words;
+};
+
+// Concurrent searches share one load
+const getVocabulary = () => {
+  if (!vocabulary || Date.now() - vocabulary.loadedAt > VOCABULARY_TTL_MS) {
+    const loading = loadVocabulary();
+    vocabulary = { words: loading, loadedAt: Date.now() };
+    loading.catch(() => {
+      if (vocabulary && vocabulary.words === loading) vocabulary = null;
+    });
+  }
+  return vocabulary.words;
+};
+
+/**
+ * Drop the cached vocabulary so the next search sees new catalog names
+ */
+const invalidateVocabulary = () => {
+  vocabulary = null;
+};
+
+/**
+ * Closest catalog word to a possibly misspelt one. Short words and numbers
+ * are left alone: "90" and "95" are both valid and mean different shoes.
+ * @param {string} word - Simplified query word
+ * @param {Set} words - Vocabulary
+ * @returns {string}
+ */
+const correctWord = (word, words) => {
+  if (word.length < 4 || /\d/.test(word) || words.has(word)) {
+    return word;
+  }
+
+  const maxDistance = word.length >= 8 ? 2 : 1;
+  let best = word;
+  let bestDistance = maxDistance + 1;
+
+  for (const candidate of words) {
+    if (Math.abs(candidate.length - word.length) > maxDistance) continue;
+
+    const distance = levenshtein(word, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+};
+
+const words = (text) => simplify(text).split(" ").filter(Boolean);
+
+/**
+ * Turn a raw query into search terms. Only letters and digits survive, so
+ * nothing typed can reach MongoDB as an operator, phrase or negation.
+ * @param {string} query - Query as typed
+ * @returns {Promise<Object>} - { terms, normalized, text, correctedQuery }
+ */
+const parseQuery = async (query) => {
+  const typed = words(query).slice(0, MAX_TERMS);
+  const vocabularyWords = typed.length > 0 ? await getVocabulary() : new Set();
+  const corrected = typed.map((word) => correctWord(word, vocabularyWords));
+
+  // "aj1" also searches "air jordan 1"
+  const normalized = normalizeName(corrected.join(" "));
+  const terms = [...new Set([...corrected, ...words(normalized)])];
+
+  return {
+    terms,
+    normalized,
+    text: terms.join(" "),
+    correctedQuery:
+      corrected.join(" ") !== typed.join(" ") ? corrected.join(" ") : null,
+  };
+};
+
+// A cursor into ranked results is the position the next page starts at
+const RANK_SORT = { position: 1 };
+
+/**
+ * Parse pagination options for ranked results, like parsePagination:
+ * ?page= keeps offset mode, otherwise pages are read by cursor
+ * @param {Object} query - req.query
+ * @returns {Object|null} - { page, limit } or { after, limit }, or null if the cursor is invalid
+ */
+const parseSearchPagination = (query) => {
+  const limit = parseLimit(query.limit);
+
+  if (query.page !== undefined && query.cursor === undefined) {
+    return { page: Math.max(parseInt(query.page) || 1, 1), limit };
+  }
+
+  if (!query.cursor) return { after: 0, limit };
+
+  const decoded = decodeCursor(query.cursor, RANK_SORT);
+  if (!decoded || !Number.isInteger(decoded.position) || decoded.position < 0) {
+    return null;
+  }
+  return { after: decoded.position, limit };
+};
+
+/**
+ * Slice a ranked list into a page, by page number or after a cursor position
+ * @param {Array} ranked - All ranked results
+ * @param {Object} options - { page, limit } or { after, limit }
+ * @returns {Object} - { items, hasMore, total } plus currentPage and
+ *          totalPages, or nextCursor
+ */
+const pageOf = (ranked, { page, after = 0, limit }) => {
+  if (page) {
+    return {
+      items: ranked.slice((page - 1) * limit, page * limit),
+      currentPage: page,
+      totalPages: Math.ceil(ranked.length / limit),
+      hasMore: ranked.length > page * limit,
+      total: ranked.length,
+    };
+  }
+
+  const end = after + limit;
+  const hasMore = ranked.length > end;
+  return {
+    items: ranked.slice(after, end),
+    nextCursor: hasMore ? encodeCursor({ position: end }, RANK_SORT) : null,
+    hasMore,
+    total: ranked.length,
+  };
+};
+
+const byScore = (a, b) => b.score - a.score;
+
+/**
+ * Sneakers matching the query. Text relevance is boosted a little by how
+ * often a sneaker is posted and how well it is rated, and a sneaker whose
+ * whole name is the query comes first.
+ */
+const searchSneakers = async (parsed, options) => {
+  const candidates = await Sneaker.aggregate([
+    { $match: { $text: { $search: parsed.text }, mergedInto: null } },
+    { $addFields: { relevance: { $meta: "textScore" } } },
+    { $sort: { relevance: -1 } },
+    { $limit: MAX_CANDIDATES },
+    {
+      $project: {
+        sneakerName: 1,
+        brandName: 1,
+        sku: 1,
+        colorway: 1,
+        averageRating: 1,
+        nameKey: 1,
+        relevance: 1,
+        postCount: { $size: "$posts" },
+      },
+    },
+  ]);
+
+  const query = parsed.normalized;
+  const ranked = candidates
+    .map(({ nameKey, relevance, ...sneaker }) => {
+      const name = nameKey.slice(nameKey.indexOf(":") + 1);
+      const exact = name === query || nameKey.replace(":", " ") === query;
+
+      return {
+        ...sneaker,
+        score:
+          relevance *
+            (1 +
+              0.1 * Math.log10(1 + sneaker.postCount) +
+              0.02 * sneaker.averageRating) +
+          (exact ? 100 : 0),
+      };
+    })
+    .sort(byScore);
+
+  return pageOf(ranked, options);
+};
+
+/**
+ * Posts the viewer may see whose sneaker, brand or description match.
+ * Liked posts rank slightly higher; ties go to the newest.
+ */
+const searchPosts = async (parsed, { viewer, ...options }) => {
+  const candidates = await Post.aggregate([
+    {
+      $match: {
+        $text: { $search: parsed.text },
+        ...(await visiblePostsFilter(viewer)),
+      },
+    },
+    { $addFields: { relevance: { $meta: "textScore" } } },
+    { $sort: { relevance: -1, createdAt: -1 } },
+    { $limit: MAX_CANDIDATES },
+    { $project: { relevance: 1, likeCount: 1, createdAt: 1 } },
+  ]);
+
+  const ranked = candidates
+    .map((post) => ({
+      _id: post._id,
+      createdAt: post.createdAt,
+      score:
+        post.relevance * (1 + 0.05 * Math.log10(1 + (post.likeCount || 0))),
+    }))
+    .sort((a, b) => byScore(a, b) || b.createdAt - a.createdAt);
+
+  const { items, ...pageInfo } = pageOf(ranked, options);
+
+  const posts = await Post.find({
+    _id: { $in: items.map((item) => item._id) },
+  }).populate(feedPopulate);
+  const postById = new Map(posts.map((post) => [post._id.toString(), post]));
+  const ordered = items
+    .map((item) => postById.get(item._id.toString()))
+    .filter(Boolean);
+
+  return { items: await decoratePosts(ordered, viewer), ...pageInfo };
+};
+
+/**
+ * Users whose username starts with the query, exact matches first, then the
+ * most followed. Suspended users and blocks in either direction are left out.
+ */
+const searchUsers = async (parsed, { viewer, query, ...options }) => {
+  const prefix = String(query).trim().replace(/^@/, "");
+  const lowerPrefix = prefix.toLowerCase();
+  const blockedIds = await blockedIdsFor(viewer);
+
+  const candidates = await User.aggregate([
+    {
+      $match: {
+        username: { $regex: `^${escapeRegex(prefix)}`, $options: "i" },
+        _id: { $nin: blockedIds },
+        $nor: [User.suspendedFilter()],
+      },
+    },
+    {
+      $project: {
+        username: 1,
+        profilePhoto: 1,
+        totalSneakerCount: 1,
+        followerCount: { $size: "$followers" },
+        exact: { $eq: [{ $toLower: "$username" }, lowerPrefix] },
+      },
+    },
+    { $sort: { exact: -1, followerCount: -1 } },
+    { $limit: MAX_CANDIDATES },
+  ]);
+
+  const ranked = candidates
+    .map(({ exact, ...user }) => ({
+      ...user,
+      score:
+        (exact ? 1000 : 0) +
+        Math.log10(1 + user.followerCount) -
+        0.01 * (user.username.length - prefix.length),
+    }))
+    .sort(byScore);
+
+  return pageOf(ranked, options);
+};
+
+const searchers = {
+  sneakers: searchSneakers,
+  posts: searchPosts,
+  users: searchUsers,
+};
+
+/**
+ * Search one type of content
+ * @param {string} query - Query as typed
+ * @param {string} type - sneakers, posts or users
+ * @param {Object} options - { viewer, limit } with page, or after for cursor paging
+ *        (from parseSearchPagination); the first page by default
+ * @returns {Promise<Object>} - { items, hasMore, total, correctedQuery } plus
+ *          currentPage and totalPages, or nextCursor
+ */
+const search = async (
+  query,
+  type,
+  { viewer, page, after = 0, limit = 10 } = {}
+) => {
+  const parsed = await parseQuery(query);
+
+  if (parsed.terms.length === 0) {
+    return {
+      ...pageOf([], { page, after, limit }),
+      correctedQuery: null,
+    };
+  }
+
+  const result = await searchers[type](parsed, {
+    viewer,
+    query,
+    page,
+    after,
+    limit,
+  });
+
+  // Usernames are matched as typed, so they are never "corrected"
+  return {
+    ...result,
+    correctedQuery: type === "users" ? null : parsed.correctedQuery,
+  };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  search,
+  parseSearchPagination,
+  parseQuery,
+  invalidateVocabulary,
+};
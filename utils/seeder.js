@@ -1,11 +1,14 @@
-const mongoose = require('mongoose');
 const dotenv = require('dotenv');
+
+// Load environment variables before the modules that read them
+dotenv.config();
+
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Post = require('../models/Post');
 const Sneaker = require('../models/Sneaker');
-
-// Load environment variables
-dotenv.config();
+const Like = require('../models/Like');
+const PriceObservation = require('../models/PriceObservation');
 
 // Sample data
 const users = [
@@ -62,6 +65,8 @@ mongoose.connect(process.env.MONGO_URI)
       await User.deleteMany({});
       await Sneaker.deleteMany({});
       await Post.deleteMany({});
+      await Like.deleteMany({});
+      await PriceObservation.deleteMany({});
       
       console.log('Previous data cleared');
       
@@ -82,6 +87,8 @@ mongoose.connect(process.env.MONGO_URI)
         for (let j = 0; j < 2; j++) { // Each user creates 2 posts
           const sneaker = createdSneakers[Math.floor(Math.random() * createdSneakers.length)];
           
+          const price = 120 + (Math.floor(Math.random() * 180));
+          
           posts.push({
             userId: user._id,
             sneakerId: sneaker._id,
@@ -93,7 +100,8 @@ mongoose.connect(process.env.MONGO_URI)
             brandName: sneaker.brandName,
             sneakerName: sneaker.sneakerName,
             description: `This is my awesome ${sneaker.sneakerName} from ${sneaker.brandName}!`,
-            price: 120 + (Math.floor(Math.random() * 180)),
+            price,
+            basePrice: price,
             year: 2020 + (Math.floor(Math.random() * 4))
           });
         }
@@ -106,18 +114,38 @@ mongoose.connect(process.env.MONGO_URI)
       // Update sneakers with post references
       for (let post of createdPosts) {
         await Sneaker.findByIdAndUpdate(post.sneakerId, {
-          $push: { posts: post._id }
+          $push: { posts: post._id },
+          $inc: { postCount: 1 }
         });
       }
       
+      // Record the prices and derive each sneaker's range from them
+      await PriceObservation.insertMany(
+        createdPosts.map(post => ({
+          sneakerId: post.sneakerId,
+          postId: post._id,
+          userId: post.userId,
+          price: post.price,
+          currency: post.currency,
+          basePrice: post.basePrice,
+          observedAt: post.createdAt
+        }))
+      );
+      for (const sneaker of createdSneakers) {
+        await Sneaker.syncPriceRange(sneaker._id);
+      }
+      
       // Add some likes and ratings to posts
       for (let post of createdPosts) {
         const likingUsers = createdUsers
           .filter(() => Math.random() > 0.3) // 70% chance a user will like a post
           .map(user => user._id);
         
+        await Like.insertMany(
+          likingUsers.map(userId => ({ postId: post._id, userId }))
+        );
         await Post.findByIdAndUpdate(post._id, {
-          $set: { likes: likingUsers }
+          $set: { likeCount: likingUsers.length }
         });
         
         // Add ratings
@@ -0,0 +1,65 @@
+const dotenv = require('dotenv');
+
+// Load environment variables before the modules that read them
+dotenv.config();
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { initializeFirebaseAdmin } = require('../config/firebaseAdmin');
+const { syncRoleClaim } = require('./moderation');
+
+// Usage: npm run set-role -- <username|email> <role>
+const [identifier, role] = process.argv.slice(2);
+
+/**
+ * Give a user a role from the command line, e.g. to create the first admin
+ * before anyone can use PUT /api/admin/users/:id/role
+ */
+const setRole = async () => {
+  if (!identifier || !User.ROLES.includes(role)) {
+    throw new Error(
+      `Usage: npm run set-role -- <username|email> <${User.ROLES.join('|')}>`
+    );
+  }
+
+  const user = await User.findOneAndUpdate(
+    { $or: [{ username: identifier }, { email: identifier }] },
+    { $set: { role } },
+    { new: true }
+  ).select('username role firebaseUid');
+
+  if (!user) {
+    throw new Error(`No user found for "${identifier}"`);
+  }
+
+  console.log(`${user.username} is now ${role}`);
+
+  try {
+    initializeFirebaseAdmin();
+  } catch (error) {
+    console.warn('Firebase unavailable; the claim will sync on next sign in');
+    return;
+  }
+
+  if (await syncRoleClaim(user)) {
+    console.log('Firebase custom claims updated');
+  } else {
+    console.warn('Claim sync failed; it will be retried on next sign in');
+  }
+};
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGO_URI)
+  .then(async () => {
+    try {
+      await setRole();
+      process.exit(0);
+    } catch (error) {
+      console.error('Error setting role:', error.message);
+      process.exit(1);
+    }
+  })
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
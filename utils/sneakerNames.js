@@ -0,0 +1,154 @@
+// Normalised sneaker names, so "Jordan 1 Chicago", "AJ1 Chicago" and
+// "Air Jordan 1 Chicago " resolve to the same catalog entry.
+
+// Shorthand sneakerheads use for model lines, expanded before comparing
+const ABBREVIATIONS = {
+  aj: "air jordan",
+  af: "air force",
+  af1: "air force 1",
+  am: "air max",
+  nb: "new balance",
+  yzy: "yeezy",
+};
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+const simplify = (value) =>
+  String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+/**
+ * Normalise a sneaker name: simplified, with abbreviations expanded
+ * ("AJ1" -> "air jordan 1", "Jordan 1" -> "air jordan 1")
+ * @param {string} name - Sneaker name as typed
+ * @returns {string}
+ */
+const normalizeName = (name) => {
+  const tokens = [];
+
+  for (const token of simplify(name).split(" ").filter(Boolean)) {
+    // "aj1", "af1", "am90": shorthand glued to a model number
+    const [, prefix, number] = token.match(/^([a-z]+)(\d+)$/) || [];
+    const expanded =
+      ABBREVIATIONS[token] ||
+      (prefix &&
+        ABBREVIATIONS[prefix] &&
+        `${ABBREVIATIONS[prefix]} ${number}`) ||
+      token;
+
+    for (const word of expanded.split(" ")) {
+      // Jordans are listed both with and without "Air"
+      if (word === "jordan" && tokens[tokens.length - 1] !== "air") {
+        tokens.push("air");
+      }
+      tokens.push(word);
+    }
+  }
+
+  return tokens.join(" ");
+};
+
+/**
+ * Catalog key for a brand and sneaker name. A name that repeats the brand
+ * ("Nike Air Max 90" under Nike) gets the same key as one that doesn't.
+ * @param {string} brandName - Brand as typed
+ * @param {string} sneakerName - Sneaker name as typed
+ * @returns {string} - e.g. "nike:air max 90"
+ */
+const sneakerKey = (brandName, sneakerName) => {
+  const brand = simplify(brandName);
+  let name = normalizeName(sneakerName);
+
+  if (brand && name.startsWith(`${brand} `)) {
+    name = name.slice(brand.length + 1);
+  }
+
+  return `${brand}:${name}`;
+};
+
+/**
+ * Edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * How alike two normalised names are, from 0 to 1. Averages word overlap
+ * (catches extra words like "retro high og") with character edit distance
+ * (catches typos). Names with different model numbers ("air max 90" and
+ * "air max 95") are different sneakers, so they score at most half.
+ * @param {string} a - Normalised name
+ * @param {string} b - Normalised name
+ * @returns {number}
+ */
+const similarity = (a, b) => {
+  if (a === b) return 1;
+
+  const wordsA = new Set(a.split(" "));
+  const wordsB = new Set(b.split(" "));
+  const shared = [...wordsA].filter((word) => wordsB.has(word)).length;
+  const overlap = shared / Math.min(wordsA.size, wordsB.size);
+
+  const distance = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+  const numbers = (words) => [...words].filter((word) => /^\d+$/.test(word));
+  const numbersA = numbers(wordsA);
+  const numbersB = numbers(wordsB);
+  const sameNumbers =
+    numbersA.length === numbersB.length &&
+    numbersA.every((number) => wordsB.has(number));
+
+  return ((overlap + distance) / 2) * (sameNumbers ? 1 : 0.5);
+};
+
+/**
+ * Normalise a style code / SKU: uppercase, with spaces and underscores as
+ * dashes ("dz5485 612" -> "DZ5485-612")
+ * @param {string} sku - SKU as typed
+ * @returns {string|null}
+ */
+const normalizeSku = (sku) => {
+  const normalized = String(sku || "")
+    .trim()
+    .toUpperCase()
+    .replace(/[\s_]+/g, "-");
+  return normalized || null;
+};
+
+module.exports = {
+  simplify,
+  normalizeName,
+  sneakerKey,
+  normalizeSku,
+  levenshtein,
+  similarity,
+};
@@ -0,0 +1,422 @@
+const Sneaker = require("../models/Sneaker");
+const Brand = require("../models/Brand");
+const User = require("../models/User");
+const crypto = require("crypto");
+const { getCache, setCache, cacheKeys } = require("./redis");
+const { simplify, normalizeName } = require("./sneakerNames");
+const logger = require("./logger");
+
+// In-memory prefix index behind GET /api/search/suggest. Every prefix of
+// every indexed name maps to the entries it completes, ranked ahead of time,
+// so a lookup is a single Map read. Sneakers, brands and users update it as
+// they change here. Each change also publishes a new version in the shared
+// cache, and instances that see a version other than their own rebuild; a
+// periodic rebuild picks up counts.
+
+const SUGGEST_TYPES = ["brands", "sneakers", "users"];
+
+// Longer queries are looked up by their first MAX_PREFIX_LENGTH characters
+const MAX_PREFIX_LENGTH = 30;
+
+const REBUILD_INTERVAL_MS = 10 * 60 * 1000;
+
+// How often the shared version is compared with this instance's
+const VERSION_CHECK_MS = 30 * 1000;
+
+const VERSION_TTL_SECONDS = 24 * 60 * 60;
+
+// Brands first, then sneakers, then users at equal popularity
+const TYPE_BOOST = { brand: 1, sneaker: 0.5, user: 0 };
+
+let index = null;
+let building = null;
+
+// Updates made while a rebuild reads the database, replayed on the new index
+let pendingUpdates = null;
+
+// Shared version the index is up to date with
+let version = null;
+let versionCheckedAt = 0;
+
+const createIndex = () => ({
+  buckets: new Map(),
+  entries: new Map(),
+  builtAt: Date.now(),
+});
+
+const entryKey = (type, id) => `${type}:${id}`;
+
+// Leading prefixes ("air jordan 1" -> "a", "ai", ...) rank above prefixes of
+// later words ("jordan 1", "1"), then the more popular entry wins
+const byRank = (a, b) =>
+  b.leading - a.leading || b.entry.weight - a.entry.weight;
+
+/**
+ * Every lookup text for a set of names: the names themselves and each of
+ * their word-start suffixes
+ * @param {Array} names - Lowercase names
+ * @returns {Map} - text -> whether it is a whole name
+ */
+const textsOf = (names) => {
+  const texts = new Map();
+  for (const name of names.filter(Boolean)) {
+    texts.set(name, true);
+    const words = name.split(" ");
+    for (let i = 1; i < words.length; i++) {
+      const suffix = words.slice(i).join(" ");
+      if (!texts.has(suffix)) texts.set(suffix, false);
+    }
+  }
+  return texts;
+};
+
+/**
+ * Add or replace an entry
+ * @param {Object} target - Index to write to
+ * @param {Object} entry - Public entry with type, _id and weight
+ * @param {Array} names - Names the entry is completed from
+ * @param {boolean} sorted - Keep buckets sorted (false while building)
+ */
+const putEntry = (target, entry, names, sorted = true) => {
+  const key = entryKey(entry.type, entry._id);
+  removeEntry(target, key);
+
+  const texts = textsOf(names);
+  const prefixes = new Map();
+  for (const [text, leading] of texts) {
+    for (
+      let length = 1;
+      length <= Math.min(text.length, MAX_PREFIX_LENGTH);
+      length++
+    ) {
+      const prefix = text.slice(0, length);
+      if (!prefixes.get(prefix)) prefixes.set(prefix, leading);
+    }
+  }
+
+  for (const [prefix, leading] of prefixes) {
+    const item = { entry, leading };
+    const bucket = target.buckets.get(prefix);
+    if (!bucket) {
+      target.buckets.set(prefix, [item]);
+    } else if (!sorted) {
+      bucket.push(item);
+    } else {
+      const position = bucket.findIndex((other) => byRank(item, other) < 0);
+      bucket.splice(position === -1 ? bucket.length : position, 0, item);
+    }
+  }
+
+  target.entries.set(key, {
+    entry,
+    names: [...texts].filter(([, whole]) => whole).map(([text]) => text),
+    texts: [...texts.keys()],
+    prefixes: [...prefixes.keys()],
+  });
+};
+
+const removeEntry = (target, key) => {
+  const stored = target.entries.get(key);
+  if (!stored) return;
+
+  for (const prefix of stored.prefixes) {
+    const bucket = target.buckets
+      .get(prefix)
+      .filter((item) => entryKey(item.entry.type, item.entry._id) !== key);
+    if (bucket.length > 0) {
+      target.buckets.set(prefix, bucket);
+    } else {
+      target.buckets.delete(prefix);
+    }
+  }
+  target.entries.delete(key);
+};
+
+const popularity = (count) => Math.log10(1 + count);
+
+const brandEntry = (brand, sneakerCount) => [
+  {
+    type: "brand",
+    _id: brand._id.toString(),
+    text: brand.name,
+    slug: brand.slug,
+    weight: TYPE_BOOST.brand + popularity(sneakerCount),
+  },
+  [brand.name, ...(brand.aliases || [])].map(simplify),
+];
+
+const sneakerEntry = (sneaker, activity) => [
+  {
+    type: "sneaker",
+    _id: sneaker._id.toString(),
+    text: sneaker.sneakerName,
+    brandName: sneaker.brandName,
+    sku: sneaker.sku || null,
+    weight: TYPE_BOOST.sneaker + popularity(activity),
+  },
+  [
+    simplify(sneaker.sneakerName),
+    simplify(`${sneaker.brandName} ${sneaker.sneakerName}`),
+    // "air jordan 1 chicago" for "Jordan 1 Chicago"
+    (sneaker.nameKey || "").slice((sneaker.nameKey || "").indexOf(":") + 1),
+    ...(sneaker.aliases || []).map(simplify),
+    simplify(sneaker.sku),
+  ],
+];
+
+const userEntry = (user, followerCount) => [
+  {
+    type: "user",
+    _id: user._id.toString(),
+    text: user.username,
+    profilePhoto: user.profilePhoto,
+    weight: TYPE_BOOST.user + popularity(followerCount),
+  },
+  [user.username.toLowerCase(), simplify(user.username)],
+];
+
+/**
+ * Read the catalog and users into a fresh index
+ * @returns {Promise<Object>}
+ */
+const buildIndex = async () => {
+  const [brands, brandCounts, sneakers, users] = await Promise.all([
+    Brand.find().select("name slug aliases").lean(),
+    Sneaker.aggregate([
+      { $match: { mergedInto: null } },
+      { $group: { _id: "$brandId", count: { $sum: 1 } } },
+    ]),
+    Sneaker.aggregate([
+      { $match: { mergedInto: null } },
+      {
+        $project: {
+          sneakerName: 1,
+          brandName: 1,
+          nameKey: 1,
+          aliases: 1,
+          sku: 1,
+          activity: { $add: [{ $size: "$posts" }, { $size: "$ratings" }] },
+        },
+      },
+    ]),
+    User.aggregate([
+      { $match: { $nor: [User.suspendedFilter()] } },
+      {
+        $project: {
+          username: 1,
+          profilePhoto: 1,
+          followerCount: { $size: "$followers" },
+        },
+      },
+    ]),
+  ]);
+
+  const sneakerCountByBrand = new Map(
+    brandCounts.map((row) => [String(row._id), row.count])
+  );
+
+  const built = createIndex();
+  for (const brand of brands) {
+    putEntry(
+      built,
+      ...brandEntry(brand, sneakerCountByBrand.get(brand._id.toString()) || 0),
+      false
+    );
+  }
+  for (const sneaker of sneakers) {
+    putEntry(built, ...sneakerEntry(sneaker, sneaker.activity), false);
+  }
+  for (const user of users) {
+    putEntry(built, ...userEntry(user, user.followerCount), false);
+  }
+
+  for (const bucket of built.buckets.values()) {
+    bucket.sort(byRank);
+  }
+  return built;
+};
+
+/**
+ * Rebuild the index from the database. Searches keep using the previous
+ * index until the new one is ready.
+ * @returns {Promise<Object>}
+ */
+const rebuildSuggestIndex = () => {
+  if (!building) {
+    pendingUpdates = [];
+    // Read before the database, so changes published during the build
+    // trigger another one
+    building = getCache(cacheKeys.suggestVersion)
+      .then(async (seen) => {
+        const built = await buildIndex();
+        // Changes made here during the build published a newer version
+        if (pendingUpdates.length === 0) version = seen;
+        for (const update of pendingUpdates) update(built);
+        index = built;
+        logger.info(`Suggest index built with ${built.entries.size} entries`);
+        return built;
+      })
+      .finally(() => {
+        building = null;
+        pendingUpdates = null;
+      });
+  }
+  return building;
+};
+
+const rebuildInBackground = () =>
+  rebuildSuggestIndex().catch((error) =>
+    logger.error(`Suggest index rebuild failed: ${error.message}`)
+  );
+
+// Rebuild if another instance published a change since the last build.
+// A missing version (expired, or the cache is down) is left to the
+// periodic rebuild.
+const checkVersion = async () => {
+  const shared = await getCache(cacheKeys.suggestVersion);
+  if (shared && shared !== version && !building) rebuildInBackground();
+};
+
+const getIndex = async () => {
+  if (!index) return rebuildSuggestIndex();
+
+  if (Date.now() - index.builtAt > REBUILD_INTERVAL_MS) {
+    rebuildInBackground();
+  } else if (Date.now() - versionCheckedAt > VERSION_CHECK_MS) {
+    versionCheckedAt = Date.now();
+    checkVersion();
+  }
+  return index;
+};
+
+// Tell the other instances their index is out of date
+const publishChange = () => {
+  version = crypto.randomBytes(8).toString("hex");
+  setCache(cacheKeys.suggestVersion, version, VERSION_TTL_SECONDS);
+};
+
+/**
+ * Apply a change to the live index, and to the one being built if any, and
+ * publish it. Nothing to apply before the first build, which reads the
+ * change itself.
+ * @param {Function} update - Receives an index
+ */
+const applyUpdate = (update) => {
+  if (index) update(index);
+  if (pendingUpdates) pendingUpdates.push(update);
+  publishChange();
+};
+
+/**
+ * Add or refresh a sneaker, e.g. once created or after a merge
+ * @param {Object} sneaker - Sneaker document
+ */
+const indexSneaker = (sneaker) => {
+  if (sneaker.mergedInto) return removeSneaker(sneaker._id);
+
+  const [entry, names] = sneakerEntry(
+    sneaker,
+    (sneaker.posts || []).length + (sneaker.ratings || []).length
+  );
+  applyUpdate((target) => putEntry(target, entry, names));
+};
+
+/**
+ * Drop a sneaker, e.g. merged into another or deleted
+ * @param {ObjectId} sneakerId
+ */
+const removeSneaker = (sneakerId) => {
+  applyUpdate((target) => removeEntry(target, entryKey("sneaker", sneakerId)));
+};
+
+/**
+ * Add or refresh a brand. A brand already indexed keeps its weight until
+ * the next rebuild recounts its sneakers.
+ * @param {Object} brand - Brand document
+ */
+const indexBrand = (brand) => {
+  applyUpdate((target) => {
+    const [entry, names] = brandEntry(brand, 0);
+    const existing = target.entries.get(entryKey("brand", entry._id));
+    if (existing) entry.weight = existing.entry.weight;
+    putEntry(target, entry, names);
+  });
+};
+
+/**
+ * Add or refresh a user, e.g. once registered or unsuspended
+ * @param {Object} user - User document
+ */
+const indexUser = (user) => {
+  const [entry, names] = userEntry(user, (user.followers || []).length);
+  applyUpdate((target) => putEntry(target, entry, names));
+};
+
+/**
+ * Drop a user, e.g. while suspended
+ * @param {ObjectId} userId
+ */
+const removeUser = (userId) => {
+  applyUpdate((target) => removeEntry(target, entryKey("user", userId)));
+};
+
+/**
+ * Completions for what has been typed so far
+ * @param {string} query - Partial query
+ * @param {Object} options - { types, limit, excludeUserIds }
+ * @returns {Promise<Array>} - [{ type, _id, text, ... }], best first
+ */
+const suggest = async (
+  query,
+  { types = SUGGEST_TYPES, limit = 10, excludeUserIds = [] } = {}
+) => {
+  const raw = String(query).trim().toLowerCase().replace(/^@/, "");
+  const forms = [...new Set([raw, simplify(raw), normalizeName(raw)])].filter(
+    Boolean
+  );
+  if (forms.length === 0) return [];
+
+  const current = await getIndex();
+  const wantedTypes = new Set(types.map((type) => type.slice(0, -1)));
+  const excluded = new Set(excludeUserIds.map(String));
+
+  const matches = new Map();
+  for (const form of forms) {
+    const bucket = current.buckets.get(form.slice(0, MAX_PREFIX_LENGTH)) || [];
+
+    for (const item of bucket) {
+      const { entry } = item;
+      const key = entryKey(entry.type, entry._id);
+
+      if (!wantedTypes.has(entry.type) || matches.has(key)) continue;
+      if (entry.type === "user" && excluded.has(entry._id)) continue;
+
+      const { names, texts } = current.entries.get(key);
+      if (
+        form.length > MAX_PREFIX_LENGTH &&
+        !texts.some((text) => text.startsWith(form))
+      ) {
+        continue;
+      }
+
+      matches.set(key, { ...item, exact: names.includes(form) });
+      if (matches.size >= limit * 3) break;
+    }
+  }
+
+  return [...matches.values()]
+    .sort((a, b) => b.exact - a.exact || byRank(a, b))
+    .slice(0, limit)
+    .map(({ entry: { weight, ...entry } }) => entry);
+};
+
+module.exports = {
+  SUGGEST_TYPES,
+  suggest,
+  indexSneaker,
+  removeSneaker,
+  indexBrand,
+  indexUser,
+  removeUser,
+  rebuildSuggestIndex,
+};
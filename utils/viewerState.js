@@ -0,0 +1,89 @@
+const Like = require("../models/Like");
+const Bookmark = require("../models/Bookmark");
+const { priceConverter, withConvertedPrice } = require("./currency");
+
+// Author and sneaker fields populated on every feed post
+const feedPopulate = [
+  { path: "userId", select: "username profilePhoto" },
+  { path: "sneakerId", select: "sneakerName brandName averageRating" },
+];
+
+/**
+ * Get the author id of a post whether or not userId is populated
+ * @param {Object} post - Post document or plain object
+ * @returns {string}
+ */
+const authorIdOf = (post) => {
+  const author = post.userId;
+  return author && author._id ? author._id.toString() : String(author);
+};
+
+/**
+ * Decorate posts with flags relative to the current viewer.
+ * Everything is looked up in batch, one query per flag, never per post.
+ * @param {Array} posts - Post documents
+ * @param {Object} viewer - Authenticated user (req.user) or undefined for guests
+ * @param {Object} options - { currency }: also convert prices into it (?currency=)
+ * @returns {Promise<Array>} - Plain post objects with likedByMe, followingAuthor and bookmarked
+ */
+const decoratePosts = async (posts, viewer, { currency } = {}) => {
+  let plainPosts = posts.map((post) =>
+    typeof post.toObject === "function" ? post.toObject() : post
+  );
+
+  if (currency) {
+    const converter = await priceConverter(currency);
+    plainPosts = plainPosts.map((post) => withConvertedPrice(post, converter));
+  }
+
+  if (!viewer) {
+    return plainPosts.map((post) => ({
+      ...post,
+      likedByMe: false,
+      followingAuthor: false,
+      bookmarked: false,
+    }));
+  }
+
+  const postIds = plainPosts.map((post) => post._id);
+
+  const [likes, bookmarks] = await Promise.all([
+    Like.find({ userId: viewer._id, postId: { $in: postIds } }).select(
+      "postId"
+    ),
+    Bookmark.find({ userId: viewer._id, postId: { $in: postIds } }).select(
+      "postId"
+    ),
+  ]);
+
+  const likedIds = new Set(likes.map((like) => like.postId.toString()));
+  const bookmarkedIds = new Set(
+    bookmarks.map((bookmark) => bookmark.postId.toString())
+  );
+  const followingIds = new Set(viewer.following.map((id) => id.toString()));
+
+  return plainPosts.map((post) => ({
+    ...post,
+    likedByMe: likedIds.has(post._id.toString()),
+    followingAuthor: followingIds.has(authorIdOf(post)),
+    bookmarked: bookmarkedIds.has(post._id.toString()),
+  }));
+};
+
+/**
+ * Decorate a single post with viewer-relative flags
+ * @param {Object} post - Post document
+ * @param {Object} viewer - Authenticated user or undefined
+ * @param {Object} options - As for decoratePosts
+ * @returns {Promise<Object>}
+ */
+const decoratePost = async (post, viewer, options) => {
+  const [decorated] = await decoratePosts([post], viewer, options);
+  return decorated;
+};
+
+module.exports = {
+  feedPopulate,
+  decoratePosts,
+  decoratePost,
+};
@@ -0,0 +1,155 @@
+const User = require("../models/User");
+const { AppError, errorCodes, errorTypes } = require("./errorHandler");
+
+// Posts hidden by a moderator never appear in feeds
+const notHidden = { isHidden: { $ne: true } };
+
+const includesId = (ids, id) => ids.some((value) => value.equals(id));
+
+/**
+ * Ids of users the viewer blocked or was blocked by. Blocking is mutual:
+ * neither side sees the other's posts, profile or comments.
+ * @param {Object} viewer - Authenticated user (req.user) or undefined for guests
+ * @returns {Promise<Array>}
+ */
+const blockedIdsFor = async (viewer) => {
+  if (!viewer) return [];
+  const blockedBy = await User.distinct("_id", { blockedUsers: viewer._id });
+  return [...viewer.blockedUsers, ...blockedBy];
+};
+
+/**
+ * Whether either user has blocked the other
+ * @param {ObjectId} userId - Other user
+ * @param {Object} viewer - Authenticated user or undefined
+ * @returns {Promise<boolean>}
+ */
+const isBlockedBetween = async (userId, viewer) => {
+  if (!viewer || !userId) return false;
+  if (includesId(viewer.blockedUsers, userId)) return true;
+  return Boolean(await User.exists({ _id: userId, blockedUsers: viewer._id }));
+};
+
+/**
+ * Throw a BLOCKED error if either user has blocked the other
+ * @param {ObjectId} userId - Other user
+ * @param {Object} viewer - Authenticated user or undefined
+ */
+const assertNotBlocked = async (userId, viewer) => {
+  if (await isBlockedBetween(userId, viewer)) {
+    throw new AppError(
+      "You can't interact with this user",
+      403,
+      errorCodes.BLOCKED
+    );
+  }
+};
+
+// Public accounts are open to everyone, private ones to approved followers
+const isApprovedViewer = async (ownerId, viewer) => {
+  const visibleTo = [{ isPrivate: { $ne: true } }];
+  if (viewer) visibleTo.push({ followers: viewer._id });
+
+  return Boolean(await User.exists({ _id: ownerId, $or: visibleTo }));
+};
+
+/**
+ * Whether a viewer may see a user's posts and follow lists.
+ * Public accounts are visible to everyone; private ones to their owner and approved followers.
+ * @param {ObjectId} ownerId - Account being viewed
+ * @param {Object} viewer - Authenticated user (req.user) or undefined for guests
+ * @returns {Promise<boolean>}
+ */
+const canViewContent = async (ownerId, viewer) => {
+  if (viewer && viewer._id.equals(ownerId)) return true;
+  if (await isBlockedBetween(ownerId, viewer)) return false;
+  return isApprovedViewer(ownerId, viewer);
+};
+
+/**
+ * Throw unless the viewer may see the owner's content: BLOCKED when either
+ * side blocked the other, PRIVATE_ACCOUNT when they aren't an approved follower
+ * @param {ObjectId} ownerId - Account being viewed
+ * @param {Object} viewer - Authenticated user or undefined
+ */
+const assertCanViewContent = async (ownerId, viewer) => {
+  if (viewer && viewer._id.equals(ownerId)) return;
+
+  await assertNotBlocked(ownerId, viewer);
+
+  if (!(await isApprovedViewer(ownerId, viewer))) {
+    throw new AppError(
+      "This account is private",
+      403,
+      errorCodes.PRIVATE_ACCOUNT
+    );
+  }
+};
+
+/**
+ * Filter that keeps feed queries to posts the viewer is allowed to see.
+ * Author privacy and suspension are read from the copies on each post.
+ * @param {Object} viewer - Authenticated user or undefined
+ * @param {Object} options - { excludeMuted } also drops authors the viewer muted
+ * @returns {Promise<Object>} - MongoDB filter on Post
+ */
+const visiblePostsFilter = async (viewer, { excludeMuted = false } = {}) => {
+  const filter = {
+    ...notHidden,
+    authorSuspendedUntil: { $not: { $gt: new Date() } },
+  };
+
+  // Private authors' posts are left to themselves and approved followers
+  if (viewer) {
+    filter.$or = [
+      { authorPrivate: { $ne: true } },
+      { userId: { $in: [viewer._id, ...viewer.following] } },
+    ];
+  } else {
+    filter.authorPrivate = { $ne: true };
+  }
+
+  const hiddenIds = [
+    ...(await blockedIdsFor(viewer)),
+    ...(excludeMuted && viewer ? viewer.mutedUsers : []),
+  ];
+  if (hiddenIds.length > 0) {
+    filter.userId = { $nin: hiddenIds };
+  }
+
+  return filter;
+};
+
+/**
+ * Throw unless the viewer may see a post: moderator-hidden posts are only
+ * visible to their author and staff, everything else follows the author's privacy
+ * @param {Object} post - Post with userId (populated or not) and isHidden
+ * @param {Object} viewer - Authenticated user or undefined
+ */
+const assertPostVisible = async (post, viewer) => {
+  const authorId =
+    post.userId && post.userId._id ? post.userId._id : post.userId;
+
+  if (
+    post.isHidden &&
+    !(
+      viewer &&
+      (viewer._id.equals(authorId) || viewer.hasRole("moderator", "admin"))
+    )
+  ) {
+    throw errorTypes.notFound("Post");
+  }
+
+  await assertCanViewContent(authorId, viewer);
+};
+
+module.exports = {
+  blockedIdsFor,
+  isBlockedBetween,
+  assertNotBlocked,
+  canViewContent,
+  assertCanViewContent,
+  notHidden,
+  visiblePostsFilter,
+  assertPostVisible,
+};